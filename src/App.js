@@ -4,6 +4,7 @@ import './App.css';
 import { Login } from './Login';
 import { Signup } from './Signup';
 import { MainApp } from './MainApp';
+import { OutputWindow } from './OutputWindow';
 
 // Protected Route Component
 function ProtectedRoute({ children }) {
@@ -71,6 +72,14 @@ function App() {
             </ProtectedRoute>
           }
         />
+        <Route
+          path="/output"
+          element={
+            <ProtectedRoute>
+              <OutputWindow />
+            </ProtectedRoute>
+          }
+        />
         {/* Redirect any unknown routes to login if not authenticated, otherwise to home */}
         <Route
           path="*"
@@ -0,0 +1,119 @@
+import { BEATS_PER_BAR, beatInBar } from './beatGrid';
+
+const buttonStyle = (enabled, backgroundColor) => ({
+  padding: '6px 12px',
+  fontSize: '14px',
+  backgroundColor: enabled ? backgroundColor : '#ccc',
+  color: 'white',
+  border: 'none',
+  borderRadius: '4px',
+  cursor: enabled ? 'pointer' : 'not-allowed',
+  fontWeight: 'bold',
+  opacity: enabled ? 1 : 0.6,
+  userSelect: 'none'
+});
+
+export function BeatGridPanel({
+  bpm,
+  offset,
+  currentTime,
+  isPlaying,
+  quantize,
+  snapToBeat,
+  isPlayerReady,
+  formatTime,
+  onTap,
+  onBpmChange,
+  onSetDownbeat,
+  onQuantizeChange,
+  onSnapToBeatChange,
+  shortcuts
+}) {
+  const currentBeat = bpm ? beatInBar(currentTime, bpm, offset) : null;
+
+  return (
+    <div className="beat-grid-panel" style={{
+      marginTop: '10px',
+      padding: '10px',
+      backgroundColor: '#f9f9f9',
+      border: '1px solid #ddd',
+      borderRadius: '4px',
+      display: 'flex',
+      alignItems: 'center',
+      gap: '8px',
+      flexWrap: 'wrap',
+      textAlign: 'left'
+    }}>
+      <strong style={{ fontSize: '14px', marginRight: '4px' }}>🥁 Beat grid</strong>
+      <button
+        className="tap-tempo-button"
+        onClick={onTap}
+        style={buttonStyle(true, '#6f42c1')}
+        title={`Tap along with the beat - first tap is a downbeat ( ${shortcuts.tapTempo} )`}
+      >
+        TAP
+      </button>
+      <input
+        className="bpm-input"
+        type="number"
+        min={20}
+        max={300}
+        step={0.1}
+        value={bpm ?? ''}
+        onChange={(e) => onBpmChange(e.target.value === '' ? null : Number(e.target.value))}
+        placeholder="BPM"
+        style={{ width: '70px', padding: '5px', fontSize: '14px', border: '1px solid #ccc', borderRadius: '4px' }}
+        title="Beats per minute"
+      />
+      <span style={{ fontSize: '12px', color: '#666' }}>BPM</span>
+      <button
+        className="set-downbeat-button"
+        onClick={onSetDownbeat}
+        disabled={!isPlayerReady || !bpm}
+        style={buttonStyle(isPlayerReady && !!bpm, '#007bff')}
+        title={`Mark the current time as beat 1 (now ${formatTime(offset)})`}
+      >
+        Beat 1 here
+      </button>
+      {bpm && (
+        <div className="beat-indicator" style={{ display: 'flex', gap: '4px' }} title="Current beat in the bar">
+          {Array.from({ length: BEATS_PER_BAR }, (_, beat) => (
+            <span
+              key={beat}
+              style={{
+                width: '12px',
+                height: '12px',
+                borderRadius: '50%',
+                backgroundColor: isPlaying && currentBeat === beat ? (beat === 0 ? '#dc3545' : '#28a745') : '#ddd'
+              }}
+            />
+          ))}
+        </div>
+      )}
+      <label style={{ fontSize: '12px', color: '#666', display: 'flex', alignItems: 'center', gap: '4px' }}>
+        Quantize
+        <select
+          className="quantize-select"
+          value={quantize}
+          onChange={(e) => onQuantizeChange(e.target.value)}
+          disabled={!bpm}
+          style={{ padding: '4px', fontSize: '12px' }}
+        >
+          <option value="off">Off</option>
+          <option value="beat">Beat</option>
+          <option value="bar">Bar</option>
+        </select>
+      </label>
+      <label style={{ fontSize: '12px', color: '#666', display: 'flex', alignItems: 'center', gap: '4px' }}>
+        <input
+          className="snap-to-beat-checkbox"
+          type="checkbox"
+          checked={snapToBeat}
+          onChange={(e) => onSnapToBeatChange(e.target.checked)}
+          disabled={!bpm}
+        />
+        Snap new hotcues
+      </label>
+    </div>
+  );
+}
@@ -0,0 +1,102 @@
+const buttonStyle = (enabled, backgroundColor) => ({
+  padding: '4px 8px',
+  fontSize: '12px',
+  backgroundColor: enabled ? backgroundColor : '#ccc',
+  color: 'white',
+  border: 'none',
+  borderRadius: '4px',
+  cursor: enabled ? 'pointer' : 'not-allowed',
+  fontWeight: 'bold',
+  opacity: enabled ? 1 : 0.6
+});
+
+const selectStyle = { flex: 1, minWidth: 0, padding: '4px', fontSize: '12px' };
+
+// Shown above the video list while videos are selected. Every action goes to onAction(type, target),
+// where target is the crate or setlist picked for 'crate' and 'setlist'.
+// crates: [{ crate, depth }] in tree order
+export function BulkActionBar({ count, visibleCount, crates, setlists, onSelectAll, onClear, onAction }) {
+  return (
+    <div
+      className="bulk-action-bar"
+      style={{
+        padding: '8px 10px',
+        borderBottom: '1px solid #ddd',
+        display: 'flex',
+        flexDirection: 'column',
+        gap: '6px',
+        backgroundColor: '#fff8e1'
+      }}
+    >
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '4px' }}>
+        <strong className="bulk-selected-count" style={{ fontSize: '13px' }}>{count} selected</strong>
+        <span style={{ display: 'flex', gap: '4px' }}>
+          <button
+            className="bulk-select-all"
+            onClick={onSelectAll}
+            disabled={visibleCount === 0}
+            style={buttonStyle(visibleCount > 0, '#6c757d')}
+            title="Select every video in the list"
+          >
+            All ({visibleCount})
+          </button>
+          <button
+            className="bulk-clear-selection"
+            onClick={onClear}
+            style={buttonStyle(true, '#6c757d')}
+            title="Clear the selection (Escape)"
+          >
+            ✕
+          </button>
+        </span>
+      </div>
+      <div style={{ display: 'flex', gap: '4px', flexWrap: 'wrap' }}>
+        <button className="bulk-delete" onClick={() => onAction('delete')} style={buttonStyle(true, '#dc3545')}>
+          Delete
+        </button>
+        <button className="bulk-export" onClick={() => onAction('export')} style={buttonStyle(true, '#007bff')} title="Download the selected videos as a JSON file">
+          Export
+        </button>
+        <button className="bulk-clear-hotcues" onClick={() => onAction('clearHotcues')} style={buttonStyle(true, '#fd7e14')}>
+          Clear hotcues
+        </button>
+      </div>
+      <div style={{ display: 'flex', gap: '4px' }}>
+        <select
+          className="bulk-crate-select"
+          value=""
+          onChange={(e) => {
+            const picked = crates.find(({ crate }) => crate.id === e.target.value);
+            if (picked) onAction('crate', picked.crate);
+          }}
+          disabled={crates.length === 0}
+          style={selectStyle}
+          title={crates.length === 0 ? 'Make a crate first' : 'Add the selected videos to a crate'}
+        >
+          <option value="">Add to crate...</option>
+          {crates.map(({ crate, depth }) => (
+            <option key={crate.id} value={crate.id}>
+              {'\u00a0'.repeat(depth * 3)}{crate.name || 'Untitled crate'}
+            </option>
+          ))}
+        </select>
+        <select
+          className="bulk-setlist-select"
+          value=""
+          onChange={(e) => {
+            const setlist = setlists.find(candidate => candidate.id === e.target.value);
+            if (setlist) onAction('setlist', setlist);
+          }}
+          disabled={setlists.length === 0}
+          style={selectStyle}
+          title={setlists.length === 0 ? 'Make a setlist first' : 'Add the selected videos to the end of a setlist'}
+        >
+          <option value="">Add to setlist...</option>
+          {setlists.map(setlist => (
+            <option key={setlist.id} value={setlist.id}>{setlist.name || 'Untitled setlist'}</option>
+          ))}
+        </select>
+      </div>
+    </div>
+  );
+}
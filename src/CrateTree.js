@@ -0,0 +1,184 @@
+import { useState } from 'react';
+import { VIDEO_DRAG_TYPE, childCrates } from './crates';
+
+const smallButtonStyle = {
+  padding: '0 4px',
+  fontSize: '11px',
+  backgroundColor: 'transparent',
+  color: '#666',
+  border: 'none',
+  cursor: 'pointer'
+};
+
+// Crate tree for the sidebar: "All videos" and the user's crates with their video counts.
+// Clicking a crate shows its videos; videos dragged from the list drop into a crate.
+// totalCount: videos in the whole library, null while that isn't known (no count is shown)
+export function CrateTree({ crates, totalCount, counts, selectedCrateId, onSelect, onCreate, onRename, onDelete, onDropVideo }) {
+  const [collapsedIds, setCollapsedIds] = useState([]); // Crates with their sub-crates hidden
+  const [editing, setEditing] = useState(null); // { id } when renaming, { parentId } when creating, plus the name typed
+  const [dragOverId, setDragOverId] = useState(null);
+
+  const finishEditing = () => {
+    const name = editing ? editing.name.trim() : '';
+    if (name && editing.id) {
+      onRename(editing.id, name);
+    } else if (name) {
+      onCreate(editing.parentId, name);
+    }
+    setEditing(null);
+  };
+
+  const renderNameInput = (depth) => (
+    <input
+      className="crate-name-input"
+      type="text"
+      value={editing.name}
+      onChange={(e) => setEditing(prev => ({ ...prev, name: e.target.value }))}
+      onBlur={finishEditing}
+      onKeyDown={(e) => {
+        if (e.key === 'Enter') {
+          e.preventDefault();
+          finishEditing();
+        } else if (e.key === 'Escape') {
+          e.preventDefault();
+          setEditing(null);
+        }
+      }}
+      autoFocus
+      placeholder="Crate name"
+      style={{ marginLeft: `${depth * 14 + 18}px`, width: `calc(100% - ${depth * 14 + 24}px)`, padding: '2px 6px', fontSize: '12px', border: '1px solid #007bff', borderRadius: '3px' }}
+    />
+  );
+
+  const renderCrate = (crate, depth) => {
+    const children = childCrates(crates, crate.id);
+    const isCollapsed = collapsedIds.includes(crate.id);
+    const isSelected = selectedCrateId === crate.id;
+    return (
+      <div key={crate.id}>
+        {editing && editing.id === crate.id ? renderNameInput(depth) : (
+          <div
+            className={`crate-item ${isSelected ? 'crate-item-selected' : ''}`}
+            onClick={() => onSelect(isSelected ? null : crate.id)}
+            onDragOver={(e) => {
+              if (!Array.from(e.dataTransfer.types || []).includes(VIDEO_DRAG_TYPE)) return;
+              e.preventDefault();
+              e.dataTransfer.dropEffect = 'copy';
+              setDragOverId(crate.id);
+            }}
+            onDragLeave={() => setDragOverId(null)}
+            onDrop={(e) => {
+              const videoId = e.dataTransfer.getData(VIDEO_DRAG_TYPE);
+              setDragOverId(null);
+              if (!videoId) return;
+              e.preventDefault();
+              onDropVideo(crate.id, videoId);
+            }}
+            style={{
+              display: 'flex',
+              alignItems: 'center',
+              gap: '2px',
+              padding: `3px 4px 3px ${depth * 14 + 4}px`,
+              fontSize: '13px',
+              borderRadius: '3px',
+              cursor: 'pointer',
+              backgroundColor: dragOverId === crate.id ? '#cce5ff' : (isSelected ? '#e7f3ff' : 'transparent'),
+              outline: dragOverId === crate.id ? '2px dashed #007bff' : 'none'
+            }}
+            title="Show this crate (drop videos here to add them)"
+          >
+            <span
+              onClick={(e) => {
+                e.stopPropagation();
+                setCollapsedIds(prev => (isCollapsed ? prev.filter(id => id !== crate.id) : [...prev, crate.id]));
+              }}
+              style={{ width: '14px', color: '#999', fontSize: '10px', visibility: children.length > 0 ? 'visible' : 'hidden' }}
+            >
+              {isCollapsed ? '▸' : '▾'}
+            </span>
+            <span style={{ flex: 1, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap', fontWeight: isSelected ? 'bold' : 'normal' }}>
+              📁 {crate.name || 'Untitled crate'}
+            </span>
+            <span className="crate-count" style={{ fontSize: '11px', color: '#999' }}>{counts[crate.id] || 0}</span>
+            {isSelected && (
+              <>
+                <button
+                  className="crate-add-child"
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    setCollapsedIds(prev => prev.filter(id => id !== crate.id));
+                    setEditing({ parentId: crate.id, name: '' });
+                  }}
+                  style={smallButtonStyle}
+                  title="New crate inside this one"
+                >
+                  +
+                </button>
+                <button
+                  className="crate-rename"
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    setEditing({ id: crate.id, name: crate.name });
+                  }}
+                  style={smallButtonStyle}
+                  title="Rename crate"
+                >
+                  ✎
+                </button>
+                <button
+                  className="crate-delete"
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    onDelete(crate);
+                  }}
+                  style={{ ...smallButtonStyle, color: '#dc3545' }}
+                  title="Delete crate (its videos stay saved)"
+                >
+                  ✕
+                </button>
+              </>
+            )}
+          </div>
+        )}
+        {!isCollapsed && children.map(child => renderCrate(child, depth + 1))}
+        {editing && !editing.id && editing.parentId === crate.id && renderNameInput(depth + 1)}
+      </div>
+    );
+  };
+
+  return (
+    <div className="crate-tree" style={{ display: 'flex', flexDirection: 'column', gap: '1px' }}>
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: '2px' }}>
+        <strong style={{ fontSize: '12px', color: '#666' }}>CRATES</strong>
+        <button
+          className="crate-new-button"
+          onClick={() => setEditing({ parentId: null, name: '' })}
+          style={smallButtonStyle}
+          title="New crate"
+        >
+          + New crate
+        </button>
+      </div>
+      <div
+        className={`crate-item crate-item-all ${selectedCrateId === null ? 'crate-item-selected' : ''}`}
+        onClick={() => onSelect(null)}
+        style={{
+          display: 'flex',
+          padding: '3px 4px 3px 18px',
+          fontSize: '13px',
+          borderRadius: '3px',
+          cursor: 'pointer',
+          backgroundColor: selectedCrateId === null ? '#e7f3ff' : 'transparent',
+          fontWeight: selectedCrateId === null ? 'bold' : 'normal'
+        }}
+      >
+        <span style={{ flex: 1 }}>All videos</span>
+        {totalCount !== null && (
+          <span className="crate-count" style={{ fontSize: '11px', color: '#999', fontWeight: 'normal' }}>{totalCount}</span>
+        )}
+      </div>
+      {childCrates(crates, null).map(crate => renderCrate(crate, 0))}
+      {editing && !editing.id && editing.parentId === null && renderNameInput(0)}
+    </div>
+  );
+}
@@ -1,45 +1,159 @@
 import { useEffect, useRef, useState, useCallback, forwardRef, useImperativeHandle } from 'react';
 import axios from 'axios';
 import API_URL from './config';
+import { LoopPanel } from './LoopPanel';
+import { TempoPanel } from './TempoPanel';
+import { BeatGridPanel } from './BeatGridPanel';
+import { TakesPanel } from './TakesPanel';
+import { TrimPanel } from './TrimPanel';
+import { TagsPanel } from './TagsPanel';
+import { EffectsPanel } from './EffectsPanel';
+import { EffectsLayer, videoEffectsStyle } from './EffectsLayer';
+import { Timeline } from './Timeline';
+import { HotcuePadGrid } from './HotcuePadGrid';
+import { HOTCUE_MODES, HOTCUE_BANK_COUNT, HOTCUE_COLORS, normalizeHotcues, bankLabel, autoHotcueColor } from './hotcues';
+import { createTakeId, normalizeTakes, scheduleTake } from './takes';
+import { HOTCUE_SLOTS, DEFAULT_KEYMAP, TRANSPORT_ACTIONS, cueActionId, bankActionId, keyFromEvent, formatKey, buildKeyIndex } from './keymap';
+import { useMidiMessages, describeMidiId, loadMidiBindings, saveMidiBindings } from './midi';
+import { PlayerStates, createYouTubeAdapter } from './playerAdapter';
+import { OUTPUT_SYNC_INTERVAL, mirrorAdapter } from './outputChannel';
+import { effectActionId, normalizeEffects, effectSlotsForHotcue } from './effects';
+import { normalizeTags } from './videoLibrary';
+import { YOUTUBE_SOURCE, LOCAL_FILE_SOURCE, isLocalVideoId } from './localVideos';
+import { VideoPicker } from './VideoPicker';
+import { BEATS_PER_BAR, addTap, bpmFromTaps, nextGridTime, nearestBeatTime, firstDownbeat } from './beatGrid';
 
-// YouTube Player States
-const PlayerStates = {
-  UNSTARTED: -1,
-  ENDED: 0,
-  PLAYING: 1,
-  PAUSED: 2,
-  BUFFERING: 3,
-  CUED: 5
+
+// Labels for the hotcue trigger modes (see hotcues.js)
+const HOTCUE_MODE_LABELS = { cue: 'CUE', gate: 'GATE', toggle: 'TOG' };
+
+// Hotcue nudges, earliest first. The player doesn't report a frame rate, so there's no frame step:
+// 33ms is a frame of 30fps video, less than one at 24 or 25fps and two at 60fps.
+const HOTCUE_NUDGES = [
+  { label: '-100', seconds: -0.1, shortcut: 'Alt+↓', title: '100ms earlier' },
+  { label: '-33', seconds: -0.033, shortcut: 'Alt+,', title: '33ms earlier' },
+  { label: '-10', seconds: -0.01, shortcut: 'Alt+←', title: '10ms earlier' },
+  { label: '+10', seconds: 0.01, shortcut: 'Alt+→', title: '10ms later' },
+  { label: '+33', seconds: 0.033, shortcut: 'Alt+.', title: '33ms later' },
+  { label: '+100', seconds: 0.1, shortcut: 'Alt+↑', title: '100ms later' }
+];
+
+// Alt + key (by KeyboardEvent.code) shortcuts that edit the selected hotcue
+const HOTCUE_EDIT_SHORTCUTS = {
+  Comma: { nudge: -0.033 },
+  ArrowDown: { nudge: -0.1 },
+  ArrowLeft: { nudge: -0.01 },
+  ArrowRight: { nudge: 0.01 },
+  ArrowUp: { nudge: 0.1 },
+  Period: { nudge: 0.033 },
+  Enter: { rerecord: true }
+};
+
+const HOTCUE_HISTORY_LIMIT = 100; // Undo steps kept per video
+
+// Ways the hotcue panel can lay out the cues
+const HOTCUE_VIEWS = [
+  { id: 'list', label: 'List' },
+  { id: '4x4', label: '4x4' },
+  { id: 'qwerty', label: 'Keys' }
+];
+
+const FIXED_LOOP_LENGTHS = [1, 2, 4, 8]; // seconds
+
+const DEFAULT_PLAYBACK_RATES = [0.25, 0.5, 0.75, 1, 1.25, 1.5, 1.75, 2]; // Used until the player reports its own
+
+const normalizeRate = (rate) => (typeof rate === 'number' && rate > 0 ? rate : 1);
+
+// Normalize beat grid to { bpm: number|null, offset: number }
+const normalizeBeatGrid = (bpm, offset) => ({
+  bpm: typeof bpm === 'number' && bpm > 0 ? bpm : null,
+  offset: typeof offset === 'number' && !isNaN(offset) ? offset : 0
+});
+
+// Normalize loops to always be an array of { start: number, end: number, name: string }.
+// While playing, the list can also end with one { ..., temporary: true } loop - the last IN/OUT or
+// fixed-length loop - which is only saved once it's kept.
+const normalizeLoops = (loops) => {
+  if (!Array.isArray(loops)) return [];
+  return loops
+    .filter(loop => loop && typeof loop.start === 'number' && typeof loop.end === 'number' && loop.end > loop.start)
+    .map(loop => ({ start: loop.start, end: loop.end, name: loop.name || '' }));
 };
 
-const LETTER_KEYS = ['q', 'w', 'e', 'r', 't', 'y', 'u', 'i', 'o', 'p', 'a', 's', 'd', 'f', 'g', 'h', 'j', 'k', 'l', 'z', 'x', 'c', 'v', 'b', 'n', 'm'];
+const savedLoops = (loops) => loops.filter(loop => !loop.temporary);
 
-export const CustomVideoPlayer = forwardRef(({ videoId, youtubeUrl, initialHotcues, onVideoSaved }, ref) => {
-  console.log('CustomVideoPlayer rendered with:', { videoId, youtubeUrl, initialHotcues });
+// What happens when playback reaches trim-out: pause there, or jump back to trim-in
+const TRIM_END_MODES = ['pause', 'loop'];
+
+// Normalize trim to { start: number, end: number|null, endMode: string } - a null end is the end of the video
+const normalizeTrim = (trim) => {
+  const start = trim && typeof trim.start === 'number' && trim.start > 0 ? trim.start : 0;
+  return {
+    start,
+    end: trim && typeof trim.end === 'number' && trim.end > start ? trim.end : null,
+    endMode: trim && TRIM_END_MODES.includes(trim.endMode) ? trim.endMode : 'pause'
+  };
+};
+
+// Whether a time is in a part of the video the trim cuts off
+const isOutsideTrim = (time, trim) => time < trim.start || (trim.end !== null && time > trim.end);
+
+// Time a setlist entry ends at: its end hotcue, or the trim-out / end of the video when it
+// advances at the end. null when the entry stops (or its end hotcue has been deleted).
+const setEntryEndTime = (setEntry, banks, trim, duration) => {
+  if (!setEntry || setEntry.endMode === 'stop') return null;
+  if (setEntry.endMode === 'hotcue') {
+    const bank = setEntry.endHotcue ? banks[setEntry.endHotcue.bank] : null;
+    const hotcue = bank ? bank.hotcues[setEntry.endHotcue.key] : null;
+    return hotcue ? hotcue.time : null;
+  }
+  return trim.end !== null ? trim.end : (duration > 0 ? duration : null);
+};
+
+// fileName: name of the file a local video was opened from (saved in place of a YouTube URL)
+// keyModifier: null - every key press is handled (single deck)
+//              'none' - only key presses without Shift are handled
+//              'shift' - only key presses with Shift are handled
+// mixLevel: 0-1 opacity and volume of this deck (crossfader)
+// deckId: deck this player is on - MIDI bindings are kept per deck
+// midiAccess: optional MIDI access object (e.g. a fake) to use instead of the browser's
+// keymap: action id -> key, see keymap.js
+// isTargetDeck: whether editing shortcuts (undo / redo) go to this deck
+// createPlayer: player adapter factory (see playerAdapter.js), e.g. a fake in tests
+// output: output window channel (see outputChannel.js) when this deck is on the projector output, else null
+// outputSrc: source the output window plays for local files (their object URL)
+// startAt: { time, autoPlay } to start at once ready (time null for trim-in), else null
+// setEntry: setlist entry this video was loaded for { endMode, endHotcue }, else null
+// onSetEntryEnd: called once when playback reaches the end of the setlist entry
+// loadedVideos: saved videos the sidebar has loaded, to show hotcue targets under their current titles
+// tagSuggestions: tags used on other saved videos
+// onJumpToVideo: called with a hotcue's target { videoId, time, title } when it's in another video
+export const CustomVideoPlayer = forwardRef(({ videoId, youtubeUrl, fileName = null, title, initialHotcues, initialLoops, initialDefaultRate, initialBpm, initialBeatOffset, initialTakes, initialTrim, initialEffects, initialTags, onVideoSaved, keyModifier = null, mixLevel = 1, compact = false, deckId = 'A', midiAccess, keymap = DEFAULT_KEYMAP, isTargetDeck = true, createPlayer = createYouTubeAdapter, output = null, outputSrc = null, startAt = null, setEntry = null, onSetEntryEnd, loadedVideos = [], onJumpToVideo, tagSuggestions = [] }, ref) => {
+  console.log('CustomVideoPlayer rendered with:', { videoId, youtubeUrl, initialHotcues, initialLoops, initialDefaultRate, initialBpm, initialBeatOffset, initialTakes, initialTrim, initialEffects, initialTags });
   
   const playerRef = useRef(null);
   const containerRef = useRef(null);
-  // Normalize hotcues to always be objects { time: number, name?: string }
-  const normalizeHotcues = (hotcues) => {
-    if (!hotcues) return {};
-    const normalized = {};
-    Object.keys(hotcues).forEach(key => {
-      const value = hotcues[key];
-      if (typeof value === 'number') {
-        // Old format: just a number
-        normalized[key] = { time: value, name: '' };
-      } else if (value && typeof value === 'object' && typeof value.time === 'number') {
-        // New format: object with time
-        normalized[key] = { time: value.time, name: value.name || '' };
-      }
-    });
-    return normalized;
-  };
-
-  const [hotcues, setHotcues] = useState(() => normalizeHotcues(initialHotcues));
-  const hotcuesRef = useRef(normalizeHotcues(initialHotcues)); // Keep a ref for latest hotcues value
-  const initialHotcuesRef = useRef(normalizeHotcues(initialHotcues)); // Keep track of initial hotcues for comparison
-  const [, setCurrentTime] = useState(0); // currentTime value not used, only setter
+  const [banks, setBanks] = useState(() => normalizeHotcues(initialHotcues)); // Hotcue banks: [{ name, hotcues }]
+  const banksRef = useRef(normalizeHotcues(initialHotcues)); // Keep a ref for latest banks value
+  const initialBanksRef = useRef(normalizeHotcues(initialHotcues)); // Keep track of initial banks for comparison
+  const [activeBank, setActiveBank] = useState(0); // Bank the hotcue keys currently trigger
+  const activeBankRef = useRef(0);
+  const hotcues = banks[activeBank].hotcues;
+  const hotcuesRef = useRef(banksRef.current[0].hotcues); // Keep a ref for the active bank's latest hotcues
+  const [editingBank, setEditingBank] = useState(null); // Index of the bank whose name is being edited
+  const [editingBankName, setEditingBankName] = useState('');
+  const [colorPickerKey, setColorPickerKey] = useState(null); // Hotcue whose colour palette is open
+  const undoStackRef = useRef([]); // Earlier hotcue states: [{ banks, activeBank }]
+  const redoStackRef = useRef([]); // Undone hotcue states, most recently undone last
+  const [historyCounts, setHistoryCounts] = useState({ undo: 0, redo: 0 }); // For enabling the undo / redo buttons
+  const isTargetDeckRef = useRef(isTargetDeck);
+  const createPlayerRef = useRef(createPlayer); // Factory used when the video changes
+  const [selectedHotcueKey, setSelectedHotcueKeyState] = useState(null); // Hotcue the Alt shortcuts edit
+  const selectedHotcueKeyRef = useRef(null);
+  const [editingTimeKey, setEditingTimeKey] = useState(null); // Hotcue whose time is being typed
+  const [editingTimeText, setEditingTimeText] = useState('');
+  const [hotcueView, setHotcueView] = useState('list'); // 'list', '4x4' or 'qwerty'
+  const [currentTime, setCurrentTime] = useState(0);
   const [duration, setDuration] = useState(0);
   const [isPlaying, setIsPlaying] = useState(false);
   const [isSettingHotcue, setIsSettingHotcue] = useState(null);
@@ -50,96 +164,482 @@ export const CustomVideoPlayer = forwardRef(({ videoId, youtubeUrl, initialHotcu
   const [editingHotcue, setEditingHotcue] = useState(null); // Track which hotcue label is being edited
   const [editingLabel, setEditingLabel] = useState(''); // Current label being edited
   const [isDragging, setIsDragging] = useState(false); // Track if user is dragging progress bar
-  const [, setDragTime] = useState(0); // dragTime value not used, only setter
-  const progressBarRef = useRef(null); // Ref for progress bar element
+  const [dragTime, setDragTime] = useState(0); // Time under the mouse while dragging
+  const [draggingHotcueKey, setDraggingHotcueKey] = useState(null); // Hotcue whose timeline marker is being dragged
+  const progressBarRef = useRef(null); // Ref for progress bar element (the timeline bar)
+  const [timelineZoom, setTimelineZoom] = useState(1);
+  const [loops, setLoops] = useState(() => normalizeLoops(initialLoops));
+  const loopsRef = useRef(normalizeLoops(initialLoops)); // Keep a ref for latest loops value
+  const initialLoopsRef = useRef(normalizeLoops(initialLoops)); // Keep track of initial loops for comparison
+  const [activeLoopIndex, setActiveLoopIndex] = useState(null); // Index into loops of the loop currently playing
+  const activeLoopIndexRef = useRef(null);
+  const lastLoopIndexRef = useRef(null); // Last loop that was active, so it can be re-entered
+  const [pendingLoopIn, setPendingLoopIn] = useState(null); // Loop-in time waiting for a loop-out
+  const pendingLoopInRef = useRef(null);
+  const lastHotcueRef = useRef(null); // Last triggered hotcue { bank, key } - fixed-length loops start here
+  const [availableRates, setAvailableRates] = useState(DEFAULT_PLAYBACK_RATES);
+  const availableRatesRef = useRef(DEFAULT_PLAYBACK_RATES);
+  const [playbackRate, setPlaybackRateState] = useState(() => normalizeRate(initialDefaultRate)); // Rate set by the slider (not including nudges)
+  const playbackRateRef = useRef(normalizeRate(initialDefaultRate));
+  const [nudgeDirection, setNudgeDirection] = useState(0); // -1 slower, 1 faster, 0 not nudging
+  const nudgeKeyRef = useRef(null); // Key currently holding a nudge
+  const [defaultRate, setDefaultRate] = useState(() => normalizeRate(initialDefaultRate)); // Rate the video loads at
+  const defaultRateRef = useRef(normalizeRate(initialDefaultRate));
+  const initialDefaultRateRef = useRef(normalizeRate(initialDefaultRate));
+  const [beatGrid, setBeatGrid] = useState(() => normalizeBeatGrid(initialBpm, initialBeatOffset));
+  const beatGridRef = useRef(normalizeBeatGrid(initialBpm, initialBeatOffset));
+  const initialBeatGridRef = useRef(normalizeBeatGrid(initialBpm, initialBeatOffset));
+  const [trim, setTrim] = useState(() => normalizeTrim(initialTrim));
+  const trimRef = useRef(normalizeTrim(initialTrim));
+  const initialTrimRef = useRef(normalizeTrim(initialTrim));
+  const hasStartedPlayingRef = useRef(false); // The first play after loading starts at trim-in
+  const [effects, setEffects] = useState(() => normalizeEffects(initialEffects));
+  const effectsRef = useRef(normalizeEffects(initialEffects));
+  const initialEffectsRef = useRef(normalizeEffects(initialEffects));
+  const [activeEffectSlots, setActiveEffectSlots] = useState([]); // Effect slots that are on
+  const activeEffectSlotsRef = useRef([]);
+  const hotcueEffectSlotsRef = useRef({}); // Hotcue key -> effect slots its press switched on, released with it
+  const [tags, setTags] = useState(() => normalizeTags(initialTags));
+  const tagsRef = useRef(normalizeTags(initialTags));
+  const initialTagsRef = useRef(normalizeTags(initialTags));
+  const [quantize, setQuantizeState] = useState('off'); // 'off', 'beat' or 'bar'
+  const quantizeRef = useRef('off');
+  const [snapToBeat, setSnapToBeatState] = useState(false); // Snap newly set hotcues to the nearest beat
+  const snapToBeatRef = useRef(false);
+  const tapTimesRef = useRef([]); // Wall-clock times (ms) of the current tap-tempo sequence
+  const firstTapTimeRef = useRef(null); // Video time of the first tap - taken as a downbeat
+  const quantizedJumpRef = useRef(null); // Timeout for a hotcue jump waiting for the next beat
+  const gateHotcueRef = useRef(null); // Gate hotcue currently held down { key, bank, time }
+  const toggledHotcueIdRef = useRef(null); // Toggle hotcue ('<bank>:<key>') that's playing - pressing it again stops playback
+  const [takes, setTakes] = useState(() => normalizeTakes(initialTakes));
+  const takesRef = useRef(normalizeTakes(initialTakes)); // Keep a ref for latest takes value
+  const initialTakesRef = useRef(normalizeTakes(initialTakes)); // Keep track of initial takes for comparison
+  const [isRecording, setIsRecording] = useState(false);
+  const recordingRef = useRef(null); // Take being recorded: { startedAt, startTime, startedPlaying, events }
+  const lastSeekAtRef = useRef(0); // When the player was last seeked through its adapter, to tell those from seeks in the YouTube controls
+  const lastRecordedTransportRef = useRef(null); // Last 'play' / 'pause' recorded, so repeated state changes aren't
+  const [replayingTakeId, setReplayingTakeId] = useState(null);
+  const cancelReplayRef = useRef(null); // Cancels the take currently replaying
+  const [midiBindings, setMidiBindings] = useState(() => loadMidiBindings(localStorage.getItem('username'), deckId)); // MIDI message id -> hotcue key
+  const midiBindingsRef = useRef(midiBindings);
+  const [isMidiLearning, setIsMidiLearning] = useState(false);
+  const [midiLearnTarget, setMidiLearnTarget] = useState(null); // Hotcue key (or effect action id) waiting for a pad press
+  const midiLearnTargetRef = useRef(null);
+  const keyModifierRef = useRef(keyModifier);
+  const keyIndexRef = useRef(buildKeyIndex(keymap)); // Key -> action id
+  const mixLevelRef = useRef(mixLevel);
+  const outputRef = useRef(output);
+  const lastOutputSyncRef = useRef(0); // When the last sync heartbeat was sent (ms)
+  const startAtRef = useRef(startAt);
+  const setEntryRef = useRef(setEntry);
+  const onSetEntryEndRef = useRef(onSetEntryEnd);
+  const hasSetEntryEndedRef = useRef(false); // The entry only ends (and advances the set) once
+  const onJumpToVideoRef = useRef(onJumpToVideo);
+  const [targetEditKey, setTargetEditKey] = useState(null); // Hotcue whose jump target is being chosen
+  const [targetDraft, setTargetDraft] = useState({ video: null, timeText: '' }); // video: { videoId, title }
 
   // Keep refs in sync with state
   useEffect(() => {
     hotcuesRef.current = hotcues;
   }, [hotcues]);
 
+  useEffect(() => {
+    loopsRef.current = loops;
+  }, [loops]);
+
+  useEffect(() => {
+    keyModifierRef.current = keyModifier;
+  }, [keyModifier]);
+
+  useEffect(() => {
+    outputRef.current = output;
+  }, [output]);
+
+  useEffect(() => {
+    startAtRef.current = startAt;
+  }, [startAt]);
+
+  useEffect(() => {
+    setEntryRef.current = setEntry;
+    onSetEntryEndRef.current = onSetEntryEnd;
+  }, [setEntry, onSetEntryEnd]);
+
+  useEffect(() => {
+    onJumpToVideoRef.current = onJumpToVideo;
+  }, [onJumpToVideo]);
+
+  useEffect(() => {
+    isTargetDeckRef.current = isTargetDeck;
+  }, [isTargetDeck]);
+
+  useEffect(() => {
+    createPlayerRef.current = createPlayer;
+  }, [createPlayer]);
+
+  useEffect(() => {
+    keyIndexRef.current = buildKeyIndex(keymap);
+  }, [keymap]);
+
+  // Apply crossfader level to the player volume (opacity is applied when rendering)
+  useEffect(() => {
+    mixLevelRef.current = mixLevel;
+    if (playerRef.current && isPlayerReady) {
+      try {
+        playerRef.current.setVolume(Math.round(mixLevel * 100));
+      } catch (e) {
+        console.warn('Could not set volume:', e);
+      }
+    }
+  }, [mixLevel, isPlayerReady]);
+
   useEffect(() => {
     isPlayerReadyRef.current = isPlayerReady;
   }, [isPlayerReady]);
 
-  // Load initial hotcues when video changes
+  // Load initial hotcues when video changes (empty banks if no initial hotcues provided)
   useEffect(() => {
-    if (initialHotcues) {
-      console.log('Loading initial hotcues:', initialHotcues);
-      const normalized = normalizeHotcues(initialHotcues);
-      setHotcues(normalized);
-      hotcuesRef.current = normalized;
-      initialHotcuesRef.current = normalized; // Update initial reference
-    } else {
-      // Clear hotcues if no initial hotcues provided
-      setHotcues({});
-      hotcuesRef.current = {};
-      initialHotcuesRef.current = {};
-    }
+    console.log('Loading initial hotcues:', initialHotcues);
+    const normalized = normalizeHotcues(initialHotcues);
+    setBanks(normalized);
+    banksRef.current = normalized;
+    initialBanksRef.current = normalized; // Update initial reference
+    setActiveBank(0);
+    activeBankRef.current = 0;
+    hotcuesRef.current = normalized[0].hotcues;
+    undoStackRef.current = [];
+    redoStackRef.current = [];
+    setHistoryCounts({ undo: 0, redo: 0 });
   }, [videoId, initialHotcues]);
 
+  // Load initial loops when video changes
+  useEffect(() => {
+    const normalized = normalizeLoops(initialLoops);
+    setLoops(normalized);
+    loopsRef.current = normalized;
+    initialLoopsRef.current = normalized;
+    setActiveLoopIndex(null);
+    activeLoopIndexRef.current = null;
+    lastLoopIndexRef.current = null;
+    setPendingLoopIn(null);
+    pendingLoopInRef.current = null;
+  }, [videoId, initialLoops]);
+
+  // Load initial default rate when video changes (applied to the player once it's ready)
+  useEffect(() => {
+    const rate = normalizeRate(initialDefaultRate);
+    setDefaultRate(rate);
+    defaultRateRef.current = rate;
+    initialDefaultRateRef.current = rate;
+    setPlaybackRateState(rate);
+    playbackRateRef.current = rate;
+  }, [videoId, initialDefaultRate]);
+
+  // Load initial beat grid when video changes
+  useEffect(() => {
+    const grid = normalizeBeatGrid(initialBpm, initialBeatOffset);
+    setBeatGrid(grid);
+    beatGridRef.current = grid;
+    initialBeatGridRef.current = grid;
+    tapTimesRef.current = [];
+  }, [videoId, initialBpm, initialBeatOffset]);
+
+  // Load initial trim when video changes
+  useEffect(() => {
+    const normalized = normalizeTrim(initialTrim);
+    setTrim(normalized);
+    trimRef.current = normalized;
+    initialTrimRef.current = normalized;
+  }, [videoId, initialTrim]);
+
+  // Load initial effects when video changes
+  useEffect(() => {
+    const normalized = normalizeEffects(initialEffects);
+    setEffects(normalized);
+    effectsRef.current = normalized;
+    initialEffectsRef.current = normalized;
+    setActiveEffectSlots([]);
+    activeEffectSlotsRef.current = [];
+    hotcueEffectSlotsRef.current = {};
+  }, [videoId, initialEffects]);
+
+  // Load initial tags when video changes
+  useEffect(() => {
+    const normalized = normalizeTags(initialTags);
+    setTags(normalized);
+    tagsRef.current = normalized;
+    initialTagsRef.current = normalized;
+  }, [videoId, initialTags]);
+
+  // Load initial takes when video changes
+  useEffect(() => {
+    const normalized = normalizeTakes(initialTakes);
+    setTakes(normalized);
+    takesRef.current = normalized;
+    initialTakesRef.current = normalized;
+  }, [videoId, initialTakes]);
+
+  // Stop any replay when the player goes away
+  useEffect(() => {
+    return () => {
+      if (cancelReplayRef.current) {
+        cancelReplayRef.current();
+      }
+    };
+  }, []);
+
+  // Don't let a quantized jump fire after the player is gone
+  useEffect(() => {
+    return () => {
+      if (quantizedJumpRef.current) {
+        clearTimeout(quantizedJumpRef.current);
+      }
+    };
+  }, []);
+
+  // Replace every bank, keeping the refs in step. Every hotcue edit goes through here,
+  // so this is where the previous state is pushed onto the undo stack.
+  const commitBanks = useCallback((newBanks, recordHistory = true) => {
+    if (recordHistory) {
+      undoStackRef.current = [...undoStackRef.current, { banks: banksRef.current, activeBank: activeBankRef.current }]
+        .slice(-HOTCUE_HISTORY_LIMIT);
+      redoStackRef.current = [];
+      setHistoryCounts({ undo: undoStackRef.current.length, redo: 0 });
+    }
+    setBanks(newBanks);
+    banksRef.current = newBanks; // Update ref immediately
+    hotcuesRef.current = newBanks[activeBankRef.current].hotcues;
+  }, []);
+
+  // Replace the active bank's hotcues
+  const commitHotcues = useCallback((newHotcues) => {
+    commitBanks(banksRef.current.map((bank, index) => (
+      index === activeBankRef.current ? { ...bank, hotcues: newHotcues } : bank
+    )));
+  }, [commitBanks]);
+
+  // Switch the bank the hotcue keys (and MIDI pads) trigger
+  const selectBank = useCallback((index) => {
+    if (index < 0 || index >= HOTCUE_BANK_COUNT || index === activeBankRef.current) return;
+    console.log('Switching to hotcue bank:', index + 1);
+    setActiveBank(index);
+    activeBankRef.current = index;
+    hotcuesRef.current = banksRef.current[index].hotcues;
+  }, []);
+
+  // Step back / forward through hotcue history, switching to the bank the edit was made in
+  const undoHotcues = useCallback(() => {
+    const entry = undoStackRef.current[undoStackRef.current.length - 1];
+    if (!entry) return;
+    undoStackRef.current = undoStackRef.current.slice(0, -1);
+    redoStackRef.current = [...redoStackRef.current, { banks: banksRef.current, activeBank: entry.activeBank }];
+    setHistoryCounts({ undo: undoStackRef.current.length, redo: redoStackRef.current.length });
+    selectBank(entry.activeBank);
+    commitBanks(entry.banks, false);
+  }, [commitBanks, selectBank]);
+
+  const redoHotcues = useCallback(() => {
+    const entry = redoStackRef.current[redoStackRef.current.length - 1];
+    if (!entry) return;
+    redoStackRef.current = redoStackRef.current.slice(0, -1);
+    undoStackRef.current = [...undoStackRef.current, { banks: banksRef.current, activeBank: entry.activeBank }];
+    setHistoryCounts({ undo: undoStackRef.current.length, redo: redoStackRef.current.length });
+    selectBank(entry.activeBank);
+    commitBanks(entry.banks, false);
+  }, [commitBanks, selectBank]);
+
+  const renameBank = useCallback((index, name) => {
+    commitBanks(banksRef.current.map((bank, i) => (i === index ? { ...bank, name } : bank)));
+  }, [commitBanks]);
+
+  // Move a hotcue in the active bank to an exact time
+  const setHotcueTime = useCallback((key, time) => {
+    const hotcue = hotcuesRef.current[key];
+    if (!hotcue || typeof time !== 'number' || isNaN(time)) return;
+    const newTime = Number(Math.max(0, time).toFixed(6)); // Keep nudged times free of float noise
+    console.log('Moving hotcue:', key, 'to time:', newTime);
+    commitHotcues({ ...hotcuesRef.current, [key]: { ...hotcue, time: newTime } });
+  }, [commitHotcues]);
+
+  // Move a hotcue to a new time, snapping to the beat grid like new hotcues do
+  const retimeHotcue = useCallback((key, time) => {
+    if (typeof time !== 'number' || isNaN(time)) return;
+    let newTime = Math.max(0, time);
+    if (snapToBeatRef.current && beatGridRef.current.bpm) {
+      newTime = nearestBeatTime(newTime, beatGridRef.current.bpm, beatGridRef.current.offset);
+    }
+    setHotcueTime(key, newTime);
+  }, [setHotcueTime]);
+
+  const nudgeHotcue = useCallback((key, seconds) => {
+    const hotcue = hotcuesRef.current[key];
+    if (!hotcue) return;
+    setHotcueTime(key, hotcue.time + seconds);
+  }, [setHotcueTime]);
+
+  // Re-record a hotcue at the current time, keeping its name, mode and colour
+  const rerecordHotcue = useCallback((key) => {
+    if (!playerRef.current || !isPlayerReadyRef.current) return;
+    try {
+      retimeHotcue(key, playerRef.current.getTime());
+    } catch (error) {
+      console.error('Error re-recording hotcue:', error);
+    }
+  }, [retimeHotcue]);
+
+  const selectHotcue = useCallback((key) => {
+    setSelectedHotcueKeyState(key);
+    selectedHotcueKeyRef.current = key;
+  }, []);
+
   // Function to check if hotcues have changed
   const hasUnsavedChanges = useCallback(() => {
-    const current = hotcuesRef.current;
-    const initial = initialHotcuesRef.current;
+    const currentBanks = banksRef.current;
+    const initialBanks = initialBanksRef.current;
+    for (let bankIndex = 0; bankIndex < currentBanks.length; bankIndex++) {
+      if (currentBanks[bankIndex].name !== initialBanks[bankIndex].name) {
+        return true; // Bank renamed
+      }
+
+      const current = currentBanks[bankIndex].hotcues;
+      const initial = initialBanks[bankIndex].hotcues;
     
-    // Compare keys
-    const currentKeys = Object.keys(current || {});
-    const initialKeys = Object.keys(initial || {});
+      // Compare keys
+      const currentKeys = Object.keys(current || {});
+      const initialKeys = Object.keys(initial || {});
     
-    if (currentKeys.length !== initialKeys.length) {
-      return true; // Keys added or removed
-    }
+      if (currentKeys.length !== initialKeys.length) {
+        return true; // Keys added or removed
+      }
     
-    // Check each key for changes
-    for (const key of currentKeys) {
-      const currentHotcue = current[key];
-      const initialHotcue = initial[key];
+      // Check each key for changes
+      for (const key of currentKeys) {
+        const currentHotcue = current[key];
+        const initialHotcue = initial[key];
       
-      if (!initialHotcue) {
-        return true; // New hotcue added
-      }
+        if (!initialHotcue) {
+          return true; // New hotcue added
+        }
       
-      // Compare time
-      const currentTime = typeof currentHotcue === 'number' ? currentHotcue : currentHotcue.time;
-      const initialTime = typeof initialHotcue === 'number' ? initialHotcue : initialHotcue.time;
+        // Compare time
+        const currentTime = typeof currentHotcue === 'number' ? currentHotcue : currentHotcue.time;
+        const initialTime = typeof initialHotcue === 'number' ? initialHotcue : initialHotcue.time;
       
-      if (currentTime !== initialTime) {
-        return true; // Time changed
-      }
+        if (currentTime !== initialTime) {
+          return true; // Time changed
+        }
       
-      // Compare name
-      const currentName = typeof currentHotcue === 'object' ? (currentHotcue.name || '') : '';
-      const initialName = typeof initialHotcue === 'object' ? (initialHotcue.name || '') : '';
+        // Compare name
+        const currentName = typeof currentHotcue === 'object' ? (currentHotcue.name || '') : '';
+        const initialName = typeof initialHotcue === 'object' ? (initialHotcue.name || '') : '';
       
-      if (currentName !== initialName) {
-        return true; // Name changed
+        if (currentName !== initialName) {
+          return true; // Name changed
+        }
+
+        if (currentHotcue.mode !== initialHotcue.mode) {
+          return true; // Trigger mode changed
+        }
+
+        if (currentHotcue.color !== initialHotcue.color) {
+          return true; // Colour changed
+        }
+
+        if (JSON.stringify(currentHotcue.target || null) !== JSON.stringify(initialHotcue.target || null)) {
+          return true; // Jump target changed
+        }
       }
-    }
     
-    // Check for deleted hotcues
-    for (const key of initialKeys) {
-      if (!current[key]) {
-        return true; // Hotcue deleted
+      // Check for deleted hotcues
+      for (const key of initialKeys) {
+        if (!current[key]) {
+          return true; // Hotcue deleted
+        }
       }
     }
+
+    // Compare loops (order matters - it's the order they're listed in). A temporary loop isn't saved.
+    const currentLoops = savedLoops(loopsRef.current);
+    const initialLoops = initialLoopsRef.current;
+    if (currentLoops.length !== initialLoops.length) {
+      return true; // Loops added or removed
+    }
+    for (let i = 0; i < currentLoops.length; i++) {
+      if (currentLoops[i].start !== initialLoops[i].start ||
+          currentLoops[i].end !== initialLoops[i].end ||
+          currentLoops[i].name !== initialLoops[i].name) {
+        return true; // Loop changed
+      }
+    }
+
+    if (defaultRateRef.current !== initialDefaultRateRef.current) {
+      return true; // Default rate changed
+    }
+
+    if (beatGridRef.current.bpm !== initialBeatGridRef.current.bpm ||
+        beatGridRef.current.offset !== initialBeatGridRef.current.offset) {
+      return true; // Beat grid changed
+    }
+
+    if (JSON.stringify(takesRef.current) !== JSON.stringify(initialTakesRef.current)) {
+      return true; // Takes recorded, renamed or deleted
+    }
+
+    if (JSON.stringify(effectsRef.current) !== JSON.stringify(initialEffectsRef.current)) {
+      return true; // Effect assignments changed
+    }
+
+    if (JSON.stringify(tagsRef.current) !== JSON.stringify(initialTagsRef.current)) {
+      return true; // Tags added or removed
+    }
+
+    if (trimRef.current.start !== initialTrimRef.current.start ||
+        trimRef.current.end !== initialTrimRef.current.end ||
+        trimRef.current.endMode !== initialTrimRef.current.endMode) {
+      return true; // Trim changed
+    }
     
     return false;
   }, []);
 
   // Note: handleSave is defined later, so we'll update this in a useEffect after handleSave is defined
 
-  // Load YouTube IFrame API script
-  useEffect(() => {
-    if (!window.YT) {
-      const tag = document.createElement('script');
-      tag.src = 'https://www.youtube.com/iframe_api';
-      const firstScriptTag = document.getElementsByTagName('script')[0];
-      firstScriptTag.parentNode.insertBefore(tag, firstScriptTag);
+  // Send a message to the output window, if this deck is on it
+  const sendOutput = useCallback((message) => {
+    if (outputRef.current) {
+      outputRef.current.post(message);
+    }
+  }, []);
+
+  const endSetEntry = useCallback(() => {
+    if (hasSetEntryEndedRef.current || !onSetEntryEndRef.current) return;
+    hasSetEntryEndedRef.current = true;
+    onSetEntryEndRef.current();
+  }, []);
+
+  // Add an event to the take being recorded (if any), stamped with ms since recording started
+  const recordEvent = useCallback((event) => {
+    const recording = recordingRef.current;
+    if (!recording) return;
+    if (event.type === 'play' || event.type === 'pause') {
+      if (lastRecordedTransportRef.current === event.type) return;
+      lastRecordedTransportRef.current = event.type;
     }
+    recording.events.push({ at: Date.now() - recording.startedAt, ...event });
   }, []);
 
-  // Initialize YouTube player using IFrame API directly
+  // Wrap the adapter so every seek made through it (hotcues, loops, trim, the timeline) goes into the
+  // take being recorded. Seeks made in the YouTube controls are picked up by the time update instead.
+  const recordSeeks = useCallback((adapter) => {
+    const recorded = Object.create(adapter);
+    recorded.seek = (seconds) => {
+      adapter.seek(seconds);
+      lastSeekAtRef.current = Date.now();
+      recordEvent({ type: 'seek', time: seconds });
+    };
+    return recorded;
+  }, [recordEvent]);
+
+  // Create the player through its adapter whenever the video changes
   useEffect(() => {
     if (!videoId || !containerRef.current) {
       setIsPlayerReady(false);
@@ -150,224 +650,949 @@ export const CustomVideoPlayer = forwardRef(({ videoId, youtubeUrl, initialHotcu
     setIsPlayerReady(false);
     setCurrentTime(0);
     setIsPlaying(false);
+    hasStartedPlayingRef.current = false;
+    hasSetEntryEndedRef.current = false;
+
+    const player = createPlayerRef.current(containerRef.current, {
+      videoId,
+      onReady: (readyPlayer) => {
+        console.log('Player ready');
+        // The adapter may report ready before the factory has returned
+        playerRef.current = recordSeeks(mirrorAdapter(readyPlayer, sendOutput));
+        setIsPlayerReady(true);
+        // Get initial duration
+        try {
+          const videoDuration = readyPlayer.getDuration();
+          if (typeof videoDuration === 'number' && !isNaN(videoDuration) && videoDuration > 0) {
+            setDuration(videoDuration);
+          }
+        } catch (e) {
+          console.warn('Could not get initial duration:', e);
+        }
+        // Get the rates this video supports and start at the video's default rate
+        try {
+          const rates = readyPlayer.getAvailableRates();
+          if (Array.isArray(rates) && rates.length > 0) {
+            setAvailableRates(rates);
+            availableRatesRef.current = rates;
+          }
+          readyPlayer.setRate(playbackRateRef.current);
+        } catch (e) {
+          console.warn('Could not set initial playback rate:', e);
+        }
+        try {
+          readyPlayer.setVolume(Math.round(mixLevelRef.current * 100));
+        } catch (e) {
+          console.warn('Could not set initial volume:', e);
+        }
+        // Videos loaded by a setlist or a cross-video hotcue start at their own time (instead of trim-in)
+        const start = startAtRef.current;
+        if (start) {
+          if (typeof start.time === 'number') {
+            playerRef.current.seek(start.time);
+            hasStartedPlayingRef.current = true;
+          }
+          if (start.autoPlay) {
+            playerRef.current.play();
+          }
+        }
+      },
+      onStateChange: (state) => {
+        setIsPlaying(state === PlayerStates.PLAYING);
+        // Start from trim-in on the first play, and again when played from trim-out
+        if (state === PlayerStates.PLAYING && playerRef.current) {
+          const { start, end } = trimRef.current;
+          const time = playerRef.current.getTime();
+          if ((!hasStartedPlayingRef.current && time < start) || (end !== null && time >= end)) {
+            playerRef.current.seek(start);
+          }
+          hasStartedPlayingRef.current = true;
+        }
+        if (state === PlayerStates.ENDED && setEntryRef.current && setEntryRef.current.endMode === 'advance') {
+          endSetEntry();
+        }
+        // Record play / pause from any source, including the YouTube controls. The output window hears
+        // about them from the adapter (mirrorAdapter), or from the sync heartbeat for the YouTube controls.
+        if (state === PlayerStates.PLAYING) {
+          recordEvent({ type: 'play' });
+        } else if (state === PlayerStates.PAUSED) {
+          recordEvent({ type: 'pause' });
+        }
+      },
+      onError: (error) => {
+        console.error('Player error:', error);
+      }
+    });
+    playerRef.current = recordSeeks(mirrorAdapter(player, sendOutput));
+
+    return () => {
+      setIsPlayerReady(false);
+      player.destroy();
+      playerRef.current = null;
+      if (timeUpdateIntervalRef.current) {
+        clearInterval(timeUpdateIntervalRef.current);
+      }
+    };
+  }, [videoId, recordEvent, recordSeeks, sendOutput, endSetEntry]);
+
+  // Update current time periodically
+  useEffect(() => {
+    if (!isPlayerReady || !playerRef.current) {
+      return;
+    }
+
+    let lastTime = null; // Time at the previous update, to tell playing through a time from jumping past it
+    let lastUpdateAt = Date.now();
+    timeUpdateIntervalRef.current = setInterval(() => {
+      if (playerRef.current && isPlayerReady) {
+        try {
+          // Check if getTime method exists
+          if (typeof playerRef.current.getTime === 'function') {
+            const time = playerRef.current.getTime();
+            if (typeof time === 'number' && !isNaN(time)) {
+              setCurrentTime(time);
+              // A jump nobody asked the adapter for is a seek in the YouTube controls - record it too
+              const elapsed = (Date.now() - lastUpdateAt) / 1000;
+              const isJump = lastTime !== null && (time < lastTime - 0.5 || time > lastTime + elapsed * playbackRateRef.current + 1);
+              if (isJump && Date.now() - lastSeekAtRef.current > 500) {
+                recordEvent({ type: 'seek', time });
+              }
+              lastUpdateAt = Date.now();
+              // Jump back to loop-in whenever playback reaches loop-out
+              const activeLoop = activeLoopIndexRef.current !== null ? loopsRef.current[activeLoopIndexRef.current] : null;
+              if (activeLoop && time >= activeLoop.end) {
+                playerRef.current.seek(activeLoop.start);
+              }
+              // Heartbeat to the output window, which corrects any drift
+              if (outputRef.current && Date.now() - lastOutputSyncRef.current >= OUTPUT_SYNC_INTERVAL) {
+                lastOutputSyncRef.current = Date.now();
+                outputRef.current.post({ type: 'sync', time, isPlaying: playerRef.current.getState() === PlayerStates.PLAYING });
+              }
+              // Advance the setlist when playback runs into the end of the entry
+              const currentTrim = trimRef.current;
+              const endTime = setEntryEndTime(setEntryRef.current, banksRef.current, currentTrim, playerRef.current.getDuration());
+              if (endTime !== null && lastTime !== null && lastTime < endTime && time >= endTime && time - lastTime < 1) {
+                endSetEntry();
+              }
+              lastTime = time;
+              // Never play past trim-out
+              if (currentTrim.end !== null && time >= currentTrim.end && playerRef.current.getState() === PlayerStates.PLAYING) {
+                if (currentTrim.endMode === 'loop') {
+                  playerRef.current.seek(currentTrim.start);
+                } else {
+                  playerRef.current.pause();
+                  playerRef.current.seek(currentTrim.end);
+                }
+              }
+            }
+          }
+          // Update duration periodically (in case it changes or wasn't available initially)
+          if (typeof playerRef.current.getDuration === 'function') {
+            const videoDuration = playerRef.current.getDuration();
+            if (typeof videoDuration === 'number' && !isNaN(videoDuration) && videoDuration > 0) {
+              setDuration(videoDuration);
+            }
+          }
+        } catch (e) {
+          // Silently ignore errors - player might not be ready yet
+        }
+      }
+    }, 100); // Update every 100ms for millisecond precision
+
+    return () => {
+      if (timeUpdateIntervalRef.current) {
+        clearInterval(timeUpdateIntervalRef.current);
+      }
+    };
+  }, [isPlayerReady, endSetEntry, recordEvent]);
+
+  // Activate a loop by index (or deactivate with null)
+  const activateLoop = useCallback((index) => {
+    setActiveLoopIndex(index);
+    activeLoopIndexRef.current = index;
+    if (index !== null) {
+      lastLoopIndexRef.current = index;
+    }
+    const loop = index !== null ? loopsRef.current[index] : null;
+    sendOutput({ type: 'loop', loop: loop ? { start: loop.start, end: loop.end } : null });
+  }, [sendOutput]);
+
+  // Send everything the output window needs to catch up with this deck
+  const sendOutputState = useCallback(() => {
+    const player = playerRef.current;
+    const isReady = !!player && isPlayerReadyRef.current;
+    const activeLoop = activeLoopIndexRef.current !== null ? loopsRef.current[activeLoopIndexRef.current] : null;
+    sendOutput({
+      type: 'state',
+      videoId,
+      src: outputSrc,
+      time: isReady ? player.getTime() : trimRef.current.start,
+      isPlaying: isReady && player.getState() === PlayerStates.PLAYING,
+      rate: playbackRateRef.current,
+      loop: activeLoop ? { start: activeLoop.start, end: activeLoop.end } : null,
+      effects: activeEffectSlotsRef.current.map(slot => effectsRef.current[slot]).filter(Boolean)
+    });
+  }, [videoId, outputSrc, sendOutput]);
+
+  // Catch the output window up when this deck is put on it, and once the player is ready
+  useEffect(() => {
+    if (output) {
+      sendOutputState();
+    }
+  }, [output, isPlayerReady, sendOutputState]);
+
+  // Make a temporary loop (replacing the last one), make it active and start playing from loop-in
+  const startNewLoop = useCallback((start, end) => {
+    const newLoops = [...savedLoops(loopsRef.current), { start, end, name: '', temporary: true }];
+    setLoops(newLoops);
+    loopsRef.current = newLoops; // Update ref immediately
+    activateLoop(newLoops.length - 1);
+    try {
+      playerRef.current.seek(start);
+      playerRef.current.play();
+    } catch (error) {
+      console.error('Error starting loop:', error);
+    }
+  }, [activateLoop]);
+
+  const handleLoopIn = useCallback(() => {
+    const currentPlayer = playerRef.current;
+    if (!currentPlayer || !isPlayerReadyRef.current) return;
+    try {
+      const time = currentPlayer.getTime();
+      if (typeof time === 'number' && !isNaN(time)) {
+        console.log('Setting loop-in at time:', time);
+        setPendingLoopIn(time);
+        pendingLoopInRef.current = time;
+      }
+    } catch (error) {
+      console.error('Error setting loop-in:', error);
+    }
+  }, []);
+
+  const handleLoopOut = useCallback(() => {
+    const currentPlayer = playerRef.current;
+    const loopIn = pendingLoopInRef.current;
+    if (!currentPlayer || !isPlayerReadyRef.current || loopIn === null) return;
+    try {
+      const time = currentPlayer.getTime();
+      if (typeof time === 'number' && !isNaN(time) && time > loopIn) {
+        console.log('Setting loop-out at time:', time);
+        setPendingLoopIn(null);
+        pendingLoopInRef.current = null;
+        startNewLoop(loopIn, time);
+      }
+    } catch (error) {
+      console.error('Error setting loop-out:', error);
+    }
+  }, [startNewLoop]);
+
+  // Exit the active loop, or re-enter the last one if none is active
+  const handleLoopToggle = useCallback(() => {
+    if (activeLoopIndexRef.current !== null) {
+      activateLoop(null);
+      return;
+    }
+    const lastIndex = lastLoopIndexRef.current;
+    const lastLoop = lastIndex !== null ? loopsRef.current[lastIndex] : null;
+    if (lastLoop && playerRef.current && isPlayerReadyRef.current) {
+      activateLoop(lastIndex);
+      try {
+        playerRef.current.seek(lastLoop.start);
+        playerRef.current.play();
+      } catch (error) {
+        console.error('Error re-entering loop:', error);
+      }
+    }
+  }, [activateLoop]);
+
+  // Start a fixed-length loop at the last triggered hotcue (or the current time if none)
+  const handleFixedLoop = useCallback((seconds) => {
+    const currentPlayer = playerRef.current;
+    if (!currentPlayer || !isPlayerReadyRef.current) return;
+    try {
+      const lastHotcue = lastHotcueRef.current;
+      const hotcue = lastHotcue ? banksRef.current[lastHotcue.bank].hotcues[lastHotcue.key] : null;
+      const start = hotcue ? hotcue.time : currentPlayer.getTime();
+      if (typeof start === 'number' && !isNaN(start)) {
+        console.log(`Starting ${seconds}s loop at time:`, start);
+        startNewLoop(start, start + seconds);
+      }
+    } catch (error) {
+      console.error('Error starting fixed-length loop:', error);
+    }
+  }, [startNewLoop]);
+
+  const handleLoopSelect = useCallback((index) => {
+    if (activeLoopIndexRef.current === index) {
+      activateLoop(null);
+      return;
+    }
+    const loop = loopsRef.current[index];
+    if (!loop || !playerRef.current || !isPlayerReadyRef.current) return;
+    activateLoop(index);
+    try {
+      playerRef.current.seek(loop.start);
+      playerRef.current.play();
+    } catch (error) {
+      console.error('Error activating loop:', error);
+    }
+  }, [activateLoop]);
+
+  const clearLoop = useCallback((index) => {
+    const newLoops = loopsRef.current.filter((_, i) => i !== index);
+    setLoops(newLoops);
+    loopsRef.current = newLoops; // Update ref immediately
+    // Keep the active/last loop indexes pointing at the same loops
+    const shiftIndex = (current) => {
+      if (current === null || current === index) return null;
+      return current > index ? current - 1 : current;
+    };
+    activateLoop(shiftIndex(activeLoopIndexRef.current));
+    lastLoopIndexRef.current = shiftIndex(lastLoopIndexRef.current);
+  }, [activateLoop]);
+
+  // Keep a temporary loop, so it's saved with the video
+  const keepLoop = useCallback((index) => {
+    const newLoops = loopsRef.current.map((loop, i) => (i === index ? { start: loop.start, end: loop.end, name: loop.name } : loop));
+    setLoops(newLoops);
+    loopsRef.current = newLoops; // Update ref immediately
+  }, []);
+
+  // Set the rate on the player without changing the slider rate (used by nudges)
+  const applyPlaybackRate = useCallback((rate) => {
+    if (!playerRef.current || !isPlayerReadyRef.current) return;
+    try {
+      playerRef.current.setRate(rate);
+    } catch (error) {
+      console.error('Error setting playback rate:', error);
+    }
+  }, []);
+
+  const handleRateChange = useCallback((rate) => {
+    setPlaybackRateState(rate);
+    playbackRateRef.current = rate;
+    // A held nudge keeps priority - the new rate is applied when it's released
+    if (!nudgeKeyRef.current) {
+      applyPlaybackRate(rate);
+    }
+  }, [applyPlaybackRate]);
+
+  const handleRateReset = useCallback(() => {
+    handleRateChange(1);
+  }, [handleRateChange]);
+
+  // Temporarily switch to the next faster (1) or slower (-1) available rate until released
+  const startNudge = useCallback((direction, nudgeKey) => {
+    if (nudgeKeyRef.current) return;
+    const rates = availableRatesRef.current;
+    const baseRate = playbackRateRef.current;
+    const nudgedRate = direction > 0
+      ? rates.find(rate => rate > baseRate)
+      : [...rates].reverse().find(rate => rate < baseRate);
+    if (nudgedRate === undefined) return; // Already at the fastest / slowest rate
+    nudgeKeyRef.current = nudgeKey;
+    setNudgeDirection(direction);
+    applyPlaybackRate(nudgedRate);
+  }, [applyPlaybackRate]);
+
+  const stopNudge = useCallback((nudgeKey) => {
+    if (nudgeKeyRef.current !== nudgeKey) return;
+    nudgeKeyRef.current = null;
+    setNudgeDirection(0);
+    // Snap back to the slider rate
+    applyPlaybackRate(playbackRateRef.current);
+  }, [applyPlaybackRate]);
+
+  const handleSetDefaultRate = useCallback(() => {
+    setDefaultRate(playbackRateRef.current);
+    defaultRateRef.current = playbackRateRef.current;
+  }, []);
+
+  const updateBeatGrid = useCallback((grid) => {
+    setBeatGrid(grid);
+    beatGridRef.current = grid;
+  }, []);
+
+  // Tap tempo - BPM comes from the average gap between taps, the first tap marks a downbeat
+  const handleTap = useCallback(() => {
+    const taps = addTap(tapTimesRef.current, performance.now());
+    tapTimesRef.current = taps;
+    if (taps.length === 1) {
+      firstTapTimeRef.current = null;
+      try {
+        if (playerRef.current && isPlayerReadyRef.current) {
+          const time = playerRef.current.getTime();
+          if (typeof time === 'number' && !isNaN(time)) {
+            firstTapTimeRef.current = time;
+          }
+        }
+      } catch (error) {
+        console.error('Error reading time for tap tempo:', error);
+      }
+    }
+    const bpm = bpmFromTaps(taps, playbackRateRef.current);
+    if (bpm) {
+      const offset = firstTapTimeRef.current !== null
+        ? firstDownbeat(firstTapTimeRef.current, bpm)
+        : beatGridRef.current.offset;
+      updateBeatGrid({ bpm, offset });
+    }
+  }, [updateBeatGrid]);
+
+  const updateTrim = useCallback((newTrim) => {
+    setTrim(newTrim);
+    trimRef.current = newTrim;
+  }, []);
+
+  // Set trim-in / trim-out at the current time. A trim-out before trim-in (or the
+  // other way round) replaces the point it crosses.
+  const handleSetTrimIn = useCallback(() => {
+    if (!playerRef.current || !isPlayerReadyRef.current) return;
+    try {
+      const time = playerRef.current.getTime();
+      if (typeof time === 'number' && !isNaN(time)) {
+        updateTrim(normalizeTrim({ ...trimRef.current, start: time }));
+      }
+    } catch (error) {
+      console.error('Error setting trim-in:', error);
+    }
+  }, [updateTrim]);
+
+  const handleSetTrimOut = useCallback(() => {
+    if (!playerRef.current || !isPlayerReadyRef.current) return;
+    try {
+      const time = playerRef.current.getTime();
+      if (typeof time === 'number' && !isNaN(time)) {
+        const { start } = trimRef.current;
+        updateTrim(normalizeTrim({ ...trimRef.current, start: time > start ? start : 0, end: time }));
+      }
+    } catch (error) {
+      console.error('Error setting trim-out:', error);
+    }
+  }, [updateTrim]);
+
+  const handleBpmChange = useCallback((bpm) => {
+    updateBeatGrid(normalizeBeatGrid(bpm, beatGridRef.current.offset));
+  }, [updateBeatGrid]);
+
+  // Mark the current time as a downbeat
+  const handleSetDownbeat = useCallback(() => {
+    const { bpm } = beatGridRef.current;
+    if (!bpm || !playerRef.current || !isPlayerReadyRef.current) return;
+    try {
+      const time = playerRef.current.getTime();
+      if (typeof time === 'number' && !isNaN(time)) {
+        updateBeatGrid({ bpm, offset: firstDownbeat(time, bpm) });
+      }
+    } catch (error) {
+      console.error('Error setting downbeat:', error);
+    }
+  }, [updateBeatGrid]);
+
+  const handleQuantizeChange = useCallback((value) => {
+    setQuantizeState(value);
+    quantizeRef.current = value;
+  }, []);
+
+  const handleSnapToBeatChange = useCallback((value) => {
+    setSnapToBeatState(value);
+    snapToBeatRef.current = value;
+  }, []);
+
+  // Quantize delay in ms before a hotcue jump lands on the next beat / bar (0 = jump now)
+  const getQuantizeDelay = useCallback(() => {
+    const { bpm, offset } = beatGridRef.current;
+    const currentPlayer = playerRef.current;
+    if (quantizeRef.current === 'off' || !bpm || !currentPlayer) return 0;
+    try {
+      // Only wait for the beat while the video is actually playing
+      if (currentPlayer.getState() !== PlayerStates.PLAYING) return 0;
+      const time = currentPlayer.getTime();
+      if (typeof time !== 'number' || isNaN(time)) return 0;
+      const beatsPerStep = quantizeRef.current === 'bar' ? BEATS_PER_BAR : 1;
+      const target = nextGridTime(time, bpm, offset, beatsPerStep);
+      // Convert video seconds to wall-clock ms at the current rate
+      return Math.max(0, ((target - time) / playbackRateRef.current) * 1000);
+    } catch (error) {
+      console.error('Error calculating quantize delay:', error);
+      return 0;
+    }
+  }, []);
+
+  const cancelQuantizedJump = useCallback(() => {
+    if (quantizedJumpRef.current) {
+      clearTimeout(quantizedJumpRef.current);
+      quantizedJumpRef.current = null;
+    }
+  }, []);
+
+  // Seek to a hotcue and play from there, waiting for the next beat / bar if quantize is on
+  const jumpToHotcue = useCallback((key, hotcueTime) => {
+    const currentPlayer = playerRef.current;
+    const jump = () => {
+      try {
+        console.log('Jumping to hotcue:', key, 'at time:', hotcueTime);
+        // Seek to the exact millisecond timecode
+        currentPlayer.seek(hotcueTime);
+        // Play from that point
+        currentPlayer.play();
+      } catch (error) {
+        console.error('Error jumping to hotcue:', error);
+      }
+    };
+    // A newer press replaces any jump still waiting for its beat
+    cancelQuantizedJump();
+    const quantizeDelay = getQuantizeDelay();
+    if (quantizeDelay > 0) {
+      quantizedJumpRef.current = setTimeout(() => {
+        quantizedJumpRef.current = null;
+        jump();
+      }, quantizeDelay);
+    } else {
+      jump();
+    }
+  }, [cancelQuantizedJump, getQuantizeDelay]);
+
+  // Jump to a cross-video hotcue's target - in this video if it points here, otherwise the app loads it
+  const jumpToTarget = useCallback((key, target) => {
+    if (target.videoId === videoId) {
+      jumpToHotcue(key, target.time);
+    } else if (onJumpToVideoRef.current) {
+      console.log('Jumping to hotcue target in another video:', target);
+      onJumpToVideoRef.current(target);
+    }
+  }, [videoId, jumpToHotcue]);
+
+  // Switch effect slots on / off, keeping the output window's effects in step
+  const setActiveEffects = useCallback((slots) => {
+    setActiveEffectSlots(slots);
+    activeEffectSlotsRef.current = slots;
+    sendOutput({ type: 'effects', effects: slots.map(slot => effectsRef.current[slot]).filter(Boolean) });
+  }, [sendOutput]);
+
+  // Effect key / pad / hotcue pressed - a held effect comes on, a latched one switches over
+  const pressEffect = useCallback((slot) => {
+    const effect = effectsRef.current[slot];
+    if (!effect) return;
+    const active = activeEffectSlotsRef.current;
+    if (effect.mode === 'latched' && active.includes(slot)) {
+      setActiveEffects(active.filter(activeSlot => activeSlot !== slot));
+    } else if (!active.includes(slot)) {
+      setActiveEffects([...active, slot]);
+    }
+  }, [setActiveEffects]);
+
+  // Effect released - only held effects go off
+  const releaseEffect = useCallback((slot) => {
+    const effect = effectsRef.current[slot];
+    const active = activeEffectSlotsRef.current;
+    if (effect && effect.mode === 'momentary' && active.includes(slot)) {
+      setActiveEffects(active.filter(activeSlot => activeSlot !== slot));
+    }
+  }, [setActiveEffects]);
+
+  const updateEffect = useCallback((slot, effect) => {
+    const newEffects = effectsRef.current.map((current, index) => (index === slot ? effect : current));
+    setEffects(newEffects);
+    effectsRef.current = newEffects;
+    // Re-send what's on (an emptied slot goes off) so a changed colour shows straight away
+    setActiveEffects(activeEffectSlotsRef.current.filter(activeSlot => newEffects[activeSlot]));
+  }, [setActiveEffects]);
+
+  // Hotcue key pressed - trigger the hotcue according to its mode, or set it at the current time if it isn't set yet
+  const pressHotcue = useCallback((key, isRepeat = false) => {
+    const currentPlayer = playerRef.current;
+    const currentHotcues = hotcuesRef.current;
+    if (!currentPlayer || !isPlayerReadyRef.current) return;
+
+    if (currentHotcues[key] !== undefined) {
+      const hotcue = currentHotcues[key];
+      const hotcueTime = typeof hotcue === 'number' ? hotcue : hotcue.time;
+      const mode = hotcue.mode || 'cue';
+      // Holding a gate / toggle key (or one that loads another video) shouldn't keep re-triggering it
+      if (isRepeat && (mode !== 'cue' || hotcue.target)) return;
+      const bank = activeBankRef.current;
+      const hotcueId = `${bank}:${key}`;
+      recordEvent({ type: 'hotcue', key, bank });
+      setIsSettingHotcue(null);
+      lastHotcueRef.current = { bank, key };
+      selectHotcue(key);
+      // Trigger flash animation
+      setTriggeredHotcue(key);
+      setTimeout(() => setTriggeredHotcue(null), 250); // Flash for 0.25s
+      // Fire the effects bound to this hotcue
+      if (!isRepeat) {
+        const effectSlots = effectSlotsForHotcue(effectsRef.current, bank, key);
+        effectSlots.forEach(pressEffect);
+        hotcueEffectSlotsRef.current[key] = effectSlots;
+      }
+
+      if (hotcue.target) {
+        toggledHotcueIdRef.current = null;
+        gateHotcueRef.current = null;
+        jumpToTarget(key, hotcue.target);
+        return;
+      }
+
+      if (mode === 'toggle' && toggledHotcueIdRef.current === hotcueId) {
+        // Second press of a playing toggle hotcue stops playback
+        let isStillPlaying = !!quantizedJumpRef.current;
+        try {
+          isStillPlaying = isStillPlaying || currentPlayer.getState() === PlayerStates.PLAYING;
+        } catch (error) {
+          console.error('Error reading player state:', error);
+        }
+        if (isStillPlaying) {
+          toggledHotcueIdRef.current = null;
+          cancelQuantizedJump();
+          try {
+            console.log('Stopping toggle hotcue:', key);
+            currentPlayer.pause();
+          } catch (error) {
+            console.error('Error stopping toggle hotcue:', error);
+          }
+          return;
+        }
+      }
+
+      // Hotcue already exists - jump to that exact timecode and play from there
+      toggledHotcueIdRef.current = mode === 'toggle' ? hotcueId : null;
+      gateHotcueRef.current = mode === 'gate' ? { key, bank, time: hotcueTime } : null;
+      jumpToHotcue(key, hotcueTime);
+    } else {
+      // Hotcue doesn't exist - SET it at the current time (don't play)
+      try {
+        let currentTime = currentPlayer.getTime();
+        if (typeof currentTime === 'number' && !isNaN(currentTime)) {
+          // Snap new hotcues to the nearest beat when there's a beat grid
+          if (snapToBeatRef.current && beatGridRef.current.bpm) {
+            currentTime = nearestBeatTime(currentTime, beatGridRef.current.bpm, beatGridRef.current.offset);
+          }
+          console.log('Setting hotcue:', key, 'at time:', currentTime);
+          // Set the hotcue at the exact current timecode (millisecond precision)
+          commitHotcues({ ...currentHotcues, [key]: { time: currentTime, name: '', mode: 'cue', color: autoHotcueColor(currentHotcues), target: null } });
+          selectHotcue(key);
+          
+          // Trigger flash animation when setting - flash white
+          setTriggeredHotcue(key);
+          setTimeout(() => {
+            setTriggeredHotcue(null);
+            setIsSettingHotcue(null);
+          }, 250); // Flash for 0.25s, then clear both states
+          // Note: We do NOT play the video when setting - just set the hotcue
+        }
+      } catch (error) {
+        console.error('Error setting hotcue:', error);
+        setIsSettingHotcue(null);
+        setTriggeredHotcue(null);
+      }
+    }
+  }, [jumpToHotcue, jumpToTarget, cancelQuantizedJump, recordEvent, commitHotcues, selectHotcue, pressEffect]);
+
+  // Hotcue key released - a held gate hotcue pauses and returns to its cue point
+  const releaseHotcue = useCallback((key) => {
+    const effectSlots = hotcueEffectSlotsRef.current[key];
+    if (effectSlots) {
+      delete hotcueEffectSlotsRef.current[key];
+      effectSlots.forEach(releaseEffect);
+    }
+    // The gate remembers its own time, so it still returns there if the bank was switched while held
+    const gate = gateHotcueRef.current;
+    if (!gate || gate.key !== key) return;
+    gateHotcueRef.current = null;
+    recordEvent({ type: 'release', key, bank: gate.bank });
+    cancelQuantizedJump();
+    const currentPlayer = playerRef.current;
+    if (!currentPlayer || !isPlayerReadyRef.current) return;
+    try {
+      console.log('Releasing gate hotcue:', key);
+      currentPlayer.pause();
+      currentPlayer.seek(gate.time);
+    } catch (error) {
+      console.error('Error releasing gate hotcue:', error);
+    }
+  }, [cancelQuantizedJump, recordEvent, releaseEffect]);
+
+  const startRecording = useCallback(() => {
+    const currentPlayer = playerRef.current;
+    if (!currentPlayer || !isPlayerReadyRef.current || recordingRef.current || cancelReplayRef.current) return;
+    try {
+      const startTime = currentPlayer.getTime();
+      const startedPlaying = currentPlayer.getState() === PlayerStates.PLAYING;
+      recordingRef.current = {
+        startedAt: Date.now(),
+        startTime: typeof startTime === 'number' && !isNaN(startTime) ? startTime : 0,
+        startedPlaying,
+        events: []
+      };
+      lastRecordedTransportRef.current = startedPlaying ? 'play' : 'pause';
+      setIsRecording(true);
+      console.log('Recording take from time:', recordingRef.current.startTime);
+    } catch (error) {
+      console.error('Error starting recording:', error);
+    }
+  }, []);
 
-    // Destroy existing player if any
-    if (playerRef.current) {
-      try {
-        playerRef.current.destroy();
-      } catch (e) {
-        // Ignore errors
-      }
-      playerRef.current = null;
+  const stopRecording = useCallback(() => {
+    const recording = recordingRef.current;
+    if (!recording) return;
+    recordingRef.current = null;
+    setIsRecording(false);
+    const take = {
+      id: createTakeId(),
+      name: `Take ${takesRef.current.length + 1}`,
+      recordedAt: new Date(recording.startedAt).toISOString(),
+      startTime: recording.startTime,
+      startedPlaying: recording.startedPlaying,
+      duration: Date.now() - recording.startedAt,
+      events: recording.events
+    };
+    console.log('Recorded take:', take);
+    const newTakes = [...takesRef.current, take];
+    setTakes(newTakes);
+    takesRef.current = newTakes; // Update ref immediately
+  }, []);
+
+  const stopReplay = useCallback(() => {
+    if (cancelReplayRef.current) {
+      cancelReplayRef.current();
+      cancelReplayRef.current = null;
     }
+    setReplayingTakeId(null);
+  }, []);
 
-    const initPlayer = () => {
-      if (!containerRef.current || !window.YT || !window.YT.Player) {
-        return;
+  // Replay a take from where it was recorded, running its events through the same handlers as the keyboard
+  const replayTake = useCallback((takeId) => {
+    const currentPlayer = playerRef.current;
+    const take = takesRef.current.find(t => t.id === takeId);
+    if (!take || !currentPlayer || !isPlayerReadyRef.current || recordingRef.current) return;
+    stopReplay();
+    try {
+      currentPlayer.seek(take.startTime);
+      if (take.startedPlaying) {
+        currentPlayer.play();
+      } else {
+        currentPlayer.pause();
       }
-
+    } catch (error) {
+      console.error('Error starting take replay:', error);
+      return;
+    }
+    const handleTakeEvent = (event) => {
+      const player = playerRef.current;
+      if (!player) return;
       try {
-        // Create player using YouTube IFrame API directly
-        playerRef.current = new window.YT.Player(containerRef.current, {
-          videoId: videoId,
-          playerVars: {
-            controls: 1, // Show YouTube controls (including native progress bar)
-            enablejsapi: 1, // Ensure JS API is enabled
-            autoplay: 0,
-            rel: 0, // Don't show related videos from other channels
-            modestbranding: 1, // Reduce YouTube branding
-            fs: 0, // Disable fullscreen button
-            playsinline: 1, // Play inline on mobile
-            origin: window.location.origin // Set origin for better control
-          },
-          events: {
-            onReady: (event) => {
-              console.log('YouTube player ready');
-              console.log('Player object:', event.target);
-              console.log('Player methods:', {
-                getCurrentTime: typeof event.target.getCurrentTime,
-                playVideo: typeof event.target.playVideo,
-                pauseVideo: typeof event.target.pauseVideo,
-                getPlayerState: typeof event.target.getPlayerState
-              });
-              // Ensure playerRef is set to the event target
-              playerRef.current = event.target;
-              setIsPlayerReady(true);
-              // Get initial duration
-              try {
-                const videoDuration = event.target.getDuration();
-                if (typeof videoDuration === 'number' && !isNaN(videoDuration) && videoDuration > 0) {
-                  setDuration(videoDuration);
-                }
-              } catch (e) {
-                console.warn('Could not get initial duration:', e);
-              }
-            },
-            onStateChange: (event) => {
-              const state = event.data;
-              setIsPlaying(state === PlayerStates.PLAYING);
-            },
-            onError: (error) => {
-              console.error('YouTube player error:', error);
-            }
+        if (event.type === 'hotcue') {
+          // Don't let a replay set a hotcue that's been cleared since the take was recorded
+          const bank = banksRef.current[event.bank];
+          if (bank && bank.hotcues[event.key]) {
+            selectBank(event.bank);
+            pressHotcue(event.key);
           }
-        });
+        } else if (event.type === 'release') {
+          releaseHotcue(event.key);
+        } else if (event.type === 'play') {
+          player.play();
+        } else if (event.type === 'pause') {
+          player.pause();
+        } else if (event.type === 'seek') {
+          player.seek(event.time);
+        }
       } catch (error) {
-        console.error('Error creating YouTube player:', error);
+        console.error('Error replaying take event:', event, error);
       }
     };
+    cancelReplayRef.current = scheduleTake(take, handleTakeEvent, () => {
+      cancelReplayRef.current = null;
+      setReplayingTakeId(null);
+    });
+    setReplayingTakeId(takeId);
+  }, [pressHotcue, releaseHotcue, stopReplay, selectBank]);
 
-    // Wait for YouTube API to be ready
-    if (window.YT && window.YT.Player) {
-      // API already loaded
-      requestAnimationFrame(() => {
-        initPlayer();
-      });
-    } else {
-      // Wait for API to load
-      window.onYouTubeIframeAPIReady = () => {
-        requestAnimationFrame(() => {
-          initPlayer();
-        });
-      };
-
-      // Also check periodically in case callback already fired
-      const checkInterval = setInterval(() => {
-        if (window.YT && window.YT.Player) {
-          clearInterval(checkInterval);
-          requestAnimationFrame(() => {
-            initPlayer();
-          });
-        }
-      }, 100);
+  const renameTake = useCallback((takeId, name) => {
+    const newTakes = takesRef.current.map(take => (take.id === takeId ? { ...take, name } : take));
+    setTakes(newTakes);
+    takesRef.current = newTakes; // Update ref immediately
+  }, []);
 
-      setTimeout(() => {
-        clearInterval(checkInterval);
-      }, 10000);
+  const deleteTake = useCallback((takeId) => {
+    if (replayingTakeId === takeId) {
+      stopReplay();
     }
+    const newTakes = takesRef.current.filter(take => take.id !== takeId);
+    setTakes(newTakes);
+    takesRef.current = newTakes; // Update ref immediately
+  }, [replayingTakeId, stopReplay]);
 
-    return () => {
-      setIsPlayerReady(false);
-      if (playerRef.current) {
-        try {
-          playerRef.current.destroy();
-        } catch (e) {
-          // Ignore errors during cleanup
-        }
-        playerRef.current = null;
-      }
-      if (timeUpdateIntervalRef.current) {
-        clearInterval(timeUpdateIntervalRef.current);
-      }
-    };
-  }, [videoId]);
+  const updateMidiBindings = useCallback((bindings) => {
+    setMidiBindings(bindings);
+    midiBindingsRef.current = bindings;
+    saveMidiBindings(localStorage.getItem('username'), deckId, bindings);
+  }, [deckId]);
 
-  // Update current time periodically
-  useEffect(() => {
-    if (!isPlayerReady || !playerRef.current) {
+  // MIDI pads drive the same press / release path as the hotcue and effect keys
+  const handleMidiMessage = useCallback((message) => {
+    const learnTarget = midiLearnTargetRef.current;
+    if (learnTarget) {
+      if (!message.isPress) return;
+      // One pad per hotcue - drop whatever this hotcue or this pad was bound to before
+      const bindings = {};
+      Object.keys(midiBindingsRef.current).forEach(id => {
+        if (midiBindingsRef.current[id] !== learnTarget && id !== message.id) {
+          bindings[id] = midiBindingsRef.current[id];
+        }
+      });
+      bindings[message.id] = learnTarget;
+      console.log('MIDI learn:', message.id, '->', learnTarget);
+      updateMidiBindings(bindings);
+      setMidiLearnTarget(null);
+      midiLearnTargetRef.current = null;
       return;
     }
-
-    timeUpdateIntervalRef.current = setInterval(() => {
-      if (playerRef.current && isPlayerReady) {
-        try {
-          // Check if getCurrentTime method exists
-          if (typeof playerRef.current.getCurrentTime === 'function') {
-            const time = playerRef.current.getCurrentTime();
-            if (typeof time === 'number' && !isNaN(time)) {
-              setCurrentTime(time);
-            }
-          }
-          // Update duration periodically (in case it changes or wasn't available initially)
-          if (typeof playerRef.current.getDuration === 'function') {
-            const videoDuration = playerRef.current.getDuration();
-            if (typeof videoDuration === 'number' && !isNaN(videoDuration) && videoDuration > 0) {
-              setDuration(videoDuration);
-            }
-          }
-        } catch (e) {
-          // Silently ignore errors - player might not be ready yet
-        }
+    const key = midiBindingsRef.current[message.id];
+    if (!key) return;
+    if (key.startsWith('fx:')) {
+      const slot = Number(key.slice('fx:'.length));
+      if (message.isPress) {
+        pressEffect(slot);
+      } else {
+        releaseEffect(slot);
       }
-    }, 100); // Update every 100ms for millisecond precision
+    } else if (message.isPress) {
+      pressHotcue(key);
+    } else {
+      releaseHotcue(key);
+    }
+  }, [pressHotcue, releaseHotcue, pressEffect, releaseEffect, updateMidiBindings]);
 
-    return () => {
-      if (timeUpdateIntervalRef.current) {
-        clearInterval(timeUpdateIntervalRef.current);
+  const midiStatus = useMidiMessages(handleMidiMessage, midiAccess);
+
+  const selectMidiLearnTarget = useCallback((key) => {
+    setMidiLearnTarget(key);
+    midiLearnTargetRef.current = key;
+  }, []);
+
+  const toggleMidiLearn = useCallback(() => {
+    setIsMidiLearning(prev => !prev);
+    selectMidiLearnTarget(null);
+  }, [selectMidiLearnTarget]);
+
+  const clearMidiBinding = useCallback((key) => {
+    const bindings = {};
+    Object.keys(midiBindingsRef.current).forEach(id => {
+      if (midiBindingsRef.current[id] !== key) {
+        bindings[id] = midiBindingsRef.current[id];
       }
-    };
-  }, [isPlayerReady]);
+    });
+    updateMidiBindings(bindings);
+  }, [updateMidiBindings]);
 
   // Handle keyboard events for hotcues
   useEffect(() => {
+    // The same event reaches both the window and document listeners - only handle it once
+    let lastHandledEvent = null;
+
     const handleKeyPress = (e) => {
+      if (e === lastHandledEvent) {
+        return;
+      }
+      lastHandledEvent = e;
+
       // Don't trigger if user is typing in an input
       if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') {
         return;
       }
 
-      const key = e.key.toLowerCase();
+      // Ctrl+Z / Ctrl+Shift+Z (Cmd on Mac) undo / redo hotcue edits on the deck being edited
+      if ((e.ctrlKey || e.metaKey) && e.code === 'KeyZ') {
+        if (isTargetDeckRef.current) {
+          e.preventDefault();
+          if (e.shiftKey) {
+            redoHotcues();
+          } else {
+            undoHotcues();
+          }
+        }
+        return;
+      }
+
+      // Key press belongs to another deck
+      const modifier = keyModifierRef.current;
+      if ((modifier === 'shift' && !e.shiftKey) || (modifier === 'none' && e.shiftKey)) {
+        return;
+      }
+
+      // Alt shortcuts nudge / re-record the selected hotcue
+      const edit = e.altKey ? HOTCUE_EDIT_SHORTCUTS[e.code] : null;
+      if (edit) {
+        e.preventDefault();
+        const selectedKey = selectedHotcueKeyRef.current;
+        if (selectedKey && hotcuesRef.current[selectedKey]) {
+          if (edit.rerecord) {
+            rerecordHotcue(selectedKey);
+          } else {
+            nudgeHotcue(selectedKey, edit.nudge);
+          }
+        }
+        return;
+      }
+
+      const key = keyFromEvent(e);
+      const action = keyIndexRef.current[key];
+      if (!action) {
+        return;
+      }
       
       // Use refs to get latest values (not closure values)
       const currentPlayer = playerRef.current;
       const currentReady = isPlayerReadyRef.current;
-      const currentHotcues = hotcuesRef.current;
       
-      if (LETTER_KEYS.includes(key) && currentPlayer && currentReady) {
+      if (action.startsWith('cue:')) {
         e.preventDefault();
-        
-        if (currentHotcues[key] !== undefined) {
-          // Hotcue already exists - jump to that exact timecode and play from there
-          const hotcue = currentHotcues[key];
-          const hotcueTime = typeof hotcue === 'number' ? hotcue : hotcue.time;
-          setIsSettingHotcue(null);
-          // Trigger flash animation
-          setTriggeredHotcue(key);
-          setTimeout(() => setTriggeredHotcue(null), 250); // Flash for 0.25s
-          try {
-            console.log('Jumping to hotcue:', key, 'at time:', hotcueTime);
-            // Seek to the exact millisecond timecode
-            currentPlayer.seekTo(hotcueTime, true);
-            // Play from that point
-            currentPlayer.playVideo();
-          } catch (error) {
-            console.error('Error jumping to hotcue:', error);
-          }
-        } else {
-          // Hotcue doesn't exist - SET it at the current time (don't play)
-          try {
-            const currentTime = currentPlayer.getCurrentTime();
-            if (typeof currentTime === 'number' && !isNaN(currentTime)) {
-              console.log('Setting hotcue:', key, 'at time:', currentTime);
-              // Set the hotcue at the exact current timecode (millisecond precision)
-              const newHotcues = { ...currentHotcues, [key]: { time: currentTime, name: '' } };
-              setHotcues(newHotcues);
-              hotcuesRef.current = newHotcues; // Update ref immediately
-              
-              // Trigger flash animation when setting - flash white
-              setTriggeredHotcue(key);
-              setTimeout(() => {
-                setTriggeredHotcue(null);
-                setIsSettingHotcue(null);
-              }, 250); // Flash for 0.25s, then clear both states
-              // Note: We do NOT play the video when setting - just set the hotcue
-            }
-          } catch (error) {
-            console.error('Error setting hotcue:', error);
-            setIsSettingHotcue(null);
-            setTriggeredHotcue(null);
-          }
+        if (currentPlayer && currentReady) {
+          pressHotcue(action.slice('cue:'.length), e.repeat);
+        }
+      } else if (action.startsWith('bank:')) {
+        e.preventDefault();
+        selectBank(Number(action.slice('bank:'.length)));
+      } else if (action.startsWith('fx:')) {
+        e.preventDefault();
+        if (!e.repeat) {
+          pressEffect(Number(action.slice('fx:'.length)));
+        }
+      } else if (action === 'loopIn') {
+        e.preventDefault();
+        handleLoopIn();
+      } else if (action === 'loopOut') {
+        e.preventDefault();
+        handleLoopOut();
+      } else if (action === 'loopToggle') {
+        e.preventDefault();
+        handleLoopToggle();
+      } else if (action === 'nudgeFaster' || action === 'nudgeSlower') {
+        e.preventDefault();
+        if (!e.repeat) {
+          startNudge(action === 'nudgeFaster' ? 1 : -1, key);
         }
-      } else if (e.code === 'Space' || e.key === 'k') {
+      } else if (action === 'rateReset') {
+        e.preventDefault();
+        handleRateReset();
+      } else if (action === 'tapTempo') {
+        e.preventDefault();
+        if (!e.repeat) {
+          handleTap();
+        }
+      } else if (action === 'playPause') {
         // Play/pause toggle
         e.preventDefault();
         if (currentPlayer && currentReady) {
           try {
-            const state = currentPlayer.getPlayerState();
+            const state = currentPlayer.getState();
             if (state === PlayerStates.PLAYING) {
-              currentPlayer.pauseVideo();
+              currentPlayer.pause();
             } else {
-              currentPlayer.playVideo();
+              currentPlayer.play();
             }
           } catch (err) {
             console.error('Error toggling play/pause:', err);
@@ -376,15 +1601,33 @@ export const CustomVideoPlayer = forwardRef(({ videoId, youtubeUrl, initialHotcu
       }
     };
 
+    // Releasing a nudge key snaps the rate back (handled even while typing so a nudge can't get stuck)
+    // Same for gate hotcues and held effects - releasing the key ends them
+    const handleKeyUp = (e) => {
+      const key = keyFromEvent(e);
+      const action = keyIndexRef.current[key];
+      if (action === 'nudgeFaster' || action === 'nudgeSlower') {
+        stopNudge(key);
+      } else if (action && action.startsWith('cue:')) {
+        releaseHotcue(action.slice('cue:'.length));
+      } else if (action && action.startsWith('fx:')) {
+        releaseEffect(Number(action.slice('fx:'.length)));
+      }
+    };
+
     // Add listener to both window and document to catch events even when iframe is focused
     window.addEventListener('keydown', handleKeyPress, true); // Use capture phase
     document.addEventListener('keydown', handleKeyPress, true); // Use capture phase
+    window.addEventListener('keyup', handleKeyUp, true);
+    document.addEventListener('keyup', handleKeyUp, true);
     
     return () => {
       window.removeEventListener('keydown', handleKeyPress, true);
       document.removeEventListener('keydown', handleKeyPress, true);
+      window.removeEventListener('keyup', handleKeyUp, true);
+      document.removeEventListener('keyup', handleKeyUp, true);
     };
-  }, []); // Empty dependency array - we use refs for latest values
+  }, [pressHotcue, releaseHotcue, pressEffect, releaseEffect, handleLoopIn, handleLoopOut, handleLoopToggle, startNudge, stopNudge, handleRateReset, handleTap, selectBank, nudgeHotcue, rerecordHotcue, undoHotcues, redoHotcues]); // Handlers are stable - we use refs for latest values
 
   const handlePlayPause = useCallback(() => {
     console.log('handlePlayPause called');
@@ -408,16 +1651,16 @@ export const CustomVideoPlayer = forwardRef(({ videoId, youtubeUrl, initialHotcu
     
     try {
       console.log('Getting player state...');
-      const state = currentPlayer.getPlayerState();
+      const state = currentPlayer.getState();
       console.log('Current player state:', state);
       console.log('PlayerStates.PLAYING:', PlayerStates.PLAYING);
       
       if (state === PlayerStates.PLAYING) {
         console.log('Pausing video...');
-        currentPlayer.pauseVideo();
+        currentPlayer.pause();
       } else {
         console.log('Playing video...');
-        currentPlayer.playVideo();
+        currentPlayer.play();
       }
     } catch (e) {
       console.error('Error toggling play/pause:', e);
@@ -431,8 +1674,8 @@ export const CustomVideoPlayer = forwardRef(({ videoId, youtubeUrl, initialHotcu
     try {
       // Handle both old format (number) and new format (object)
       const seconds = typeof hotcueValue === 'number' ? hotcueValue : hotcueValue.time;
-      playerRef.current.seekTo(seconds, true);
-      playerRef.current.playVideo();
+      playerRef.current.seek(seconds);
+      playerRef.current.play();
     } catch (e) {
       console.error('Error seeking:', e);
     }
@@ -452,20 +1695,50 @@ export const CustomVideoPlayer = forwardRef(({ videoId, youtubeUrl, initialHotcu
     setDragTime(seekTime);
   }, [isDragging, duration, calculateSeekTime]);
 
+  // Mouse down on the timeline bar starts scrubbing the playhead
+  const handleProgressBarMouseDown = useCallback((e) => {
+    if (!duration) return;
+    e.preventDefault();
+    setDraggingHotcueKey(null);
+    setDragTime(calculateSeekTime(e.clientX));
+    setIsDragging(true);
+  }, [duration, calculateSeekTime]);
+
+  // Mouse down on a hotcue marker starts dragging that hotcue
+  const handleMarkerMouseDown = useCallback((e, key) => {
+    const hotcue = hotcuesRef.current[key];
+    if (!hotcue) return;
+    e.preventDefault();
+    setDraggingHotcueKey(key);
+    setDragTime(hotcue.time);
+    setIsDragging(true);
+  }, []);
+
   const handleProgressBarMouseUp = useCallback((e) => {
-    if (!isDragging || !playerRef.current || !isPlayerReady) return;
+    if (!isDragging) return;
     
     const seekTime = calculateSeekTime(e.clientX);
+    const hotcueKey = draggingHotcueKey;
     setIsDragging(false);
     setDragTime(0);
+    setDraggingHotcueKey(null);
+
+    if (hotcueKey) {
+      // dragTime only changes once the mouse moves, so a click on a marker leaves it where it is
+      if (dragTime !== hotcuesRef.current[hotcueKey]?.time) {
+        retimeHotcue(hotcueKey, dragTime);
+      }
+      return;
+    }
+    if (!playerRef.current || !isPlayerReady) return;
     
     try {
-      playerRef.current.seekTo(seekTime, true);
+      playerRef.current.seek(seekTime);
       setCurrentTime(seekTime);
     } catch (error) {
       console.error('Error seeking via progress bar:', error);
     }
-  }, [isDragging, isPlayerReady, calculateSeekTime]);
+  }, [isDragging, isPlayerReady, calculateSeekTime, draggingHotcueKey, dragTime, retimeHotcue]);
 
   // Handle mouse move and mouse up on document for dragging
   useEffect(() => {
@@ -495,19 +1768,9 @@ export const CustomVideoPlayer = forwardRef(({ videoId, youtubeUrl, initialHotcu
   };
 
   const handleHotcueLabelBlur = (key) => {
-    setHotcues(prev => {
-      const newHotcues = { ...prev };
-      if (newHotcues[key]) {
-        const currentHotcue = newHotcues[key];
-        const time = typeof currentHotcue === 'number' ? currentHotcue : currentHotcue.time;
-        newHotcues[key] = { time, name: editingLabel.trim() };
-      }
-      return newHotcues;
-    });
     const currentHotcue = hotcuesRef.current[key];
     if (currentHotcue) {
-      const time = typeof currentHotcue === 'number' ? currentHotcue : currentHotcue.time;
-      hotcuesRef.current = { ...hotcuesRef.current, [key]: { time, name: editingLabel.trim() } };
+      commitHotcues({ ...hotcuesRef.current, [key]: { ...currentHotcue, name: editingLabel.trim() } });
     }
     setEditingHotcue(null);
     setEditingLabel('');
@@ -531,23 +1794,151 @@ export const CustomVideoPlayer = forwardRef(({ videoId, youtubeUrl, initialHotcu
     return `${mins}:${secs.toString().padStart(2, '0')}.${ms.toString().padStart(3, '0')}`;
   };
 
-  const clearHotcue = (key) => {
-    setHotcues(prev => {
-      const newHotcues = { ...prev };
-      delete newHotcues[key];
-      hotcuesRef.current = newHotcues; // Update ref immediately
-      return newHotcues;
+  // Parse a time typed as m:ss.mmm (as shown by formatTime) or plain seconds
+  const parseTime = (text) => {
+    const match = text.trim().match(/^(?:(\d+):)?(\d+(?:\.\d*)?)$/);
+    if (!match) return null;
+    const mins = match[1] ? Number(match[1]) : 0;
+    const secs = Number(match[2]);
+    if (match[1] && secs >= 60) return null;
+    return mins * 60 + secs;
+  };
+
+  const handleHotcueTimeClick = (key, hotcue) => {
+    setEditingTimeKey(key);
+    setEditingTimeText(formatTime(hotcue.time));
+  };
+
+  const handleHotcueTimeBlur = (key) => {
+    const time = parseTime(editingTimeText);
+    if (time === null) {
+      console.warn('Invalid hotcue time:', editingTimeText);
+    } else if (hotcuesRef.current[key] && time !== hotcuesRef.current[key].time) {
+      setHotcueTime(key, time);
+    }
+    setEditingTimeKey(null);
+    setEditingTimeText('');
+  };
+
+  const handleHotcueTimeKeyDown = (e, key) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      handleHotcueTimeBlur(key);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      setEditingTimeKey(null);
+      setEditingTimeText('');
+    }
+  };
+
+  // Key label shown for a hotcue slot
+  const hotcueKeyLabel = (key) => formatKey(keymap[cueActionId(key)]);
+
+  // Key labels for the panel tooltips
+  const shortcuts = {};
+  TRANSPORT_ACTIONS.forEach(action => {
+    shortcuts[action.id] = formatKey(keymap[action.id]);
+  });
+
+  const activeEffectList = activeEffectSlots.map(slot => effects[slot]).filter(Boolean);
+
+  // Every set hotcue, for binding effects to
+  const effectHotcueOptions = [];
+  banks.forEach((bank, bankIndex) => {
+    HOTCUE_SLOTS.filter(key => bank.hotcues[key]).forEach(key => {
+      const { name } = bank.hotcues[key];
+      effectHotcueOptions.push({ bank: bankIndex, key, label: `${bankLabel(bank, bankIndex)} · ${hotcueKeyLabel(key)}${name ? ` ${name}` : ''}` });
     });
+  });
+
+  // Hotcues (in any bank) that playback can't reach because of the trim
+  const outsideTrimCount = banks.reduce((count, bank) => (
+    count + Object.values(bank.hotcues).filter(hotcue => isOutsideTrim(hotcue.time, trim)).length
+  ), 0);
+
+  // Cycle a hotcue through cue -> gate -> toggle
+  const cycleHotcueMode = (key) => {
+    const hotcue = hotcuesRef.current[key];
+    if (!hotcue) return;
+    const nextMode = HOTCUE_MODES[(HOTCUE_MODES.indexOf(hotcue.mode) + 1) % HOTCUE_MODES.length];
+    commitHotcues({ ...hotcuesRef.current, [key]: { ...hotcue, mode: nextMode } });
+  };
+
+  const setHotcueColor = (key, color) => {
+    const hotcue = hotcuesRef.current[key];
+    if (hotcue) {
+      commitHotcues({ ...hotcuesRef.current, [key]: { ...hotcue, color } });
+    }
+    setColorPickerKey(null);
+  };
+
+  const openTargetEditor = (key) => {
+    const target = hotcuesRef.current[key] ? hotcuesRef.current[key].target : null;
+    setTargetEditKey(targetEditKey === key ? null : key);
+    setTargetDraft({ video: target ? { videoId: target.videoId, title: target.title } : null, timeText: formatTime(target ? target.time : 0) });
+  };
+
+  const setHotcueTarget = (key, target) => {
+    const hotcue = hotcuesRef.current[key];
+    if (hotcue) {
+      commitHotcues({ ...hotcuesRef.current, [key]: { ...hotcue, target } });
+    }
+  };
+
+  const handleTargetSave = (key) => {
+    const { video } = targetDraft;
+    const time = parseTime(targetDraft.timeText);
+    if (!video || time === null) {
+      console.warn('Invalid hotcue target:', targetDraft);
+      return;
+    }
+    setHotcueTarget(key, { videoId: video.videoId, time, title: video.title || '' });
+    setTargetEditKey(null);
+  };
+
+  // Title of a hotcue's target, as currently saved (it may have been renamed since the hotcue was set)
+  const targetTitle = (target) => {
+    const video = loadedVideos.find(candidate => candidate.videoId === target.videoId);
+    return (video && video.title) || target.title || 'Untitled Video';
+  };
+
+  const clearHotcue = (key) => {
+    const newHotcues = { ...hotcuesRef.current };
+    delete newHotcues[key];
+    commitHotcues(newHotcues);
+  };
+
+  const handleBankNameBlur = (index) => {
+    const name = editingBankName.trim();
+    if (name !== banksRef.current[index].name) {
+      renameBank(index, name);
+    }
+    setEditingBank(null);
+    setEditingBankName('');
+  };
+
+  const handleBankNameKeyDown = (e, index) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      handleBankNameBlur(index);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      setEditingBank(null);
+      setEditingBankName('');
+    }
   };
 
   const [isSaving, setIsSaving] = useState(false);
   const [saveMessage, setSaveMessage] = useState(null);
 
+  const isLocalFile = isLocalVideoId(videoId);
+  const canSave = isLocalFile ? !!fileName : !!youtubeUrl; // Local files have a file name instead of a YouTube URL
+
   const handleSave = useCallback(async () => {
-    if (!youtubeUrl || !videoId) {
+    if (!canSave || !videoId) {
       setSaveMessage({ 
         type: 'error', 
-        text: `Missing required data: ${!youtubeUrl ? 'YouTube URL' : ''} ${!videoId ? 'Video ID' : ''}`.trim()
+        text: `Missing required data: ${!canSave ? (isLocalFile ? `file name of local video "${title || videoId}"` : 'YouTube URL') : ''} ${!videoId ? 'Video ID' : ''}`.trim()
       });
       return;
     }
@@ -566,9 +1957,20 @@ export const CustomVideoPlayer = forwardRef(({ videoId, youtubeUrl, initialHotcu
     setSaveMessage(null);
 
     const payload = {
-      youtubeUrl,
+      source: isLocalFile ? LOCAL_FILE_SOURCE : YOUTUBE_SOURCE,
+      youtubeUrl: isLocalFile ? null : youtubeUrl,
+      fileName: isLocalFile ? fileName : null,
       videoId,
-      hotcues: hotcuesRef.current,
+      title, // Local files have no YouTube title to look up
+      hotcues: { banks: banksRef.current },
+      loops: savedLoops(loopsRef.current),
+      defaultRate: defaultRateRef.current,
+      bpm: beatGridRef.current.bpm,
+      beatOffset: beatGridRef.current.offset,
+      takes: takesRef.current,
+      trim: trimRef.current,
+      effects: effectsRef.current,
+      tags: tagsRef.current,
       username // Include username in payload
     };
 
@@ -584,7 +1986,14 @@ export const CustomVideoPlayer = forwardRef(({ videoId, youtubeUrl, initialHotcu
 
       console.log('Save successful:', response.data);
       // Update initial hotcues reference after successful save
-      initialHotcuesRef.current = { ...hotcuesRef.current };
+      initialBanksRef.current = banksRef.current;
+      initialLoopsRef.current = savedLoops(loopsRef.current);
+      initialDefaultRateRef.current = defaultRateRef.current;
+      initialBeatGridRef.current = beatGridRef.current;
+      initialTakesRef.current = takesRef.current;
+      initialTrimRef.current = trimRef.current;
+      initialEffectsRef.current = effectsRef.current;
+      initialTagsRef.current = tagsRef.current;
       setSaveMessage({ 
         type: 'success', 
         text: response.data.message || 'Video and hotcues saved successfully!' 
@@ -593,7 +2002,7 @@ export const CustomVideoPlayer = forwardRef(({ videoId, youtubeUrl, initialHotcu
       
       // Notify parent to refresh sidebar
       if (onVideoSaved) {
-        onVideoSaved();
+        onVideoSaved(videoId);
       }
     } catch (error) {
       console.error('Error saving video:', error);
@@ -634,23 +2043,49 @@ export const CustomVideoPlayer = forwardRef(({ videoId, youtubeUrl, initialHotcu
     } finally {
       setIsSaving(false);
     }
-  }, [youtubeUrl, videoId, onVideoSaved]);
+  }, [canSave, isLocalFile, youtubeUrl, fileName, videoId, title, onVideoSaved]);
 
   // Function to discard changes and revert to initial hotcues
   const discardChanges = useCallback(() => {
-    // Reset hotcues to initial state
-    const initial = initialHotcuesRef.current;
-    setHotcues(initial);
-    hotcuesRef.current = initial;
-    console.log('Discarded changes, reverted to initial hotcues:', initial);
-  }, []);
+    // Reset hotcues to initial state (the whole session is thrown away, so is its history)
+    const initial = initialBanksRef.current;
+    commitBanks(initial, false);
+    undoStackRef.current = [];
+    redoStackRef.current = [];
+    setHistoryCounts({ undo: 0, redo: 0 });
+    // Reset loops to initial state
+    const initialLoops = initialLoopsRef.current;
+    setLoops(initialLoops);
+    loopsRef.current = initialLoops;
+    activateLoop(null);
+    lastLoopIndexRef.current = null;
+    // Reset default rate to initial state
+    setDefaultRate(initialDefaultRateRef.current);
+    defaultRateRef.current = initialDefaultRateRef.current;
+    // Reset beat grid to initial state
+    updateBeatGrid(initialBeatGridRef.current);
+    // Reset takes to initial state
+    setTakes(initialTakesRef.current);
+    takesRef.current = initialTakesRef.current;
+    // Reset trim to initial state
+    updateTrim(initialTrimRef.current);
+    // Reset effects to initial state, all off
+    setEffects(initialEffectsRef.current);
+    effectsRef.current = initialEffectsRef.current;
+    setActiveEffects([]);
+    // Reset tags to initial state
+    setTags(initialTagsRef.current);
+    tagsRef.current = initialTagsRef.current;
+    console.log('Discarded changes, reverted to initial hotcues and loops:', initial, initialLoops);
+  }, [activateLoop, updateBeatGrid, updateTrim, setActiveEffects, commitBanks]);
 
   // Expose methods to parent via ref (after handleSave is defined)
   useImperativeHandle(ref, () => ({
     hasUnsavedChanges,
     saveChanges: handleSave,
-    discardChanges
-  }), [hasUnsavedChanges, handleSave, discardChanges]);
+    discardChanges,
+    sendOutputState
+  }), [hasUnsavedChanges, handleSave, discardChanges, sendOutputState]);
 
   if (!videoId) {
     return null;
@@ -659,26 +2094,24 @@ export const CustomVideoPlayer = forwardRef(({ videoId, youtubeUrl, initialHotcu
   return (
     <div className="custom-video-player-container" style={{ 
       display: 'flex', 
+      flexDirection: compact ? 'column' : 'row', // Decks are side by side, so stack the hotcue panel under the video
       gap: '20px', 
       marginTop: '20px',
       maxWidth: '1400px',
       margin: '20px auto',
-      padding: '0 20px',
-      alignItems: 'flex-start'
+      padding: compact ? '0 10px' : '0 20px',
+      alignItems: compact ? 'stretch' : 'flex-start'
     }}>
       {/* Video Player */}
       <div 
         className="video-player-wrapper" 
         style={{ flex: '1', minWidth: 0, maxWidth: '100%' }}
         tabIndex={-1}
-        onKeyDown={(e) => {
+        onKeyDown={() => {
           // Capture keyboard events even when video player wrapper is focused
           // This ensures hotcues work when clicking on the video
-          const key = e.key.toLowerCase();
-          if (LETTER_KEYS.includes(key) || e.code === 'Space' || e.key === 'k') {
-            // Don't stop propagation - let the window-level handler process it
-            // This wrapper just ensures focus stays on an element that can receive events
-          }
+          // Don't stop propagation - let the window-level handler process it
+          // This wrapper just ensures focus stays on an element that can receive events
         }}
         onClick={(e) => {
           // When clicking on the video wrapper, ensure it can receive keyboard events
@@ -688,18 +2121,45 @@ export const CustomVideoPlayer = forwardRef(({ videoId, youtubeUrl, initialHotcu
           }
         }}
       >
-        <div 
-          className="youtube-player-container"
-          ref={containerRef} 
-          style={{ 
-            width: '100%', 
-            aspectRatio: '16/9',
-            backgroundColor: '#000',
-            position: 'relative',
-            minHeight: '600px' // Standard YouTube height (increased by 100px from 500px)
-          }} 
-        />
+        {/* Crossfader level - on a wrapper because the IFrame API replaces the container element.
+            Effects that change the video itself go on the inner wrapper, the rest are drawn over it. */}
+        <div className="deck-mix-wrapper" style={{ opacity: mixLevel, transition: 'opacity 0.1s linear', position: 'relative' }}>
+          <div className="video-effects-target" style={videoEffectsStyle(activeEffectList)}>
+            <div 
+              className="youtube-player-container"
+              ref={containerRef} 
+              style={{ 
+                width: '100%', 
+                aspectRatio: '16/9',
+                backgroundColor: '#000',
+                position: 'relative',
+                minHeight: compact ? 0 : '600px' // Standard YouTube height (increased by 100px from 500px)
+              }} 
+            />
+          </div>
+          <EffectsLayer activeEffects={activeEffectList} />
+        </div>
         
+        <Timeline
+          duration={duration}
+          currentTime={currentTime}
+          hotcues={hotcues}
+          loops={loops}
+          activeLoopIndex={activeLoopIndex}
+          trim={trim}
+          zoom={timelineZoom}
+          barRef={progressBarRef}
+          isDragging={isDragging}
+          dragTime={dragTime}
+          draggingHotcueKey={draggingHotcueKey}
+          isPlayerReady={isPlayerReady}
+          formatTime={formatTime}
+          hotcueKeyLabel={hotcueKeyLabel}
+          onZoomChange={setTimelineZoom}
+          onBarMouseDown={handleProgressBarMouseDown}
+          onMarkerMouseDown={handleMarkerMouseDown}
+        />
+
         {/* Instructional text */}
         <p className="hotcue-instruction-text" style={{
           marginTop: '10px',
@@ -713,6 +2173,103 @@ export const CustomVideoPlayer = forwardRef(({ videoId, youtubeUrl, initialHotcu
         }}>
           💡 NB: If hotcues <span style={{ color: '#8B0000' }}>not working</span>, click anywhere on the page outside the video player
         </p>
+
+        <TagsPanel
+          tags={tags}
+          suggestions={tagSuggestions}
+          onChange={(newTags) => {
+            setTags(newTags);
+            tagsRef.current = newTags;
+          }}
+        />
+
+        <TrimPanel
+          trim={trim}
+          outsideCount={outsideTrimCount}
+          isPlayerReady={isPlayerReady}
+          formatTime={formatTime}
+          onSetTrimIn={handleSetTrimIn}
+          onSetTrimOut={handleSetTrimOut}
+          onClearTrimIn={() => updateTrim({ ...trim, start: 0 })}
+          onClearTrimOut={() => updateTrim({ ...trim, end: null })}
+          onEndModeChange={(endMode) => updateTrim({ ...trim, endMode })}
+        />
+
+        <LoopPanel
+          loops={loops}
+          activeLoopIndex={activeLoopIndex}
+          pendingLoopIn={pendingLoopIn}
+          fixedLengths={FIXED_LOOP_LENGTHS}
+          isPlayerReady={isPlayerReady}
+          formatTime={formatTime}
+          onLoopIn={handleLoopIn}
+          onLoopOut={handleLoopOut}
+          onLoopToggle={handleLoopToggle}
+          onFixedLoop={handleFixedLoop}
+          onLoopSelect={handleLoopSelect}
+          onLoopClear={clearLoop}
+          onLoopKeep={keepLoop}
+          shortcuts={shortcuts}
+        />
+
+        <TempoPanel
+          availableRates={availableRates}
+          playbackRate={playbackRate}
+          defaultRate={defaultRate}
+          nudgeDirection={nudgeDirection}
+          isPlayerReady={isPlayerReady}
+          onRateChange={handleRateChange}
+          onRateReset={handleRateReset}
+          onNudgeStart={startNudge}
+          onNudgeStop={stopNudge}
+          onSetDefaultRate={handleSetDefaultRate}
+          shortcuts={shortcuts}
+        />
+
+        <BeatGridPanel
+          bpm={beatGrid.bpm}
+          offset={beatGrid.offset}
+          currentTime={currentTime}
+          isPlaying={isPlaying}
+          quantize={quantize}
+          snapToBeat={snapToBeat}
+          isPlayerReady={isPlayerReady}
+          formatTime={formatTime}
+          onTap={handleTap}
+          onBpmChange={handleBpmChange}
+          onSetDownbeat={handleSetDownbeat}
+          onQuantizeChange={handleQuantizeChange}
+          onSnapToBeatChange={handleSnapToBeatChange}
+          shortcuts={shortcuts}
+        />
+
+        <EffectsPanel
+          effects={effects}
+          activeSlots={activeEffectSlots}
+          hotcueOptions={effectHotcueOptions}
+          effectKeyLabel={(slot) => formatKey(keymap[effectActionId(slot)])}
+          isMidiLearning={isMidiLearning}
+          midiLearnTarget={midiLearnTarget}
+          midiBindings={midiBindings}
+          onChange={updateEffect}
+          onPress={pressEffect}
+          onRelease={releaseEffect}
+          onMidiLearnSelect={(slot) => selectMidiLearnTarget(effectActionId(slot))}
+          onMidiClear={(slot) => clearMidiBinding(effectActionId(slot))}
+        />
+
+        <TakesPanel
+          takes={takes}
+          isRecording={isRecording}
+          replayingTakeId={replayingTakeId}
+          isPlayerReady={isPlayerReady}
+          onStartRecording={startRecording}
+          onStopRecording={stopRecording}
+          onReplay={replayTake}
+          onStopReplay={stopReplay}
+          onRename={renameTake}
+          onDelete={deleteTake}
+        />
         
         {/* Custom Controls */}
         <div className="custom-controls" style={{
@@ -747,7 +2304,7 @@ export const CustomVideoPlayer = forwardRef(({ videoId, youtubeUrl, initialHotcu
 
       {/* Hotcue Panel and Save Button Container */}
       <div style={{ 
-        width: '345px',
+        width: compact ? '100%' : '345px',
         display: 'flex',
         flexDirection: 'column'
       }}>
@@ -761,162 +2318,591 @@ export const CustomVideoPlayer = forwardRef(({ videoId, youtubeUrl, initialHotcu
           maxHeight: '600px',
           overflowY: 'auto'
         }}>
-        <h3 className="hotcue-panel-title" style={{ marginTop: 0, marginBottom: '15px', fontSize: '18px' }}>
+        <h3 className="hotcue-panel-title" style={{ marginTop: 0, marginBottom: '15px', fontSize: '18px', display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
         🔥 Hotcues
+          <span style={{ display: 'flex', gap: '4px', marginLeft: 'auto', marginRight: '6px' }}>
+            <button
+              className="hotcue-undo-button"
+              onClick={undoHotcues}
+              disabled={historyCounts.undo === 0}
+              style={{
+                padding: '4px 8px',
+                fontSize: '12px',
+                backgroundColor: historyCounts.undo === 0 ? '#ccc' : '#6c757d',
+                color: 'white',
+                border: 'none',
+                borderRadius: '3px',
+                cursor: historyCounts.undo === 0 ? 'not-allowed' : 'pointer',
+                fontWeight: 'bold'
+              }}
+              title="Undo hotcue edit (Ctrl+Z)"
+            >
+              ↶
+            </button>
+            <button
+              className="hotcue-redo-button"
+              onClick={redoHotcues}
+              disabled={historyCounts.redo === 0}
+              style={{
+                padding: '4px 8px',
+                fontSize: '12px',
+                backgroundColor: historyCounts.redo === 0 ? '#ccc' : '#6c757d',
+                color: 'white',
+                border: 'none',
+                borderRadius: '3px',
+                cursor: historyCounts.redo === 0 ? 'not-allowed' : 'pointer',
+                fontWeight: 'bold'
+              }}
+              title="Redo hotcue edit (Ctrl+Shift+Z)"
+            >
+              ↷
+            </button>
+          </span>
+          <button
+            className="midi-learn-button"
+            onClick={toggleMidiLearn}
+            disabled={midiStatus !== 'ready'}
+            style={{
+              padding: '4px 8px',
+              fontSize: '12px',
+              backgroundColor: midiStatus !== 'ready' ? '#ccc' : (isMidiLearning ? '#6f42c1' : '#6c757d'),
+              color: 'white',
+              border: 'none',
+              borderRadius: '3px',
+              cursor: midiStatus !== 'ready' ? 'not-allowed' : 'pointer',
+              fontWeight: 'bold'
+            }}
+            title={midiStatus === 'unavailable' ? 'Web MIDI is not available in this browser' : 'Bind MIDI pads to hotcues and effects'}
+          >
+            🎹 {isMidiLearning ? 'Done' : 'MIDI Learn'}
+          </button>
         </h3>
+        {isMidiLearning && (
+          <p className="midi-learn-instructions" style={{ fontSize: '12px', color: '#6f42c1', marginBottom: '15px' }}>
+            {midiLearnTarget
+              ? `Hit a pad to bind it to ${midiLearnTarget.startsWith('fx:') ? `effect ${Number(midiLearnTarget.slice('fx:'.length)) + 1}` : hotcueKeyLabel(midiLearnTarget)}`
+              : 'Click a hotcue or an effect, then hit a pad on your controller'}
+          </p>
+        )}
         <p className="hotcue-panel-description" style={{ fontSize: '12px', color: '#666', marginBottom: '15px' }}>
           <strong>First press:</strong> Sets hotcue at current time<br/>
-          <strong>Subsequent presses:</strong> Jumps to hotcue and plays from that exact timecode
+          <strong>Subsequent presses:</strong> Jumps to hotcue and plays from that exact timecode<br/>
+          <strong>GATE</strong> hotcues play only while held, <strong>TOG</strong> hotcues stop on a second press<br/>
+          <strong>Alt + ← →</strong> nudge the selected hotcue 10ms, <strong>↓ ↑</strong> 100ms, <strong>, .</strong> 33ms, <strong>Enter</strong> re-records it<br/>
+          <strong>Banks:</strong> {banks.map((bank, index) => formatKey(keymap[bankActionId(index)])).join(' / ')} switch between {HOTCUE_BANK_COUNT} banks of hotcues
         </p>
         
-        <div className="hotcue-list" style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
-          {LETTER_KEYS.map(key => {
-            const hotcue = hotcues[key];
-            const isActive = isSettingHotcue === key;
-            const isTriggered = triggeredHotcue === key;
-            
-            // Determine background color based on state
-            // isTriggered takes highest priority for flash animation
-            let backgroundColor = 'white';
-            let borderColor = '#ddd';
-            let boxShadow = 'none';
-            
-            if (isTriggered) {
-              backgroundColor = '#ffffff'; // Bright white flash when triggered or set
-              borderColor = '#007bff'; // Blue border during flash
-              boxShadow = '0 0 10px rgba(0, 123, 255, 0.5)'; // Glow effect
-            } else if (isActive) {
-              backgroundColor = '#fff3cd'; // Yellow when setting (fallback, but flash should override)
-              borderColor = '#ffc107';
-            } else if (hotcue) {
-              backgroundColor = '#d4edda'; // Green when set
-              borderColor = '#28a745';
-            }
-            
-            return (
-              <div
-                key={key}
-                className={`hotcue-item hotcue-item-${key} ${isActive ? 'hotcue-item-active' : ''} ${hotcue ? 'hotcue-item-set' : 'hotcue-item-unset'} ${isTriggered ? 'hotcue-item-triggered' : ''}`}
+        {/* Bank tabs - click to switch, double-click to rename */}
+        <div className="hotcue-bank-tabs" style={{ display: 'flex', gap: '4px', marginBottom: '10px' }}>
+          {banks.map((bank, index) => {
+            const isActiveBank = index === activeBank;
+            const hotcueCount = Object.keys(bank.hotcues).length;
+            return editingBank === index ? (
+              <input
+                key={index}
+                type="text"
+                value={editingBankName}
+                onChange={(e) => setEditingBankName(e.target.value)}
+                onBlur={() => handleBankNameBlur(index)}
+                onKeyDown={(e) => handleBankNameKeyDown(e, index)}
+                autoFocus
+                placeholder={`Bank ${index + 1}`}
+                className="hotcue-bank-name-input"
+                style={{
+                  flex: 1,
+                  minWidth: 0,
+                  padding: '4px 8px',
+                  fontSize: '12px',
+                  border: '1px solid #007bff',
+                  borderRadius: '3px',
+                  outline: 'none'
+                }}
+              />
+            ) : (
+              <button
+                key={index}
+                className={`hotcue-bank-tab ${isActiveBank ? 'hotcue-bank-tab-active' : ''}`}
+                onClick={() => selectBank(index)}
+                onDoubleClick={() => {
+                  setEditingBank(index);
+                  setEditingBankName(bank.name);
+                }}
                 style={{
-                  display: 'flex',
-                  alignItems: 'center',
-                  gap: '10px',
-                  padding: '8px',
-                  backgroundColor: backgroundColor,
-                  border: `2px solid ${borderColor}`,
+                  flex: 1,
+                  minWidth: 0,
+                  padding: '6px 4px',
+                  fontSize: '12px',
+                  fontWeight: 'bold',
+                  backgroundColor: isActiveBank ? '#007bff' : '#e9ecef',
+                  color: isActiveBank ? 'white' : '#333',
+                  border: 'none',
                   borderRadius: '4px',
-                  boxShadow: boxShadow,
-                  transition: 'background-color 0.25s ease, border-color 0.25s ease, box-shadow 0.25s ease, all 0.2s' // Smooth transition for flash animation
+                  cursor: 'pointer',
+                  overflow: 'hidden',
+                  textOverflow: 'ellipsis',
+                  whiteSpace: 'nowrap'
                 }}
+                title={`${bankLabel(bank, index)} - ${hotcueCount} hotcue(s) ( ${formatKey(keymap[bankActionId(index)])} ). Double-click to rename`}
               >
-                <div className={`hotcue-key-badge hotcue-key-${key}`} style={{
-                  width: '30px',
-                  height: '30px',
-                  display: 'flex',
-                  alignItems: 'center',
-                  justifyContent: 'center',
-                  backgroundColor: '#007bff',
-                  color: 'white',
-                  borderRadius: '4px',
-                  fontWeight: 'bold',
-                  fontSize: '14px'
-                }}>
-                  {key.toUpperCase()}
-                </div>
-                <div className="hotcue-time-display" style={{ flex: 1, fontSize: '14px', display: 'flex', flexDirection: 'column', gap: '4px' }}>
-                  {hotcue ? (
-                    <>
-                      <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
-                        <span className="hotcue-time-value" style={{ color: '#28a745', fontWeight: 'bold' }}>
-                          {formatTime(typeof hotcue === 'number' ? hotcue : hotcue.time)}
-                        </span>
-                        {editingHotcue === key ? (
-                          <input
-                            type="text"
-                            value={editingLabel}
-                            onChange={(e) => setEditingLabel(e.target.value)}
-                            onBlur={() => handleHotcueLabelBlur(key)}
-                            onKeyDown={(e) => handleHotcueLabelKeyDown(e, key)}
-                            autoFocus
-                            className="hotcue-label-input"
+                {bankLabel(bank, index)}
+              </button>
+            );
+          })}
+        </div>
+
+        {/* Layout: list or pad grid */}
+        <div className="hotcue-view-selector" style={{ display: 'flex', gap: '4px', marginBottom: '10px' }}>
+          {HOTCUE_VIEWS.map(view => (
+            <button
+              key={view.id}
+              className={`hotcue-view-button hotcue-view-${view.id}`}
+              onClick={() => setHotcueView(view.id)}
+              style={{
+                padding: '2px 10px',
+                fontSize: '12px',
+                backgroundColor: hotcueView === view.id ? '#343a40' : '#e9ecef',
+                color: hotcueView === view.id ? 'white' : '#333',
+                border: 'none',
+                borderRadius: '3px',
+                cursor: 'pointer'
+              }}
+            >
+              {view.label}
+            </button>
+          ))}
+        </div>
+
+        {hotcueView === 'list' ? (
+          <div className="hotcue-list" style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+            {HOTCUE_SLOTS.map(key => {
+              const hotcue = hotcues[key];
+              const isActive = isSettingHotcue === key;
+              const isTriggered = triggeredHotcue === key;
+              const isLearnTarget = isMidiLearning && midiLearnTarget === key;
+              const isSelected = !!hotcue && selectedHotcueKey === key;
+              const midiBinding = Object.keys(midiBindings).find(id => midiBindings[id] === key);
+            
+              // Determine background color based on state
+              // isTriggered takes highest priority for flash animation
+              let backgroundColor = 'white';
+              let borderColor = '#ddd';
+              let boxShadow = 'none';
+            
+              if (isTriggered) {
+                backgroundColor = '#ffffff'; // Bright white flash when triggered or set
+                borderColor = '#007bff'; // Blue border during flash
+                boxShadow = '0 0 10px rgba(0, 123, 255, 0.5)'; // Glow effect
+              } else if (isLearnTarget) {
+                backgroundColor = '#e2d9f3'; // Purple while waiting for a MIDI pad
+                borderColor = '#6f42c1';
+              } else if (isActive) {
+                backgroundColor = '#fff3cd'; // Yellow when setting (fallback, but flash should override)
+                borderColor = '#ffc107';
+              } else if (hotcue) {
+                backgroundColor = '#d4edda'; // Green when set
+                borderColor = '#28a745';
+              }
+              if (isSelected && !isTriggered) {
+                boxShadow = 'inset 4px 0 0 #343a40'; // Bar on the left of the hotcue the Alt shortcuts edit
+              }
+            
+              return (
+                <div
+                  key={key}
+                  className={`hotcue-item hotcue-item-${key} ${isActive ? 'hotcue-item-active' : ''} ${hotcue ? 'hotcue-item-set' : 'hotcue-item-unset'} ${isTriggered ? 'hotcue-item-triggered' : ''}`}
+                  onClick={() => {
+                    if (isMidiLearning) {
+                      selectMidiLearnTarget(key);
+                    } else if (hotcue) {
+                      selectHotcue(key);
+                    }
+                  }}
+                  style={{
+                    cursor: isMidiLearning || hotcue ? 'pointer' : 'default',
+                    display: 'flex',
+                    alignItems: 'center',
+                    gap: '10px',
+                    padding: '8px',
+                    backgroundColor: backgroundColor,
+                    border: `2px solid ${borderColor}`,
+                    borderRadius: '4px',
+                    boxShadow: boxShadow,
+                    transition: 'background-color 0.25s ease, border-color 0.25s ease, box-shadow 0.25s ease, all 0.2s' // Smooth transition for flash animation
+                  }}
+                >
+                  <div style={{ position: 'relative' }}>
+                    <div
+                      className={`hotcue-key-badge hotcue-key-${key}`}
+                      onClick={hotcue ? () => setColorPickerKey(colorPickerKey === key ? null : key) : undefined}
+                      style={{
+                        width: '30px',
+                        height: '30px',
+                        display: 'flex',
+                        alignItems: 'center',
+                        justifyContent: 'center',
+                        backgroundColor: hotcue ? hotcue.color : '#007bff',
+                        color: 'white',
+                        textShadow: hotcue ? '0 1px 2px rgba(0, 0, 0, 0.6)' : 'none',
+                        borderRadius: '4px',
+                        fontWeight: 'bold',
+                        fontSize: '14px',
+                        cursor: hotcue ? 'pointer' : 'default'
+                      }}
+                      title={hotcue ? 'Click to change colour' : undefined}
+                    >
+                      {hotcueKeyLabel(key)}
+                    </div>
+                    {colorPickerKey === key && hotcue && (
+                      <div className="hotcue-color-palette" style={{
+                        position: 'absolute',
+                        top: '34px',
+                        left: 0,
+                        zIndex: 10,
+                        display: 'grid',
+                        gridTemplateColumns: 'repeat(4, 20px)',
+                        gap: '4px',
+                        padding: '6px',
+                        backgroundColor: 'white',
+                        border: '1px solid #ddd',
+                        borderRadius: '4px',
+                        boxShadow: '0 2px 8px rgba(0, 0, 0, 0.2)'
+                      }}>
+                        {HOTCUE_COLORS.map(color => (
+                          <button
+                            key={color}
+                            className="hotcue-color-swatch"
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              setHotcueColor(key, color);
+                            }}
                             style={{
-                              flex: 1,
-                              padding: '4px 8px',
-                              fontSize: '12px',
-                              border: '1px solid #007bff',
+                              width: '20px',
+                              height: '20px',
+                              padding: 0,
+                              backgroundColor: color,
+                              border: color === hotcue.color ? '2px solid #333' : '1px solid #ccc',
                               borderRadius: '3px',
-                              outline: 'none'
+                              cursor: 'pointer'
                             }}
-                            placeholder="Label..."
+                            title={color}
                           />
-                        ) : (
-                          <span
-                            className="hotcue-label-display"
-                            onClick={() => handleHotcueLabelClick(key, hotcue)}
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                  <div className="hotcue-time-display" style={{ flex: 1, fontSize: '14px', display: 'flex', flexDirection: 'column', gap: '4px' }}>
+                    {hotcue ? (
+                      <>
+                        <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                          {editingTimeKey === key ? (
+                            <input
+                              type="text"
+                              value={editingTimeText}
+                              onChange={(e) => setEditingTimeText(e.target.value)}
+                              onBlur={() => handleHotcueTimeBlur(key)}
+                              onKeyDown={(e) => handleHotcueTimeKeyDown(e, key)}
+                              autoFocus
+                              className="hotcue-time-input"
+                              style={{
+                                width: '80px',
+                                padding: '2px 4px',
+                                fontSize: '13px',
+                                fontWeight: 'bold',
+                                border: '1px solid #007bff',
+                                borderRadius: '3px',
+                                outline: 'none'
+                              }}
+                              placeholder="m:ss.mmm"
+                            />
+                          ) : (
+                            <span
+                              className="hotcue-time-value"
+                              onClick={() => handleHotcueTimeClick(key, hotcue)}
+                              style={{ color: '#28a745', fontWeight: 'bold', cursor: 'text' }}
+                              title="Click to type a time (m:ss.mmm or seconds)"
+                            >
+                              {formatTime(typeof hotcue === 'number' ? hotcue : hotcue.time)}
+                            </span>
+                          )}
+                          {isOutsideTrim(hotcue.time, trim) && (
+                            <span
+                              className="hotcue-outside-trim"
+                              style={{ fontSize: '11px', color: '#856404', backgroundColor: '#fff3cd', padding: '1px 4px', borderRadius: '3px', whiteSpace: 'nowrap' }}
+                              title="This hotcue is in a trimmed-off part of the video"
+                            >
+                              ⚠ trimmed
+                            </span>
+                          )}
+                          {editingHotcue === key ? (
+                            <input
+                              type="text"
+                              value={editingLabel}
+                              onChange={(e) => setEditingLabel(e.target.value)}
+                              onBlur={() => handleHotcueLabelBlur(key)}
+                              onKeyDown={(e) => handleHotcueLabelKeyDown(e, key)}
+                              autoFocus
+                              className="hotcue-label-input"
+                              style={{
+                                flex: 1,
+                                padding: '4px 8px',
+                                fontSize: '12px',
+                                border: '1px solid #007bff',
+                                borderRadius: '3px',
+                                outline: 'none'
+                              }}
+                              placeholder="Label..."
+                            />
+                          ) : (
+                            <span
+                              className="hotcue-label-display"
+                              onClick={() => handleHotcueLabelClick(key, hotcue)}
+                              style={{
+                                flex: 1,
+                                color: (typeof hotcue === 'object' && hotcue.name) ? '#333' : '#999',
+                                fontStyle: (typeof hotcue === 'object' && hotcue.name) ? 'normal' : 'italic',
+                                cursor: 'pointer',
+                                padding: '4px 8px',
+                                borderRadius: '3px',
+                                minHeight: '20px',
+                                display: 'flex',
+                                alignItems: 'center'
+                              }}
+                              title="Click to edit label"
+                            >
+                              {(typeof hotcue === 'object' && hotcue.name) ? hotcue.name : 'Click to add label'}
+                            </span>
+                          )}
+                        </div>
+                        <div className="hotcue-nudge-controls" style={{ display: 'flex', alignItems: 'center', gap: '2px' }}>
+                          {HOTCUE_NUDGES.map(nudge => (
+                            <button
+                              key={nudge.label}
+                              className="hotcue-nudge-button"
+                              onClick={(e) => {
+                                e.stopPropagation();
+                                selectHotcue(key);
+                                nudgeHotcue(key, nudge.seconds);
+                              }}
+                              style={{
+                                padding: '1px 4px',
+                                fontSize: '10px',
+                                backgroundColor: '#e9ecef',
+                                color: '#333',
+                                border: '1px solid #ccc',
+                                borderRadius: '3px',
+                                cursor: 'pointer'
+                              }}
+                              title={`Nudge ${nudge.title} (${nudge.shortcut} on the selected hotcue)`}
+                            >
+                              {nudge.label}
+                            </button>
+                          ))}
+                          <button
+                            className="hotcue-rerecord-button"
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              selectHotcue(key);
+                              rerecordHotcue(key);
+                            }}
+                            disabled={!isPlayerReady}
+                            style={{
+                              marginLeft: '4px',
+                              padding: '1px 4px',
+                              fontSize: '10px',
+                              backgroundColor: isPlayerReady ? '#ffc107' : '#ccc',
+                              color: '#333',
+                              border: 'none',
+                              borderRadius: '3px',
+                              cursor: isPlayerReady ? 'pointer' : 'not-allowed'
+                            }}
+                            title="Re-record at the current time (Alt+Enter on the selected hotcue)"
+                          >
+                            ⏺ Now
+                          </button>
+                          <button
+                            className="hotcue-target-button"
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              openTargetEditor(key);
+                            }}
                             style={{
-                              flex: 1,
-                              color: (typeof hotcue === 'object' && hotcue.name) ? '#333' : '#999',
-                              fontStyle: (typeof hotcue === 'object' && hotcue.name) ? 'normal' : 'italic',
-                              cursor: 'pointer',
-                              padding: '4px 8px',
+                              marginLeft: '4px',
+                              padding: '1px 4px',
+                              fontSize: '10px',
+                              backgroundColor: targetEditKey === key ? '#343a40' : '#e9ecef',
+                              color: targetEditKey === key ? 'white' : '#333',
+                              border: '1px solid #ccc',
                               borderRadius: '3px',
-                              minHeight: '20px',
-                              display: 'flex',
-                              alignItems: 'center'
+                              cursor: 'pointer'
                             }}
-                            title="Click to edit label"
+                            title="Make this hotcue jump to another saved video"
                           >
-                            {(typeof hotcue === 'object' && hotcue.name) ? hotcue.name : 'Click to add label'}
-                          </span>
+                            ↗ Video
+                          </button>
+                        </div>
+                        {hotcue.target && (
+                          <div className="hotcue-target" style={{ display: 'flex', alignItems: 'center', gap: '4px', fontSize: '12px', color: '#17a2b8' }}>
+                            <span style={{ overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                              ↗ {targetTitle(hotcue.target)} @ {formatTime(hotcue.target.time)}
+                            </span>
+                            <button
+                              className="hotcue-target-clear"
+                              onClick={(e) => {
+                                e.stopPropagation();
+                                setHotcueTarget(key, null);
+                              }}
+                              style={{ padding: '0 4px', fontSize: '10px', backgroundColor: 'transparent', color: '#dc3545', border: 'none', cursor: 'pointer' }}
+                              title="Jump within this video again"
+                            >
+                              ✕
+                            </button>
+                          </div>
                         )}
-                      </div>
-                    </>
-                  ) : (
-                    <span className="hotcue-time-unset" style={{ color: '#999', fontStyle: 'italic' }}>
-                      Not set
-                    </span>
+                        {targetEditKey === key && (
+                          <div
+                            className="hotcue-target-editor"
+                            onClick={(e) => e.stopPropagation()}
+                            style={{ display: 'flex', alignItems: 'center', gap: '4px', flexWrap: 'wrap' }}
+                          >
+                            <VideoPicker
+                              className="hotcue-target-video-picker"
+                              value={targetDraft.video}
+                              onChange={(video) => setTargetDraft(prev => ({ ...prev, video }))}
+                              excludeVideoId={videoId}
+                            />
+                            <input
+                              className="hotcue-target-time-input"
+                              type="text"
+                              value={targetDraft.timeText}
+                              onChange={(e) => setTargetDraft(prev => ({ ...prev, timeText: e.target.value }))}
+                              onKeyDown={(e) => {
+                                if (e.key === 'Enter') {
+                                  e.preventDefault();
+                                  handleTargetSave(key);
+                                } else if (e.key === 'Escape') {
+                                  e.preventDefault();
+                                  setTargetEditKey(null);
+                                }
+                              }}
+                              style={{ width: '80px', padding: '2px 4px', fontSize: '12px', border: '1px solid #ccc', borderRadius: '3px' }}
+                              placeholder="m:ss.mmm"
+                              title="Time in the target video to start at"
+                            />
+                            <button
+                              className="hotcue-target-save"
+                              onClick={() => handleTargetSave(key)}
+                              disabled={!targetDraft.video || parseTime(targetDraft.timeText) === null}
+                              style={{
+                                padding: '2px 6px',
+                                fontSize: '11px',
+                                backgroundColor: targetDraft.video && parseTime(targetDraft.timeText) !== null ? '#17a2b8' : '#ccc',
+                                color: 'white',
+                                border: 'none',
+                                borderRadius: '3px',
+                                cursor: targetDraft.video && parseTime(targetDraft.timeText) !== null ? 'pointer' : 'not-allowed'
+                              }}
+                            >
+                              Set
+                            </button>
+                          </div>
+                        )}
+                      </>
+                    ) : (
+                      <span className="hotcue-time-unset" style={{ color: '#999', fontStyle: 'italic' }}>
+                        Not set
+                      </span>
+                    )}
+                    {midiBinding && (
+                      <span className="hotcue-midi-binding" style={{ fontSize: '11px', color: '#6f42c1', display: 'flex', alignItems: 'center', gap: '6px' }}>
+                        🎹 {describeMidiId(midiBinding)}
+                        {isMidiLearning && (
+                          <button
+                            className="hotcue-midi-unbind-button"
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              clearMidiBinding(key);
+                            }}
+                            style={{ padding: '0 4px', fontSize: '10px', backgroundColor: 'transparent', color: '#dc3545', border: 'none', cursor: 'pointer' }}
+                            title="Remove MIDI binding"
+                          >
+                            ✕
+                          </button>
+                        )}
+                      </span>
+                    )}
+                  </div>
+                  {hotcue && (
+                    <button
+                      className={`hotcue-mode-button hotcue-mode-${hotcue.mode}`}
+                      onClick={() => cycleHotcueMode(key)}
+                      style={{
+                        padding: '4px 6px',
+                        fontSize: '10px',
+                        fontWeight: 'bold',
+                        minWidth: '40px',
+                        backgroundColor: hotcue.mode === 'cue' ? '#6c757d' : (hotcue.mode === 'gate' ? '#fd7e14' : '#6f42c1'),
+                        color: 'white',
+                        border: 'none',
+                        borderRadius: '3px',
+                        cursor: 'pointer'
+                      }}
+                      title="Trigger mode: CUE jumps and keeps playing, GATE plays while held, TOG stops on a second press (click to change)"
+                    >
+                      {HOTCUE_MODE_LABELS[hotcue.mode]}
+                    </button>
+                  )}
+                  {hotcue && (
+                    <button
+                      className={`hotcue-jump-button hotcue-jump-${key}`}
+                      onClick={() => (hotcue.target ? jumpToTarget(key, hotcue.target) : handleSeek(hotcue))}
+                      style={{
+                        padding: '4px 8px',
+                        fontSize: '12px',
+                        backgroundColor: '#007bff',
+                        color: 'white',
+                        border: 'none',
+                        borderRadius: '3px',
+                        cursor: 'pointer'
+                      }}
+                      title={hotcue.target ? `Jump to ${targetTitle(hotcue.target)}` : 'Jump to hotcue'}
+                    >
+                      ▶
+                    </button>
+                  )}
+                  {hotcue && (
+                    <button
+                      className={`hotcue-clear-button hotcue-clear-${key}`}
+                      onClick={() => clearHotcue(key)}
+                      style={{
+                        padding: '4px 8px',
+                        fontSize: '12px',
+                        backgroundColor: '#dc3545',
+                        color: 'white',
+                        border: 'none',
+                        borderRadius: '3px',
+                        cursor: 'pointer'
+                      }}
+                      title="Clear hotcue"
+                    >
+                      ✕
+                    </button>
                   )}
                 </div>
-                {hotcue && (
-                  <button
-                    className={`hotcue-jump-button hotcue-jump-${key}`}
-                    onClick={() => handleSeek(hotcue)}
-                    style={{
-                      padding: '4px 8px',
-                      fontSize: '12px',
-                      backgroundColor: '#007bff',
-                      color: 'white',
-                      border: 'none',
-                      borderRadius: '3px',
-                      cursor: 'pointer'
-                    }}
-                    title="Jump to hotcue"
-                  >
-                    ▶
-                  </button>
-                )}
-                {hotcue && (
-                  <button
-                    className={`hotcue-clear-button hotcue-clear-${key}`}
-                    onClick={() => clearHotcue(key)}
-                    style={{
-                      padding: '4px 8px',
-                      fontSize: '12px',
-                      backgroundColor: '#dc3545',
-                      color: 'white',
-                      border: 'none',
-                      borderRadius: '3px',
-                      cursor: 'pointer'
-                    }}
-                    title="Clear hotcue"
-                  >
-                    ✕
-                  </button>
-                )}
-              </div>
-            );
-          })}
-        </div>
+              );
+            })}
+          </div>
+        ) : (
+          <HotcuePadGrid
+            layout={hotcueView}
+            hotcues={hotcues}
+            outsideTrimKeys={Object.keys(hotcues).filter(key => isOutsideTrim(hotcues[key].time, trim))}
+            triggeredHotcue={triggeredHotcue}
+            isPlayerReady={isPlayerReady}
+            hotcueKeyLabel={hotcueKeyLabel}
+            onPadPress={(key) => pressHotcue(key)}
+            onPadRelease={releaseHotcue}
+          />
+        )}
         </div>
         
         {/* Save Button - Directly beneath hotcue panel */}
@@ -927,26 +2913,26 @@ export const CustomVideoPlayer = forwardRef(({ videoId, youtubeUrl, initialHotcu
         <button
           className="save-button"
           onClick={handleSave}
-          disabled={isSaving || !youtubeUrl}
+          disabled={isSaving || !canSave}
           style={{
             width: '100%',
             padding: '12px',
             fontSize: '16px',
-            backgroundColor: isSaving || !youtubeUrl ? '#ccc' : '#28a745',
+            backgroundColor: isSaving || !canSave ? '#ccc' : '#28a745',
             color: 'white',
             border: 'none',
             borderRadius: '4px',
-            cursor: isSaving || !youtubeUrl ? 'not-allowed' : 'pointer',
+            cursor: isSaving || !canSave ? 'not-allowed' : 'pointer',
             fontWeight: 'bold',
-            opacity: isSaving || !youtubeUrl ? 0.6 : 1,
+            opacity: isSaving || !canSave ? 0.6 : 1,
             display: 'block'
           }}
         >
           {isSaving ? 'Saving...' : '💾 Save'}
         </button>
-        {!youtubeUrl && (
+        {!canSave && (
           <p style={{ marginTop: '8px', fontSize: '11px', color: '#999', textAlign: 'center' }}>
-            Enter a YouTube URL to enable save
+            {isLocalFile ? 'Open the video file again to enable save' : 'Enter a YouTube URL to enable save'}
           </p>
         )}
         {/* Debug info - remove later */}
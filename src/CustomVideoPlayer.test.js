@@ -0,0 +1,155 @@
+import { render, act, fireEvent, screen, waitFor } from '@testing-library/react';
+import { CustomVideoPlayer } from './CustomVideoPlayer';
+import { PlayerStates, createFakeAdapterFactory } from './playerAdapter';
+
+jest.mock('axios', () => ({ get: jest.fn(), post: jest.fn(), delete: jest.fn() }));
+
+const cue = (time, mode = 'cue') => ({ time, name: '', mode, color: '#007bff' });
+
+// Renders a deck on a fake player (with no MIDI inputs) and returns the player once the deck is set up
+const setUpDeck = async (banks, props = {}) => {
+  const createPlayer = createFakeAdapterFactory();
+  render(
+    <CustomVideoPlayer
+      videoId="video-1"
+      youtubeUrl="https://www.youtube.com/watch?v=video-1"
+      initialHotcues={{ banks }}
+      createPlayer={createPlayer}
+      midiAccess={{ inputs: new Map() }}
+      {...props}
+    />
+  );
+  await waitFor(() => expect(screen.getByRole('button', { name: /MIDI Learn/ }).disabled).toBe(false));
+  return createPlayer.adapters[0];
+};
+
+// Keys from the default (QWERTY) keymap: hotcue slots are letters, banks are 1-4
+const pressKey = (key) => fireEvent.keyDown(document.body, { key });
+const releaseKey = (key) => fireEvent.keyUp(document.body, { key });
+const tapKey = (key) => {
+  pressKey(key);
+  releaseKey(key);
+};
+
+beforeEach(() => {
+  localStorage.clear();
+  localStorage.setItem('username', 'dj');
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('CustomVideoPlayer hotcues', () => {
+  it('sets an empty hotcue at the current time, then jumps back to it', async () => {
+    const player = await setUpDeck([]);
+
+    act(() => player.play());
+    player.advance(12.5);
+    tapKey('w');
+    expect(player.getTime()).toBe(12.5); // Setting doesn't move playback
+
+    player.advance(30);
+    expect(player.getTime()).toBe(42.5);
+    tapKey('w');
+    expect(player.getTime()).toBe(12.5);
+    expect(player.getState()).toBe(PlayerStates.PLAYING);
+  });
+
+  it('plays a stored hotcue from a stopped player', async () => {
+    const player = await setUpDeck([{ name: '', hotcues: { q: cue(42) } }]);
+
+    const seek = jest.spyOn(player, 'seek');
+    expect(player.getState()).toBe(PlayerStates.CUED);
+    tapKey('q');
+    expect(seek).toHaveBeenCalledWith(42);
+    expect(player.getTime()).toBe(42);
+    expect(player.getState()).toBe(PlayerStates.PLAYING);
+  });
+
+  it('triggers the hotcue of the bank that is switched to', async () => {
+    const player = await setUpDeck([
+      { name: '', hotcues: { q: cue(10) } },
+      { name: '', hotcues: { q: cue(50) } }
+    ]);
+
+    tapKey('2');
+    tapKey('q');
+    expect(player.getTime()).toBe(50);
+
+    tapKey('1');
+    tapKey('q');
+    expect(player.getTime()).toBe(10);
+  });
+
+  it('plays a gate hotcue while held and returns to it on release', async () => {
+    const player = await setUpDeck([{ name: '', hotcues: { q: cue(20, 'gate') } }]);
+
+    pressKey('q');
+    expect(player.getTime()).toBe(20);
+    expect(player.getState()).toBe(PlayerStates.PLAYING);
+
+    player.advance(3);
+    expect(player.getTime()).toBe(23);
+
+    releaseKey('q');
+    expect(player.getState()).toBe(PlayerStates.PAUSED);
+    expect(player.getTime()).toBe(20);
+  });
+
+  it('returns a held gate to its own cue even after the bank is switched', async () => {
+    const player = await setUpDeck([
+      { name: '', hotcues: { q: cue(20, 'gate') } },
+      { name: '', hotcues: { q: cue(80) } }
+    ]);
+
+    pressKey('q');
+    player.advance(5);
+    tapKey('2');
+    releaseKey('q');
+    expect(player.getState()).toBe(PlayerStates.PAUSED);
+    expect(player.getTime()).toBe(20);
+  });
+
+  it('starts a toggle hotcue on one press and stops it on the next', async () => {
+    const player = await setUpDeck([{ name: '', hotcues: { q: cue(30, 'toggle') } }]);
+
+    tapKey('q');
+    expect(player.getTime()).toBe(30);
+    player.advance(2);
+    expect(player.getState()).toBe(PlayerStates.PLAYING); // Releasing the key doesn't stop it
+
+    tapKey('q');
+    expect(player.getState()).toBe(PlayerStates.PAUSED);
+    expect(player.getTime()).toBe(32);
+
+    tapKey('q');
+    expect(player.getTime()).toBe(30);
+    expect(player.getState()).toBe(PlayerStates.PLAYING);
+  });
+
+  it('keeps a held key from re-triggering a gate hotcue', async () => {
+    const player = await setUpDeck([{ name: '', hotcues: { q: cue(20, 'gate') } }]);
+
+    pressKey('q');
+    player.advance(4);
+    fireEvent.keyDown(document.body, { key: 'q', repeat: true });
+    expect(player.getTime()).toBe(24);
+  });
+});
+
+describe('CustomVideoPlayer output', () => {
+  it('sends each play and pause to the output window once', async () => {
+    const output = { post: jest.fn() };
+    const player = await setUpDeck([{ name: '', hotcues: { q: cue(42) } }], { output });
+    const sent = (type) => output.post.mock.calls.filter(([message]) => message.type === type);
+
+    tapKey('q');
+    expect(sent('play')).toEqual([[{ type: 'play', time: 42 }]]);
+
+    tapKey(' ');
+    expect(player.getState()).toBe(PlayerStates.PAUSED);
+    expect(sent('pause')).toHaveLength(1);
+  });
+});
@@ -0,0 +1,69 @@
+import { useEffect, useState } from 'react';
+
+const FADE_DURATION = 1; // seconds to fade to (and back from) the fade colour
+
+/**
+ * Style for the element holding the video, for the effects that change the video itself
+ * @param {Array<{ type: string, color: string }>} activeEffects - Effects that are on
+ * @returns {Object} - Inline style with filter and transform
+ */
+export function videoEffectsStyle(activeEffects) {
+  const types = activeEffects.map(effect => effect.type);
+  const filters = [];
+  if (types.includes('invert')) filters.push('invert(1)');
+  if (types.includes('blur')) filters.push('blur(8px)');
+  return {
+    filter: filters.length > 0 ? filters.join(' ') : 'none',
+    transform: types.includes('mirror') ? 'scaleX(-1)' : 'none'
+  };
+}
+
+// Overlays for the effects drawn on top of the video (strobe, tint, black-out, fade).
+// Sits over the player container and never takes the mouse.
+export function EffectsLayer({ activeEffects }) {
+  const [lastFadeColor, setLastFadeColor] = useState('#000000'); // Kept so fading back out doesn't change colour
+  const find = (type) => activeEffects.filter(effect => effect.type === type).pop();
+  const strobe = find('strobe');
+  const tint = find('tint');
+  const fade = find('fade');
+  const isBlackout = !!find('blackout');
+  const fadeColor = fade ? fade.color : null;
+
+  useEffect(() => {
+    if (fadeColor) {
+      setLastFadeColor(fadeColor);
+    }
+  }, [fadeColor]);
+
+  const overlayStyle = {
+    position: 'absolute',
+    top: 0,
+    left: 0,
+    right: 0,
+    bottom: 0,
+    pointerEvents: 'none'
+  };
+
+  return (
+    <div className="effects-layer" style={{ ...overlayStyle, overflow: 'hidden', zIndex: 1 }}>
+      {tint && (
+        <div className="effect-tint" style={{ ...overlayStyle, backgroundColor: tint.color, mixBlendMode: 'color', opacity: 0.7 }} />
+      )}
+      {strobe && (
+        <div className="effect-strobe" style={{ ...overlayStyle, backgroundColor: strobe.color, animation: 'viper-strobe 0.12s linear infinite' }} />
+      )}
+      <div
+        className="effect-fade"
+        style={{
+          ...overlayStyle,
+          backgroundColor: fadeColor || lastFadeColor,
+          opacity: fade ? 1 : 0,
+          transition: `opacity ${FADE_DURATION}s linear`
+        }}
+      />
+      {isBlackout && (
+        <div className="effect-blackout" style={{ ...overlayStyle, backgroundColor: '#000' }} />
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,158 @@
+import { EFFECT_TYPES, effectType, effectActionId, createEffect } from './effects';
+import { describeMidiId } from './midi';
+
+const buttonStyle = (enabled, backgroundColor) => ({
+  padding: '4px 10px',
+  fontSize: '12px',
+  backgroundColor: enabled ? backgroundColor : '#ccc',
+  color: 'white',
+  border: 'none',
+  borderRadius: '4px',
+  cursor: enabled ? 'pointer' : 'not-allowed',
+  fontWeight: 'bold',
+  opacity: enabled ? 1 : 0.6,
+  userSelect: 'none'
+});
+
+const selectStyle = { padding: '3px', fontSize: '12px' };
+
+// Effect slots for the video: pick an effect per slot, whether it's held or latched, its
+// colour and an optional hotcue that fires it. The trigger button works like the slot's key.
+export function EffectsPanel({
+  effects,
+  activeSlots,
+  hotcueOptions,
+  effectKeyLabel,
+  isMidiLearning,
+  midiLearnTarget,
+  midiBindings,
+  onChange,
+  onPress,
+  onRelease,
+  onMidiLearnSelect,
+  onMidiClear
+}) {
+  const hotcueValue = (hotcue) => (hotcue ? `${hotcue.bank}:${hotcue.key}` : '');
+
+  return (
+    <div className="effects-panel" style={{
+      marginTop: '10px',
+      padding: '10px',
+      backgroundColor: '#f9f9f9',
+      border: '1px solid #ddd',
+      borderRadius: '4px',
+      textAlign: 'left'
+    }}>
+      <strong style={{ fontSize: '14px' }}>✨ Effects</strong>
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '4px', marginTop: '8px' }}>
+        {effects.map((effect, slot) => {
+          const isActive = activeSlots.includes(slot);
+          const type = effect ? effectType(effect.type) : null;
+          const isLearnTarget = isMidiLearning && midiLearnTarget === effectActionId(slot);
+          const midiBinding = Object.keys(midiBindings).find(id => midiBindings[id] === effectActionId(slot));
+          return (
+            <div
+              key={slot}
+              className={`effect-slot effect-slot-${slot} ${isActive ? 'effect-slot-active' : ''}`}
+              onClick={() => isMidiLearning && effect && onMidiLearnSelect(slot)}
+              style={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: '6px',
+                flexWrap: 'wrap',
+                padding: '4px 6px',
+                borderRadius: '4px',
+                backgroundColor: isActive ? '#fff3cd' : 'transparent',
+                border: `2px solid ${isLearnTarget ? '#6f42c1' : 'transparent'}`,
+                cursor: isMidiLearning && effect ? 'pointer' : 'default'
+              }}
+            >
+              <button
+                className="effect-trigger-button"
+                onMouseDown={() => effect && onPress(slot)}
+                onMouseUp={() => onRelease(slot)}
+                onMouseLeave={() => onRelease(slot)}
+                disabled={!effect}
+                style={{ ...buttonStyle(!!effect, isActive ? '#fd7e14' : '#6c757d'), minWidth: '36px', fontFamily: 'monospace' }}
+                title={effect ? `Trigger ${type.label} ( ${effectKeyLabel(slot)} )` : 'Choose an effect for this slot'}
+              >
+                {effectKeyLabel(slot)}
+              </button>
+              <select
+                className="effect-type-select"
+                value={effect ? effect.type : ''}
+                onChange={(e) => onChange(slot, e.target.value ? { ...createEffect(e.target.value), ...(effect ? { mode: effect.mode, hotcue: effect.hotcue } : {}) } : null)}
+                style={selectStyle}
+              >
+                <option value="">— None —</option>
+                {EFFECT_TYPES.map(option => (
+                  <option key={option.id} value={option.id}>{option.label}</option>
+                ))}
+              </select>
+              {effect && (
+                <>
+                  <select
+                    className="effect-mode-select"
+                    value={effect.mode}
+                    onChange={(e) => onChange(slot, { ...effect, mode: e.target.value })}
+                    style={selectStyle}
+                    title="Held: on while the key is down. Latched: each press switches it on or off"
+                  >
+                    <option value="momentary">Held</option>
+                    <option value="latched">Latched</option>
+                  </select>
+                  {type.hasColor && (
+                    <input
+                      className="effect-color-input"
+                      type="color"
+                      value={effect.color}
+                      onChange={(e) => onChange(slot, { ...effect, color: e.target.value })}
+                      style={{ width: '28px', height: '24px', padding: 0, border: '1px solid #ccc', borderRadius: '3px' }}
+                      title="Effect colour"
+                    />
+                  )}
+                  <select
+                    className="effect-hotcue-select"
+                    value={hotcueValue(effect.hotcue)}
+                    onChange={(e) => {
+                      const option = hotcueOptions.find(hotcue => hotcueValue(hotcue) === e.target.value);
+                      onChange(slot, { ...effect, hotcue: option ? { bank: option.bank, key: option.key } : null });
+                    }}
+                    style={{ ...selectStyle, maxWidth: '160px' }}
+                    title="Fire this effect whenever a hotcue triggers"
+                  >
+                    <option value="">No hotcue</option>
+                    {hotcueOptions.map(hotcue => (
+                      <option key={hotcueValue(hotcue)} value={hotcueValue(hotcue)}>{hotcue.label}</option>
+                    ))}
+                  </select>
+                  {midiBinding && (
+                    <span
+                      className="effect-midi-binding"
+                      style={{ fontSize: '11px', color: '#6f42c1', display: 'flex', alignItems: 'center', gap: '2px' }}
+                    >
+                      🎹 {describeMidiId(midiBinding)}
+                      {isMidiLearning && (
+                        <button
+                          className="effect-midi-clear"
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            onMidiClear(slot);
+                          }}
+                          style={{ border: 'none', background: 'none', color: '#6f42c1', cursor: 'pointer', padding: '0 2px' }}
+                          title="Remove MIDI binding"
+                        >
+                          ✕
+                        </button>
+                      )}
+                    </span>
+                  )}
+                </>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
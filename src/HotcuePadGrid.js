@@ -0,0 +1,121 @@
+import { useState } from 'react';
+import { HOTCUE_SLOTS } from './keymap';
+
+const PADS_PER_PAGE = 16;
+
+// Slot rows for the QWERTY-shaped layout, each indented like a keyboard row
+const QWERTY_ROWS = [
+  { slots: HOTCUE_SLOTS.slice(0, 10), indent: 0 },
+  { slots: HOTCUE_SLOTS.slice(10, 19), indent: 0.25 },
+  { slots: HOTCUE_SLOTS.slice(19), indent: 0.75 }
+];
+
+// Hotcues laid out as large coloured pads, either 4x4 (two pages for the 26 slots)
+// or in the shape of a QWERTY keyboard. Pads trigger on mouse down and release on
+// mouse up so gate hotcues work the same as their keys.
+export function HotcuePadGrid({
+  layout,
+  hotcues,
+  outsideTrimKeys = [],
+  triggeredHotcue,
+  isPlayerReady,
+  hotcueKeyLabel,
+  onPadPress,
+  onPadRelease
+}) {
+  const [page, setPage] = useState(0);
+  const pageCount = Math.ceil(HOTCUE_SLOTS.length / PADS_PER_PAGE);
+
+  const renderPad = (key) => {
+    const hotcue = hotcues[key];
+    const isTriggered = triggeredHotcue === key;
+    const isOutsideTrim = !!hotcue && outsideTrimKeys.includes(key);
+    return (
+      <button
+        key={key}
+        className={`hotcue-pad hotcue-pad-${key} ${hotcue ? 'hotcue-pad-set' : 'hotcue-pad-unset'}`}
+        onMouseDown={() => isPlayerReady && onPadPress(key)}
+        onMouseUp={() => onPadRelease(key)}
+        onMouseLeave={() => onPadRelease(key)}
+        disabled={!isPlayerReady}
+        style={{
+          aspectRatio: '1',
+          minWidth: 0,
+          padding: '4px',
+          display: 'flex',
+          flexDirection: 'column',
+          alignItems: 'center',
+          justifyContent: 'center',
+          gap: '2px',
+          backgroundColor: isTriggered ? '#ffffff' : (hotcue ? hotcue.color : '#e9ecef'),
+          color: hotcue ? 'white' : '#999',
+          textShadow: hotcue ? '0 1px 2px rgba(0, 0, 0, 0.6)' : 'none',
+          border: `2px ${isOutsideTrim ? 'dashed' : 'solid'} ${isTriggered ? '#007bff' : (isOutsideTrim ? '#856404' : 'transparent')}`,
+          borderRadius: '6px',
+          boxShadow: isTriggered ? '0 0 10px rgba(0, 123, 255, 0.5)' : 'inset 0 -3px 0 rgba(0, 0, 0, 0.15)',
+          cursor: isPlayerReady ? 'pointer' : 'not-allowed',
+          transition: 'background-color 0.25s ease, box-shadow 0.25s ease',
+          overflow: 'hidden',
+          userSelect: 'none'
+        }}
+        title={hotcue ? `${hotcue.name || hotcueKeyLabel(key)} - ${hotcue.time.toFixed(3)}s${hotcue.target ? ` - jumps to ${hotcue.target.title || 'another video'}` : ''}${isOutsideTrim ? ' (in a trimmed-off part)' : ''}` : 'Not set - press to set at the current time'}
+      >
+        <span style={{ fontWeight: 'bold', fontSize: '14px' }}>{hotcueKeyLabel(key)}{hotcue && hotcue.target ? ' ↗' : ''}</span>
+        {hotcue && hotcue.name && (
+          <span style={{ fontSize: '10px', maxWidth: '100%', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+            {hotcue.name}
+          </span>
+        )}
+      </button>
+    );
+  };
+
+  if (layout === 'qwerty') {
+    return (
+      <div className="hotcue-pad-grid hotcue-pad-grid-qwerty" style={{ display: 'flex', flexDirection: 'column', gap: '4px' }}>
+        {QWERTY_ROWS.map((row, index) => (
+          <div
+            key={index}
+            style={{
+              display: 'grid',
+              gridTemplateColumns: 'repeat(10, 1fr)',
+              gap: '4px',
+              paddingLeft: `${row.indent * 10}%`
+            }}
+          >
+            {row.slots.map(renderPad)}
+          </div>
+        ))}
+      </div>
+    );
+  }
+
+  const pageSlots = HOTCUE_SLOTS.slice(page * PADS_PER_PAGE, (page + 1) * PADS_PER_PAGE);
+  return (
+    <div className="hotcue-pad-grid hotcue-pad-grid-4x4">
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4, 1fr)', gap: '6px' }}>
+        {pageSlots.map(renderPad)}
+      </div>
+      <div style={{ display: 'flex', justifyContent: 'center', gap: '6px', marginTop: '8px' }}>
+        {Array.from({ length: pageCount }, (_, index) => (
+          <button
+            key={index}
+            className={`hotcue-pad-page-button ${page === index ? 'hotcue-pad-page-active' : ''}`}
+            onClick={() => setPage(index)}
+            style={{
+              padding: '2px 10px',
+              fontSize: '12px',
+              backgroundColor: page === index ? '#007bff' : '#e9ecef',
+              color: page === index ? 'white' : '#333',
+              border: 'none',
+              borderRadius: '3px',
+              cursor: 'pointer'
+            }}
+          >
+            {hotcueKeyLabel(HOTCUE_SLOTS[index * PADS_PER_PAGE])}–{hotcueKeyLabel(HOTCUE_SLOTS[Math.min(HOTCUE_SLOTS.length, (index + 1) * PADS_PER_PAGE) - 1])}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
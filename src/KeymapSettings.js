@@ -0,0 +1,223 @@
+import { useState } from 'react';
+import {
+  HOTCUE_ACTIONS,
+  BANK_ACTIONS,
+  TRANSPORT_ACTIONS,
+  SETLIST_ACTIONS,
+  KEYMAP_PRESETS,
+  keyFromEvent,
+  formatKey,
+  findConflicts,
+  saveKeymap
+} from './keymap';
+import { EFFECT_ACTIONS } from './effects';
+
+const MODIFIER_KEYS = ['shift', 'control', 'alt', 'meta', 'capslock'];
+
+const buttonStyle = (enabled, backgroundColor) => ({
+  padding: '8px 16px',
+  fontSize: '14px',
+  backgroundColor: enabled ? backgroundColor : '#ccc',
+  color: 'white',
+  border: 'none',
+  borderRadius: '4px',
+  cursor: enabled ? 'pointer' : 'not-allowed',
+  fontWeight: 'bold',
+  opacity: enabled ? 1 : 0.6
+});
+
+// Modal for choosing the key behind each hotcue slot, bank, effect slot, transport and setlist action.
+// Changes are only applied (and saved for the user) when there are no conflicting keys.
+export function KeymapSettings({ keymap, onSave, onClose }) {
+  const [draft, setDraft] = useState(keymap);
+  const [capturingAction, setCapturingAction] = useState(null);
+  const [presetId, setPresetId] = useState('');
+
+  const conflicts = findConflicts(draft);
+  const hasConflicts = Object.keys(conflicts).length > 0;
+
+  const handlePresetChange = (id) => {
+    setPresetId(id);
+    if (KEYMAP_PRESETS[id]) {
+      setDraft({ ...KEYMAP_PRESETS[id].keymap });
+    }
+    setCapturingAction(null);
+  };
+
+  const handleCaptureKeyDown = (e, actionId) => {
+    e.preventDefault();
+    e.stopPropagation();
+    if (e.key === 'Escape') {
+      setCapturingAction(null);
+      return;
+    }
+    const key = keyFromEvent(e);
+    if (!key || MODIFIER_KEYS.includes(key)) {
+      return;
+    }
+    setDraft(prev => ({ ...prev, [actionId]: key }));
+    setPresetId('');
+    setCapturingAction(null);
+  };
+
+  const clearKey = (actionId) => {
+    setDraft(prev => ({ ...prev, [actionId]: '' }));
+    setPresetId('');
+  };
+
+  const handleSave = () => {
+    if (hasConflicts) return;
+    saveKeymap(localStorage.getItem('username'), draft);
+    onSave(draft);
+  };
+
+  const renderAction = (action) => {
+    const key = draft[action.id];
+    const isConflict = !!(key && conflicts[key]);
+    const isCapturing = capturingAction === action.id;
+    return (
+      <div
+        key={action.id}
+        className={`keymap-row ${isConflict ? 'keymap-row-conflict' : ''}`}
+        style={{
+          display: 'flex',
+          alignItems: 'center',
+          gap: '8px',
+          padding: '4px 8px',
+          borderRadius: '4px',
+          backgroundColor: isConflict ? '#f8d7da' : 'transparent'
+        }}
+      >
+        <span style={{ flex: 1, fontSize: '13px' }}>{action.label}</span>
+        {isCapturing ? (
+          <input
+            className="keymap-capture-input"
+            readOnly
+            autoFocus
+            value="Press a key..."
+            onKeyDown={(e) => handleCaptureKeyDown(e, action.id)}
+            onBlur={() => setCapturingAction(null)}
+            style={{
+              width: '110px',
+              padding: '4px 8px',
+              fontSize: '12px',
+              border: '1px solid #007bff',
+              borderRadius: '3px',
+              outline: 'none',
+              textAlign: 'center'
+            }}
+          />
+        ) : (
+          <button
+            className="keymap-key-button"
+            onClick={() => setCapturingAction(action.id)}
+            style={{
+              width: '110px',
+              padding: '4px 8px',
+              fontSize: '12px',
+              fontFamily: 'monospace',
+              fontWeight: 'bold',
+              backgroundColor: 'white',
+              border: `1px solid ${isConflict ? '#dc3545' : '#ccc'}`,
+              borderRadius: '3px',
+              cursor: 'pointer'
+            }}
+            title={isConflict ? 'This key is used by more than one action' : 'Click, then press a key'}
+          >
+            {formatKey(key)}
+          </button>
+        )}
+        <button
+          className="keymap-clear-button"
+          onClick={() => clearKey(action.id)}
+          disabled={!key}
+          style={{ ...buttonStyle(!!key, '#6c757d'), padding: '4px 8px', fontSize: '12px' }}
+          title="Unassign"
+        >
+          ✕
+        </button>
+      </div>
+    );
+  };
+
+  return (
+    <div
+      style={{
+        position: 'fixed',
+        top: 0,
+        left: 0,
+        right: 0,
+        bottom: 0,
+        backgroundColor: 'rgba(0, 0, 0, 0.5)',
+        display: 'flex',
+        justifyContent: 'center',
+        alignItems: 'center',
+        zIndex: 1000
+      }}
+    >
+      <div
+        className="keymap-settings"
+        style={{
+          backgroundColor: 'white',
+          padding: '30px',
+          borderRadius: '8px',
+          boxShadow: '0 4px 15px rgba(0, 0, 0, 0.2)',
+          width: '520px',
+          maxHeight: '85vh',
+          display: 'flex',
+          flexDirection: 'column',
+          textAlign: 'left'
+        }}
+      >
+        <h3 style={{ marginTop: 0, marginBottom: '15px', fontSize: '18px' }}>Keyboard shortcuts</h3>
+        <label style={{ fontSize: '14px', display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '15px' }}>
+          Layout preset
+          <select
+            className="keymap-preset-select"
+            value={presetId}
+            onChange={(e) => handlePresetChange(e.target.value)}
+            style={{ padding: '4px', fontSize: '14px' }}
+          >
+            <option value="">Custom</option>
+            {Object.keys(KEYMAP_PRESETS).map(id => (
+              <option key={id} value={id}>{KEYMAP_PRESETS[id].label}</option>
+            ))}
+          </select>
+        </label>
+
+        <div style={{ overflowY: 'auto', flex: 1 }}>
+          <h4 style={{ margin: '0 0 6px 0', fontSize: '14px' }}>Transport</h4>
+          {TRANSPORT_ACTIONS.map(renderAction)}
+          <h4 style={{ margin: '15px 0 6px 0', fontSize: '14px' }}>Setlist</h4>
+          {SETLIST_ACTIONS.map(renderAction)}
+          <h4 style={{ margin: '15px 0 6px 0', fontSize: '14px' }}>Hotcue banks</h4>
+          {BANK_ACTIONS.map(renderAction)}
+          <h4 style={{ margin: '15px 0 6px 0', fontSize: '14px' }}>Effects</h4>
+          {EFFECT_ACTIONS.map(renderAction)}
+          <h4 style={{ margin: '15px 0 6px 0', fontSize: '14px' }}>Hotcues</h4>
+          {HOTCUE_ACTIONS.map(renderAction)}
+        </div>
+
+        {hasConflicts && (
+          <p className="keymap-conflict-warning" style={{ color: '#dc3545', fontSize: '13px', marginBottom: 0 }}>
+            {Object.keys(conflicts).map(formatKey).join(', ')} {Object.keys(conflicts).length === 1 ? 'is' : 'are'} assigned more than once
+          </p>
+        )}
+
+        <div style={{ display: 'flex', gap: '10px', justifyContent: 'flex-end', marginTop: '20px' }}>
+          <button onClick={onClose} style={buttonStyle(true, '#6c757d')}>
+            Cancel
+          </button>
+          <button
+            className="keymap-save-button"
+            onClick={handleSave}
+            disabled={hasConflicts}
+            style={buttonStyle(!hasConflicts, '#28a745')}
+          >
+            Save
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
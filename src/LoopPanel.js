@@ -0,0 +1,148 @@
+const buttonStyle = (enabled, backgroundColor) => ({
+  padding: '6px 12px',
+  fontSize: '14px',
+  backgroundColor: enabled ? backgroundColor : '#ccc',
+  color: 'white',
+  border: 'none',
+  borderRadius: '4px',
+  cursor: enabled ? 'pointer' : 'not-allowed',
+  fontWeight: 'bold',
+  opacity: enabled ? 1 : 0.6
+});
+
+export function LoopPanel({
+  loops,
+  activeLoopIndex,
+  pendingLoopIn,
+  fixedLengths,
+  isPlayerReady,
+  formatTime,
+  onLoopIn,
+  onLoopOut,
+  onLoopToggle,
+  onFixedLoop,
+  onLoopSelect,
+  onLoopClear,
+  onLoopKeep,
+  shortcuts
+}) {
+  const canLoopOut = isPlayerReady && pendingLoopIn !== null;
+
+  return (
+    <div className="loop-panel" style={{
+      marginTop: '10px',
+      padding: '10px',
+      backgroundColor: '#f9f9f9',
+      border: '1px solid #ddd',
+      borderRadius: '4px',
+      textAlign: 'left'
+    }}>
+      <div className="loop-controls" style={{ display: 'flex', alignItems: 'center', gap: '8px', flexWrap: 'wrap' }}>
+        <strong style={{ fontSize: '14px', marginRight: '4px' }}>🔁 Loops</strong>
+        <button
+          className="loop-in-button"
+          onClick={onLoopIn}
+          disabled={!isPlayerReady}
+          style={buttonStyle(isPlayerReady, pendingLoopIn !== null ? '#ffc107' : '#007bff')}
+          title={`Set loop-in at current time ( ${shortcuts.loopIn} )`}
+        >
+          IN{pendingLoopIn !== null ? ` ${formatTime(pendingLoopIn)}` : ''}
+        </button>
+        <button
+          className="loop-out-button"
+          onClick={onLoopOut}
+          disabled={!canLoopOut}
+          style={buttonStyle(canLoopOut, '#007bff')}
+          title={`Set loop-out at current time and start looping ( ${shortcuts.loopOut} )`}
+        >
+          OUT
+        </button>
+        <button
+          className="loop-toggle-button"
+          onClick={onLoopToggle}
+          disabled={!isPlayerReady}
+          style={buttonStyle(isPlayerReady, activeLoopIndex !== null ? '#dc3545' : '#6c757d')}
+          title={`Exit the active loop, or re-enter the last one ( ${shortcuts.loopToggle} )`}
+        >
+          {activeLoopIndex !== null ? 'EXIT' : 'RELOOP'}
+        </button>
+        <span style={{ fontSize: '12px', color: '#666', marginLeft: '8px' }}>From hotcue:</span>
+        {fixedLengths.map(seconds => (
+          <button
+            key={seconds}
+            className={`loop-fixed-button loop-fixed-${seconds}`}
+            onClick={() => onFixedLoop(seconds)}
+            disabled={!isPlayerReady}
+            style={buttonStyle(isPlayerReady, '#17a2b8')}
+            title={`Start a ${seconds} second loop at the last triggered hotcue`}
+          >
+            {seconds}s
+          </button>
+        ))}
+      </div>
+
+      {loops.length > 0 && (
+        <div className="loop-list" style={{ display: 'flex', flexDirection: 'column', gap: '6px', marginTop: '10px' }}>
+          {loops.map((loop, index) => {
+            const isActive = activeLoopIndex === index;
+            return (
+              <div
+                key={`${loop.start}-${loop.end}-${index}`}
+                className={`loop-item ${isActive ? 'loop-item-active' : ''}`}
+                style={{
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: '10px',
+                  padding: '6px 8px',
+                  backgroundColor: isActive ? '#d1ecf1' : 'white',
+                  border: `2px ${loop.temporary ? 'dashed' : 'solid'} ${isActive ? '#17a2b8' : '#ddd'}`,
+                  borderRadius: '4px',
+                  fontSize: '14px'
+                }}
+              >
+                <span className="loop-time-value" style={{ flex: 1, fontWeight: 'bold', color: isActive ? '#0c5460' : '#333' }}>
+                  {formatTime(loop.start)} → {formatTime(loop.end)}
+                  <span style={{ fontWeight: 'normal', color: '#666', marginLeft: '8px', fontSize: '12px' }}>
+                    ({(loop.end - loop.start).toFixed(3)}s)
+                  </span>
+                  {loop.temporary && (
+                    <span className="loop-temporary-label" style={{ fontWeight: 'normal', color: '#856404', marginLeft: '8px', fontSize: '12px' }}>
+                      not saved
+                    </span>
+                  )}
+                </span>
+                {loop.temporary && (
+                  <button
+                    className="loop-keep-button"
+                    onClick={() => onLoopKeep(index)}
+                    style={{ ...buttonStyle(true, '#28a745'), padding: '4px 8px', fontSize: '12px' }}
+                    title="Keep this loop, so it's saved with the video (otherwise the next loop replaces it)"
+                  >
+                    Keep
+                  </button>
+                )}
+                <button
+                  className="loop-select-button"
+                  onClick={() => onLoopSelect(index)}
+                  disabled={!isPlayerReady}
+                  style={{ ...buttonStyle(isPlayerReady, isActive ? '#dc3545' : '#17a2b8'), padding: '4px 8px', fontSize: '12px' }}
+                  title={isActive ? 'Exit loop' : 'Play loop'}
+                >
+                  {isActive ? '■' : '🔁'}
+                </button>
+                <button
+                  className="loop-clear-button"
+                  onClick={() => onLoopClear(index)}
+                  style={{ ...buttonStyle(true, '#dc3545'), padding: '4px 8px', fontSize: '12px' }}
+                  title="Delete loop"
+                >
+                  ✕
+                </button>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,19 +1,64 @@
-import { useState, useCallback, useRef, useEffect } from 'react';
+import { useState, useCallback, useRef, useEffect, useMemo } from 'react';
 import { useNavigate } from 'react-router-dom';
+import axios from 'axios';
+import API_URL from './config';
 import { YouTubeInput } from './YouTubeInput';
 import { CustomVideoPlayer } from './CustomVideoPlayer';
 import { VideoSidebar } from './VideoSidebar';
+import { KeymapSettings } from './KeymapSettings';
+import { SetlistPanel } from './SetlistPanel';
+import { loadKeymap, buildKeyIndex, keyFromEvent, formatKey } from './keymap';
+import { createHtml5AdapterFactory } from './playerAdapter';
+import { listHotcues } from './hotcues';
+import { collectTags } from './videoLibrary';
+import { YOUTUBE_SOURCE, LOCAL_FILE_SOURCE, isLocalVideoId, isSupportedVideoFile, hashVideoFile } from './localVideos';
+import { createOutputChannel, openOutputWindow, isOutputSupported } from './outputChannel';
+
+const DECKS = ['A', 'B'];
+
+// Crossfader position 0 = all deck A, 1 = all deck B. Both decks stay at full level
+// through the middle of the fader and only fade out over the far half.
+const crossfadeLevels = (position) => ({
+  A: Math.min(1, 2 * (1 - position)),
+  B: Math.min(1, 2 * position)
+});
 
 export function MainApp() {
   const navigate = useNavigate();
-  const [videoId, setVideoId] = useState(null);
-  const [youtubeUrl, setYoutubeUrl] = useState(null);
-  const [hotcues, setHotcues] = useState(null);
+  // The saved (or freshly submitted) video loaded on each deck:
+  // { videoId, source, youtubeUrl, fileName, title, hotcues, loops, defaultRate, bpm, beatOffset, takes, trim, effects, tags }
+  // Local files have a 'file-<hash>' videoId and a fileName instead of a youtubeUrl (see localVideos.js).
+  // Videos loaded from a setlist also have a setEntry: { ...entry, setlist, index }, and videos
+  // loaded by a setlist or a cross-video hotcue a startAt: { time, autoPlay }.
+  // Deck A is the only deck outside of performance mode.
+  const [decks, setDecks] = useState({ A: null, B: null });
+  const [isPerformanceMode, setIsPerformanceMode] = useState(false);
+  const [targetDeck, setTargetDeck] = useState('A'); // Deck that sidebar / URL loads go to
+  const [crossfader, setCrossfader] = useState(0.5);
+  const videoId = decks[targetDeck] ? decks[targetDeck].videoId : null;
   const sidebarRef = useRef(null);
-  const playerRef = useRef(null);
+  const playerRefA = useRef(null);
+  const playerRefB = useRef(null);
+  const playerRefs = useMemo(() => ({ A: playerRefA, B: playerRefB }), []);
   const [showUnsavedModal, setShowUnsavedModal] = useState(false);
   const [pendingVideo, setPendingVideo] = useState(null);
-  const [pendingAction, setPendingAction] = useState(null); // 'select' or 'navigate'
+  const [pendingDeck, setPendingDeck] = useState(null); // Deck the pending action applies to
+  const [pendingAction, setPendingAction] = useState(null); // 'select', 'navigate' or 'closeDeck'
+  const [keymap, setKeymap] = useState(() => loadKeymap(localStorage.getItem('username')));
+  const [showKeymapSettings, setShowKeymapSettings] = useState(false);
+  // Local files opened this session: videoId -> { url (object URL), createPlayer }
+  const [localFiles, setLocalFiles] = useState({});
+  const localFilesRef = useRef({});
+  const [dropTargetDeck, setDropTargetDeck] = useState(null); // Deck a file is being dragged over
+  const [isDraggingFile, setIsDraggingFile] = useState(false); // A file is being dragged over the window
+  const [outputChannel, setOutputChannel] = useState(null); // Channel to the projector output window
+  const [outputDeck, setOutputDeck] = useState('A'); // Deck shown on the output window
+  const outputDeckRef = useRef('A');
+  const [savedVideos, setSavedVideos] = useState([]); // Pages of the library the sidebar has loaded so far
+  const [libraryTags, setLibraryTags] = useState(null); // Tags across the whole library, once the sidebar has them
+  const [setPlayback, setSetPlayback] = useState(null); // Setlist playing: { setlist, index, deck }
+  const setPlaybackRef = useRef(null);
+  const [setlistsVersion, setSetlistsVersion] = useState(0); // Bumped when the sidebar changes a setlist
 
   const handleLogout = useCallback(() => {
     // Clear authentication data
@@ -23,21 +68,57 @@ export function MainApp() {
     navigate('/login', { replace: true });
   }, [navigate]);
 
+  const deckHasUnsavedChanges = useCallback((deck) => {
+    const player = playerRefs[deck].current;
+    return !!(player && player.hasUnsavedChanges && player.hasUnsavedChanges());
+  }, [playerRefs]);
+
+  const updateSetPlayback = useCallback((playback) => {
+    setPlaybackRef.current = playback;
+    setSetPlayback(playback);
+  }, []);
+
+  // Loading a setlist entry moves the set along; loading anything else on the set's deck leaves the set
+  const loadDeck = useCallback((deck, video) => {
+    setDecks(prev => ({ ...prev, [deck]: video }));
+    const playback = setPlaybackRef.current;
+    if (video && video.setEntry) {
+      updateSetPlayback({ setlist: video.setEntry.setlist, index: video.setEntry.index, deck });
+    } else if (playback && playback.deck === deck) {
+      updateSetPlayback(null);
+    }
+  }, [updateSetPlayback]);
+
+  // Look up a saved video - from the sidebar's pages if it's loaded, otherwise from the backend.
+  // Resolves to null if the video isn't saved.
+  const fetchSavedVideo = useCallback(async (id) => {
+    const loaded = savedVideos.find(candidate => candidate.videoId === id);
+    const username = localStorage.getItem('username');
+    if (loaded || !username) return loaded || null;
+    try {
+      const response = await axios.get(`${API_URL}/videos/${id}`, { params: { username } });
+      return response.data || null;
+    } catch (error) {
+      if (error.response?.status !== 404) {
+        console.error('Error looking up saved video:', error);
+      }
+      return null;
+    }
+  }, [savedVideos]);
 
   const handleVideoSelect = useCallback((video) => {
     // If no video selected, just clear
     if (!video) {
       // Check for unsaved changes before clearing
-      if (playerRef.current && playerRef.current.hasUnsavedChanges && playerRef.current.hasUnsavedChanges()) {
+      if (deckHasUnsavedChanges(targetDeck)) {
         setPendingVideo(null);
+        setPendingDeck(targetDeck);
         setPendingAction('select');
         setShowUnsavedModal(true);
         return;
       }
       // No unsaved changes, proceed with clearing
-      setVideoId(null);
-      setYoutubeUrl(null);
-      setHotcues(null);
+      loadDeck(targetDeck, null);
       return;
     }
     
@@ -45,60 +126,210 @@ export function MainApp() {
     const isDifferentVideo = video.videoId !== videoId;
     
     // Check for unsaved changes before switching videos
-    if (isDifferentVideo && playerRef.current && playerRef.current.hasUnsavedChanges && playerRef.current.hasUnsavedChanges()) {
+    if (isDifferentVideo && deckHasUnsavedChanges(targetDeck)) {
       console.log('Unsaved changes detected, showing modal before switching video');
       setPendingVideo(video);
+      setPendingDeck(targetDeck);
       setPendingAction('select');
       setShowUnsavedModal(true);
       return;
     }
     
     // No unsaved changes, proceed with selection
-    console.log('Loading video from sidebar:', video);
-    setVideoId(video.videoId);
-    setYoutubeUrl(video.youtubeUrl);
-    setHotcues(video.hotcues || {}); // Load existing hotcues
-  }, [videoId]);
+    console.log(`Loading video from sidebar into deck ${targetDeck}:`, video);
+    loadDeck(targetDeck, video); // Load existing hotcues and loops
+  }, [videoId, targetDeck, deckHasUnsavedChanges, loadDeck]);
 
   const handleVideoSubmit = useCallback((id, url) => {
     // Check for unsaved changes before loading new video
-    if (playerRef.current && playerRef.current.hasUnsavedChanges && playerRef.current.hasUnsavedChanges()) {
-      setPendingVideo({ videoId: id, youtubeUrl: url, hotcues: null });
+    if (deckHasUnsavedChanges(targetDeck)) {
+      setPendingVideo({ videoId: id, source: YOUTUBE_SOURCE, youtubeUrl: url, hotcues: null, loops: null });
+      setPendingDeck(targetDeck);
       setPendingAction('navigate');
       setShowUnsavedModal(true);
       return;
     }
     
     // No unsaved changes, proceed
-    setVideoId(id);
-    setYoutubeUrl(url);
-    setHotcues(null);
+    loadDeck(targetDeck, { videoId: id, source: YOUTUBE_SOURCE, youtubeUrl: url, hotcues: null, loops: null });
+  }, [targetDeck, deckHasUnsavedChanges, loadDeck]);
+
+  // Local files are identified by a hash of their content, so a file that was saved
+  // before (even under another name) loads with its saved hotcues
+  const handleFileSubmit = useCallback(async (file, deck = targetDeck) => {
+    if (!isSupportedVideoFile(file)) {
+      console.warn('Ignoring unsupported file:', file && file.name);
+      return;
+    }
+
+    let id;
+    try {
+      id = await hashVideoFile(file);
+    } catch (error) {
+      console.error('Error reading video file:', error);
+      return;
+    }
+
+    if (!localFilesRef.current[id]) {
+      const url = URL.createObjectURL(file);
+      localFilesRef.current = { ...localFilesRef.current, [id]: { url, createPlayer: createHtml5AdapterFactory(url) } };
+      setLocalFiles(localFilesRef.current);
+    }
+
+    // A failed lookup still opens the file, just without saved hotcues
+    let video = { videoId: id, source: LOCAL_FILE_SOURCE, fileName: file.name, title: file.name, hotcues: null, loops: null };
+    const saved = await fetchSavedVideo(id);
+    if (saved) {
+      console.log('Reattaching saved hotcues to local file:', saved);
+      video = { ...saved, source: LOCAL_FILE_SOURCE, fileName: file.name };
+    }
+
+    if (decks[deck] && decks[deck].videoId === id) {
+      return; // Already on this deck (this just restored its file)
+    }
+    if (deckHasUnsavedChanges(deck)) {
+      setPendingVideo(video);
+      setPendingDeck(deck);
+      setPendingAction('navigate');
+      setShowUnsavedModal(true);
+      return;
+    }
+    loadDeck(deck, video);
+  }, [targetDeck, decks, deckHasUnsavedChanges, loadDeck, fetchSavedVideo]);
+
+  const handleDeckDragOver = useCallback((e, deck) => {
+    if (!e.dataTransfer || !Array.from(e.dataTransfer.types || []).includes('Files')) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+    setDropTargetDeck(deck);
+  }, []);
+
+  const handleDeckDrop = useCallback((e, deck) => {
+    setDropTargetDeck(null);
+    const file = e.dataTransfer && e.dataTransfer.files && e.dataTransfer.files[0];
+    if (!file) return;
+    e.preventDefault();
+    handleFileSubmit(file, deck);
+  }, [handleFileSubmit]);
+
+  // While a file is dragged over the window, the decks show drop overlays on top of their players:
+  // a YouTube iframe would otherwise take the drag events and the drop would do nothing.
+  // dragenter/dragleave fire for every element crossed, so count them to know when the drag leaves.
+  useEffect(() => {
+    let depth = 0;
+    const isFileDrag = (e) => !!e.dataTransfer && Array.from(e.dataTransfer.types || []).includes('Files');
+    const handleDragEnter = (e) => {
+      if (!isFileDrag(e)) return;
+      depth += 1;
+      setIsDraggingFile(true);
+    };
+    const handleDragLeave = (e) => {
+      if (!isFileDrag(e)) return;
+      depth = Math.max(0, depth - 1);
+      if (depth === 0) {
+        setIsDraggingFile(false);
+        setDropTargetDeck(null);
+      }
+    };
+    // Files dropped outside a deck would otherwise open in the tab, leaving the app
+    const handleDragOver = (e) => {
+      if (isFileDrag(e)) e.preventDefault();
+    };
+    const handleDragEnd = (e) => {
+      if (isFileDrag(e)) e.preventDefault();
+      depth = 0;
+      setIsDraggingFile(false);
+      setDropTargetDeck(null);
+    };
+    window.addEventListener('dragenter', handleDragEnter);
+    window.addEventListener('dragleave', handleDragLeave);
+    window.addEventListener('dragover', handleDragOver);
+    window.addEventListener('drop', handleDragEnd);
+    return () => {
+      window.removeEventListener('dragenter', handleDragEnter);
+      window.removeEventListener('dragleave', handleDragLeave);
+      window.removeEventListener('dragover', handleDragOver);
+      window.removeEventListener('drop', handleDragEnd);
+    };
+  }, []);
+
+  // Free the local files' object URLs when leaving the app
+  useEffect(() => () => {
+    Object.values(localFilesRef.current).forEach(localFile => URL.revokeObjectURL(localFile.url));
+  }, []);
+
+  const selectOutputDeck = useCallback((deck) => {
+    setOutputDeck(deck);
+    outputDeckRef.current = deck;
   }, []);
 
+  // The output window says hello when it opens or reloads - catch it up with the output deck
+  useEffect(() => {
+    const channel = createOutputChannel((message) => {
+      if (message.type !== 'hello') return;
+      const player = playerRefs[outputDeckRef.current].current;
+      if (player && player.sendOutputState) {
+        player.sendOutputState();
+      } else {
+        channel.post({ type: 'state', videoId: null });
+      }
+    });
+    setOutputChannel(channel);
+    return () => channel.close();
+  }, [playerRefs]);
+
+  // Blank the output when its deck is emptied (a loaded deck sends its own state)
+  const outputDeckVideo = decks[outputDeck];
+  useEffect(() => {
+    if (outputChannel && !outputDeckVideo) {
+      outputChannel.post({ type: 'state', videoId: null });
+    }
+  }, [outputChannel, outputDeckVideo]);
+
+  const closePerformanceMode = useCallback(() => {
+    setIsPerformanceMode(false);
+    setTargetDeck('A');
+    selectOutputDeck('A');
+    loadDeck('B', null);
+  }, [selectOutputDeck, loadDeck]);
+
+  const handlePerformanceModeToggle = useCallback(() => {
+    if (!isPerformanceMode) {
+      setIsPerformanceMode(true);
+      return;
+    }
+    // Leaving performance mode unloads deck B - check it for unsaved changes first
+    if (deckHasUnsavedChanges('B')) {
+      setPendingVideo(null);
+      setPendingDeck('B');
+      setPendingAction('closeDeck');
+      setShowUnsavedModal(true);
+      return;
+    }
+    closePerformanceMode();
+  }, [isPerformanceMode, deckHasUnsavedChanges, closePerformanceMode]);
+
+  // Carry out whatever was waiting on the unsaved changes modal
+  const applyPendingAction = useCallback(() => {
+    if (pendingAction === 'select' || pendingAction === 'navigate') {
+      loadDeck(pendingDeck, pendingVideo);
+    } else if (pendingAction === 'closeDeck') {
+      closePerformanceMode();
+    }
+  }, [pendingAction, pendingDeck, pendingVideo, loadDeck, closePerformanceMode]);
+
   const handleUnsavedModalSave = useCallback(async () => {
-    if (playerRef.current && playerRef.current.saveChanges) {
+    const player = pendingDeck ? playerRefs[pendingDeck].current : null;
+    if (player && player.saveChanges) {
       try {
-        await playerRef.current.saveChanges();
+        await player.saveChanges();
         // Wait a moment for save to complete
         setTimeout(() => {
           setShowUnsavedModal(false);
           // Proceed with pending action
-          if (pendingAction === 'select' && pendingVideo) {
-            if (!pendingVideo) {
-              setVideoId(null);
-              setYoutubeUrl(null);
-              setHotcues(null);
-            } else {
-              setVideoId(pendingVideo.videoId);
-              setYoutubeUrl(pendingVideo.youtubeUrl);
-              setHotcues(pendingVideo.hotcues || {});
-            }
-          } else if (pendingAction === 'navigate' && pendingVideo) {
-            setVideoId(pendingVideo.videoId);
-            setYoutubeUrl(pendingVideo.youtubeUrl);
-            setHotcues(pendingVideo.hotcues || null);
-          }
+          applyPendingAction();
           setPendingVideo(null);
+          setPendingDeck(null);
           setPendingAction(null);
         }, 500);
       } catch (error) {
@@ -106,49 +337,38 @@ export function MainApp() {
         // Don't proceed if save failed
       }
     }
-  }, [pendingVideo, pendingAction]);
+  }, [pendingDeck, playerRefs, applyPendingAction]);
 
   const handleUnsavedModalCancel = useCallback(() => {
     setShowUnsavedModal(false);
     setPendingVideo(null);
+    setPendingDeck(null);
     setPendingAction(null);
   }, []);
 
   const handleUnsavedModalDiscard = useCallback(() => {
     // Discard changes and revert to initial state
-    if (playerRef.current && playerRef.current.discardChanges) {
-      playerRef.current.discardChanges();
+    const player = pendingDeck ? playerRefs[pendingDeck].current : null;
+    if (player && player.discardChanges) {
+      player.discardChanges();
     }
     
     // Close modal
     setShowUnsavedModal(false);
     
     // Navigate to pending video immediately
-    if (pendingAction === 'select' && pendingVideo) {
-      if (!pendingVideo) {
-        setVideoId(null);
-        setYoutubeUrl(null);
-        setHotcues(null);
-      } else {
-        setVideoId(pendingVideo.videoId);
-        setYoutubeUrl(pendingVideo.youtubeUrl);
-        setHotcues(pendingVideo.hotcues || {});
-      }
-    } else if (pendingAction === 'navigate' && pendingVideo) {
-      setVideoId(pendingVideo.videoId);
-      setYoutubeUrl(pendingVideo.youtubeUrl);
-      setHotcues(pendingVideo.hotcues || null);
-    }
+    applyPendingAction();
     
     // Clear pending state
     setPendingVideo(null);
+    setPendingDeck(null);
     setPendingAction(null);
-  }, [pendingVideo, pendingAction]);
+  }, [pendingDeck, playerRefs, applyPendingAction]);
 
   // Handle browser navigation (beforeunload)
   useEffect(() => {
     const handleBeforeUnload = (e) => {
-      if (playerRef.current && playerRef.current.hasUnsavedChanges && playerRef.current.hasUnsavedChanges()) {
+      if (DECKS.some(deck => deckHasUnsavedChanges(deck))) {
         e.preventDefault();
         e.returnValue = 'You have unsaved changes! Are you sure you want to leave?';
         return e.returnValue;
@@ -159,15 +379,133 @@ export function MainApp() {
     return () => {
       window.removeEventListener('beforeunload', handleBeforeUnload);
     };
-  }, []);
+  }, [deckHasUnsavedChanges]);
 
-  const handleVideoSaved = useCallback(() => {
-    // Refresh sidebar after saving
-    if (sidebarRef.current && sidebarRef.current.refresh) {
-      sidebarRef.current.refresh();
+  // Load a setlist entry into a deck, at its start hotcue
+  const playSetEntry = useCallback(async (setlist, index, autoPlay = false, deck = targetDeck) => {
+    const entry = setlist.entries[index];
+    const saved = entry ? await fetchSavedVideo(entry.videoId) : null;
+    if (!saved) {
+      console.warn('Setlist entry is not a saved video:', entry);
+      return;
+    }
+    const startHotcue = entry.startHotcue
+      ? listHotcues(saved.hotcues).find(hotcue => hotcue.bank === entry.startHotcue.bank && hotcue.key === entry.startHotcue.key)
+      : null;
+    const video = {
+      ...saved,
+      setEntry: { ...entry, setlist, index },
+      startAt: { time: startHotcue ? startHotcue.time : null, autoPlay }
+    };
+    if (deckHasUnsavedChanges(deck)) {
+      setPendingVideo(video);
+      setPendingDeck(deck);
+      setPendingAction('navigate');
+      setShowUnsavedModal(true);
+      return;
+    }
+    loadDeck(deck, video);
+  }, [targetDeck, fetchSavedVideo, deckHasUnsavedChanges, loadDeck]);
+
+  // A cross-video hotcue loads its target into the hotcue's deck and plays from the target time.
+  // The unsaved changes modal only comes up if the deck has changes to lose.
+  const handleJumpToVideo = useCallback(async (deck, target) => {
+    const saved = await fetchSavedVideo(target.videoId);
+    if (!saved) {
+      console.warn('Hotcue target is not a saved video:', target);
+      return;
+    }
+    const video = { ...saved, startAt: { time: target.time, autoPlay: true } };
+    if (deckHasUnsavedChanges(deck)) {
+      setPendingVideo(video);
+      setPendingDeck(deck);
+      setPendingAction('navigate');
+      setShowUnsavedModal(true);
+      return;
+    }
+    loadDeck(deck, video);
+  }, [fetchSavedVideo, deckHasUnsavedChanges, loadDeck]);
+
+  // Move the playing setlist on (1) or back (-1), playing the entry on the set's deck
+  const advanceSet = useCallback((direction) => {
+    const playback = setPlaybackRef.current;
+    if (!playback) return;
+    const index = playback.index + direction;
+    if (index < 0 || index >= playback.setlist.entries.length) return;
+    playSetEntry(playback.setlist, index, true, playback.deck);
+  }, [playSetEntry]);
+
+  // Only the entry the set is on can advance it (a deck may still hold an earlier set's entry)
+  const handleSetEntryEnd = useCallback((deck, index) => {
+    const playback = setPlaybackRef.current;
+    if (playback && playback.deck === deck && playback.index === index) {
+      advanceSet(1);
+    }
+  }, [advanceSet]);
+
+  const handleSetlistSaved = useCallback((setlist) => {
+    const playback = setPlaybackRef.current;
+    if (!playback || playback.setlist.id !== setlist.id) return;
+    updateSetPlayback(setlist.entries.length > 0
+      ? { ...playback, setlist, index: Math.min(playback.index, setlist.entries.length - 1) }
+      : null);
+  }, [updateSetPlayback]);
+
+  const handleSetlistDeleted = useCallback((setlistId) => {
+    const playback = setPlaybackRef.current;
+    if (playback && playback.setlist.id === setlistId) {
+      updateSetPlayback(null);
+    }
+  }, [updateSetPlayback]);
+
+  // Next / previous in set keys belong to the app rather than a deck, so they're handled here
+  useEffect(() => {
+    const keyIndex = buildKeyIndex(keymap);
+    const handleKeyDown = (e) => {
+      if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') {
+        return;
+      }
+      if (e.ctrlKey || e.metaKey || e.altKey || e.repeat) {
+        return;
+      }
+      const action = keyIndex[keyFromEvent(e)];
+      if (action === 'setNext' || action === 'setPrevious') {
+        e.preventDefault();
+        advanceSet(action === 'setNext' ? 1 : -1);
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [keymap, advanceSet]);
+
+  const handleVideoSaved = useCallback((savedVideoId) => {
+    // Refresh the saved video in the sidebar
+    if (sidebarRef.current && sidebarRef.current.refreshVideo) {
+      sidebarRef.current.refreshVideo(savedVideoId);
     }
   }, []);
 
+  // Hotcues cleared from the sidebar (with the effects that used them): show it on decks
+  // with that video loaded, unless the deck has unsaved changes of its own (saving those keeps the deck's hotcues)
+  const handleVideosUpdated = useCallback((updatedVideos) => {
+    const changedDecks = DECKS.filter(deck => decks[deck] && !deckHasUnsavedChanges(deck) &&
+      updatedVideos.some(updated => updated.videoId === decks[deck].videoId));
+    if (changedDecks.length === 0) return;
+    setDecks(prev => {
+      const next = { ...prev };
+      changedDecks.forEach(deck => {
+        const updated = updatedVideos.find(candidate => prev[deck] && candidate.videoId === prev[deck].videoId);
+        if (updated) {
+          next[deck] = { ...prev[deck], hotcues: updated.hotcues, effects: updated.effects };
+        }
+      });
+      return next;
+    });
+  }, [decks, deckHasUnsavedChanges]);
+
   // Refresh sidebar when component mounts (after login)
   useEffect(() => {
     if (sidebarRef.current && sidebarRef.current.refresh) {
@@ -175,14 +513,145 @@ export function MainApp() {
     }
   }, []);
 
+  const mixLevels = crossfadeLevels(crossfader);
+  const tagSuggestions = useMemo(() => (libraryTags || collectTags(savedVideos)).map(({ tag }) => tag), [libraryTags, savedVideos]);
+
+  const renderDeckContent = (deck) => {
+    const video = decks[deck];
+    if (!video) {
+      return (
+        <div style={{ padding: '40px', color: '#999', fontStyle: 'italic', textAlign: 'center' }}>
+          {isPerformanceMode ? `Select a video or drop an MP4 / WebM file to load it into deck ${deck}` : 'Or drop an MP4 / WebM file here'}
+        </div>
+      );
+    }
+    const localFile = isLocalVideoId(video.videoId) ? localFiles[video.videoId] : null;
+    if (isLocalVideoId(video.videoId) && !localFile) {
+      // Saved local videos can only play once their file is opened again
+      return (
+        <div className="local-file-missing" style={{ padding: '40px', color: '#666', textAlign: 'center' }}>
+          <strong>{video.title || 'This video'}</strong> is a local file{video.fileName ? ` (${video.fileName})` : ''}.
+          <br />
+          Drop it here (or use Open file) to play it with its saved hotcues.
+        </div>
+      );
+    }
+    return (
+      <CustomVideoPlayer 
+        ref={playerRefs[deck]}
+        // Each setlist entry gets a fresh player, even when the set plays the same video twice in a row
+        key={video.setEntry ? `${video.videoId}@set${video.setEntry.index}` : video.videoId}
+        videoId={video.videoId} 
+        youtubeUrl={video.youtubeUrl}
+        fileName={video.fileName || null}
+        title={video.title}
+        initialHotcues={video.hotcues}
+        initialLoops={video.loops}
+        initialDefaultRate={video.defaultRate}
+        initialBpm={video.bpm}
+        initialBeatOffset={video.beatOffset}
+        initialTakes={video.takes}
+        initialTrim={video.trim}
+        initialEffects={video.effects}
+        initialTags={video.tags}
+        onVideoSaved={handleVideoSaved}
+        // Outside performance mode the single deck takes every key and plays at full level.
+        // In performance mode deck B's keys are the same keys held with Shift.
+        keyModifier={isPerformanceMode ? (deck === 'B' ? 'shift' : 'none') : null}
+        mixLevel={isPerformanceMode ? mixLevels[deck] : 1}
+        compact={isPerformanceMode}
+        deckId={deck}
+        keymap={keymap}
+        isTargetDeck={!isPerformanceMode || deck === targetDeck}
+        createPlayer={localFile ? localFile.createPlayer : undefined}
+        output={deck === outputDeck ? outputChannel : null}
+        outputSrc={localFile ? localFile.url : null}
+        startAt={video.startAt || null}
+        setEntry={video.setEntry || null}
+        onSetEntryEnd={video.setEntry ? () => handleSetEntryEnd(deck, video.setEntry.index) : undefined}
+        loadedVideos={savedVideos}
+        tagSuggestions={tagSuggestions}
+        onJumpToVideo={(target) => handleJumpToVideo(deck, target)}
+      />
+    );
+  };
+
+  // Every deck accepts dropped video files
+  const renderDeck = (deck) => (
+    <div
+      className={`deck-drop-zone ${dropTargetDeck === deck ? 'deck-drop-zone-active' : ''}`}
+      onDragOver={(e) => handleDeckDragOver(e, deck)}
+      onDragLeave={(e) => {
+        if (!e.currentTarget.contains(e.relatedTarget)) setDropTargetDeck(null);
+      }}
+      onDrop={(e) => handleDeckDrop(e, deck)}
+      style={{
+        position: 'relative',
+        outline: dropTargetDeck === deck ? '3px dashed #007bff' : 'none',
+        outlineOffset: '-3px',
+        borderRadius: '6px'
+      }}
+    >
+      {renderDeckContent(deck)}
+      {isDraggingFile && (
+        <div
+          className="deck-drop-overlay"
+          style={{
+            position: 'absolute',
+            inset: 0,
+            zIndex: 20,
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            borderRadius: '6px',
+            backgroundColor: dropTargetDeck === deck ? 'rgba(0, 123, 255, 0.35)' : 'rgba(0, 0, 0, 0.25)',
+            color: 'white',
+            fontSize: '18px',
+            fontWeight: 'bold',
+            textShadow: '0 1px 3px rgba(0, 0, 0, 0.6)'
+          }}
+        >
+          Drop to load into deck {deck}
+        </div>
+      )}
+    </div>
+  );
+
   return (
     <div className="App" style={{ display: 'flex', height: '100vh', overflow: 'hidden' }}>
       <VideoSidebar 
         ref={sidebarRef}
         onVideoSelect={handleVideoSelect} 
         selectedVideoId={videoId} 
+        onVideosLoaded={setSavedVideos}
+        onTagsLoaded={setLibraryTags}
+        onVideosUpdated={handleVideosUpdated}
+        onSetlistsChanged={() => setSetlistsVersion(version => version + 1)}
       />
       <div style={{ flex: 1, display: 'flex', flexDirection: 'column', overflow: 'auto', position: 'relative' }}>
+        {/* Keyboard shortcuts Button */}
+        <button
+          className="keymap-settings-button"
+          onClick={() => setShowKeymapSettings(true)}
+          style={{
+            position: 'absolute',
+            top: '20px',
+            right: '110px',
+            padding: '8px 16px',
+            fontSize: '14px',
+            backgroundColor: '#6c757d',
+            color: 'white',
+            border: 'none',
+            borderRadius: '4px',
+            cursor: 'pointer',
+            fontWeight: 'bold',
+            zIndex: 100
+          }}
+          title="Keyboard shortcuts"
+        >
+          ⌨ Keys
+        </button>
+
         {/* Logout Button */}
         <button
           className="logout-button"
@@ -208,19 +677,155 @@ export function MainApp() {
         
         <div style={{ padding: '20px' }}>
           <h1 className="app-title">🐍 Viper Video Jockey 🎬</h1>
-          <YouTubeInput onVideoSubmit={handleVideoSubmit} />
-          {videoId && (
-            <CustomVideoPlayer 
-              ref={playerRef}
-              key={videoId} 
-              videoId={videoId} 
-              youtubeUrl={youtubeUrl}
-              initialHotcues={hotcues}
-              onVideoSaved={handleVideoSaved}
-            />
+          <YouTubeInput onVideoSubmit={handleVideoSubmit} onFileSubmit={handleFileSubmit} />
+
+          {/* Performance mode: two decks with a crossfader */}
+          <div className="performance-controls" style={{ display: 'flex', justifyContent: 'center', alignItems: 'center', gap: '15px', flexWrap: 'wrap' }}>
+            <button
+              className="performance-mode-toggle"
+              onClick={handlePerformanceModeToggle}
+              style={{
+                padding: '8px 16px',
+                fontSize: '14px',
+                backgroundColor: isPerformanceMode ? '#6c757d' : '#17a2b8',
+                color: 'white',
+                border: 'none',
+                borderRadius: '4px',
+                cursor: 'pointer',
+                fontWeight: 'bold'
+              }}
+            >
+              {isPerformanceMode ? '◻ Single deck' : '🎛 Two decks'}
+            </button>
+            <button
+              className="open-output-button"
+              onClick={openOutputWindow}
+              disabled={!isOutputSupported()}
+              style={{
+                padding: '8px 16px',
+                fontSize: '14px',
+                backgroundColor: isOutputSupported() ? '#343a40' : '#ccc',
+                color: 'white',
+                border: 'none',
+                borderRadius: '4px',
+                cursor: isOutputSupported() ? 'pointer' : 'not-allowed',
+                fontWeight: 'bold'
+              }}
+              title={isOutputSupported()
+                ? `Open a video-only window for a projector (showing deck ${outputDeck})`
+                : 'This browser cannot sync an output window'}
+            >
+              📺 Open output window
+            </button>
+            {isPerformanceMode && (
+              <div className="crossfader" style={{ display: 'flex', alignItems: 'center', gap: '10px' }}>
+                <strong>A</strong>
+                <input
+                  className="crossfader-slider"
+                  type="range"
+                  min={0}
+                  max={1}
+                  step={0.01}
+                  value={crossfader}
+                  onChange={(e) => setCrossfader(Number(e.target.value))}
+                  onDoubleClick={() => setCrossfader(0.5)}
+                  style={{ width: '300px' }}
+                  title="Crossfader (double-click to centre)"
+                />
+                <strong>B</strong>
+              </div>
+            )}
+          </div>
+
+          <SetlistPanel
+            videos={savedVideos}
+            refreshKey={setlistsVersion}
+            playing={setPlayback ? {
+              setlistId: setPlayback.setlist.id,
+              name: setPlayback.setlist.name,
+              index: setPlayback.index,
+              count: setPlayback.setlist.entries.length
+            } : null}
+            shortcuts={{ setPrevious: formatKey(keymap.setPrevious), setNext: formatKey(keymap.setNext) }}
+            onPlayEntry={(setlist, index) => playSetEntry(setlist, index)}
+            onPrevious={() => advanceSet(-1)}
+            onNext={() => advanceSet(1)}
+            onSetlistSaved={handleSetlistSaved}
+            onSetlistDeleted={handleSetlistDeleted}
+          />
+
+          {isPerformanceMode ? (
+            <div className="decks" style={{ display: 'flex', gap: '20px', alignItems: 'flex-start' }}>
+              {DECKS.map(deck => (
+                <div
+                  key={deck}
+                  className={`deck deck-${deck.toLowerCase()} ${targetDeck === deck ? 'deck-targeted' : ''}`}
+                  style={{
+                    flex: 1,
+                    minWidth: 0,
+                    marginTop: '20px',
+                    border: `2px solid ${targetDeck === deck ? '#007bff' : '#ddd'}`,
+                    borderRadius: '8px'
+                  }}
+                >
+                  <div
+                    className="deck-header"
+                    onClick={() => setTargetDeck(deck)}
+                    style={{
+                      padding: '8px',
+                      backgroundColor: targetDeck === deck ? '#e7f3ff' : '#f5f5f5',
+                      borderRadius: '6px 6px 0 0',
+                      cursor: 'pointer',
+                      fontSize: '14px'
+                    }}
+                    title="Load videos into this deck"
+                  >
+                    <strong>Deck {deck}</strong>
+                    <span style={{ color: '#666', marginLeft: '8px' }}>
+                      {deck === 'B' ? 'Shift + keys' : 'keys'}
+                      {targetDeck === deck ? ' · loading here' : ' · click to load here'}
+                    </span>
+                    <button
+                      className={`output-deck-button ${outputDeck === deck ? 'output-deck-active' : ''}`}
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        selectOutputDeck(deck);
+                      }}
+                      style={{
+                        float: 'right',
+                        padding: '2px 8px',
+                        fontSize: '12px',
+                        backgroundColor: outputDeck === deck ? '#343a40' : '#e9ecef',
+                        color: outputDeck === deck ? 'white' : '#333',
+                        border: 'none',
+                        borderRadius: '3px',
+                        cursor: 'pointer'
+                      }}
+                      title="Deck shown on the output window"
+                    >
+                      📺 {outputDeck === deck ? 'On output' : 'Send to output'}
+                    </button>
+                  </div>
+                  {renderDeck(deck)}
+                </div>
+              ))}
+            </div>
+          ) : (
+            renderDeck('A')
           )}
           
           {/* Unsaved Changes Confirmation Modal */}
+          {showKeymapSettings && (
+            <KeymapSettings
+              keymap={keymap}
+              onSave={(newKeymap) => {
+                setKeymap(newKeymap);
+                setShowKeymapSettings(false);
+              }}
+              onClose={() => setShowKeymapSettings(false)}
+            />
+          )}
+
           {showUnsavedModal && (
             <div 
               style={{
@@ -0,0 +1,216 @@
+import { useEffect, useRef, useState } from 'react';
+import { PlayerStates, createYouTubeAdapter, createHtml5AdapterFactory } from './playerAdapter';
+import { createOutputChannel } from './outputChannel';
+import { EffectsLayer, videoEffectsStyle } from './EffectsLayer';
+
+const DRIFT_TOLERANCE = 0.3; // Seconds the output may be off from the main window before it's corrected
+const HELLO_RETRY_INTERVAL = 2000; // ms between hellos until the main window answers
+
+// Chrome-less video output for a projector, opened from the main window at /output.
+// It has no controls of its own - everything arrives from the main window over the
+// output channel (see outputChannel.js). Sound stays with the main window, so the
+// output player is muted.
+export function OutputWindow() {
+  const stageRef = useRef(null);
+  const playerRef = useRef(null);
+  const isReadyRef = useRef(false);
+  const loadedSourceRef = useRef(null); // src or videoId of the video that's loaded
+  const pendingPlaybackRef = useRef({}); // Playback to apply once the player is ready: { time, isPlaying, rate }
+  const loopRef = useRef(null); // Active loop { start, end } - looped here too so it's tight
+  const [hasVideo, setHasVideo] = useState(false);
+  const [activeEffects, setActiveEffects] = useState([]); // Effects that are on: [{ type, color }]
+  const [isConnected, setIsConnected] = useState(false);
+  const [isFullscreen, setIsFullscreen] = useState(false);
+
+  useEffect(() => {
+    let connected = false;
+
+    const applyPlayback = (playback) => {
+      const player = playerRef.current;
+      if (!player || !isReadyRef.current) {
+        pendingPlaybackRef.current = { ...pendingPlaybackRef.current, ...playback };
+        return;
+      }
+      try {
+        if (typeof playback.rate === 'number') {
+          player.setRate(playback.rate);
+        }
+        if (typeof playback.time === 'number' && Math.abs(player.getTime() - playback.time) > DRIFT_TOLERANCE) {
+          player.seek(playback.time);
+        }
+        const isPlaying = player.getState() === PlayerStates.PLAYING;
+        if (playback.isPlaying === true && !isPlaying) {
+          player.play();
+        } else if (playback.isPlaying === false && isPlaying) {
+          player.pause();
+        }
+      } catch (error) {
+        console.warn('Output - could not apply playback:', error);
+      }
+    };
+
+    const loadVideo = (videoId, src) => {
+      if (playerRef.current) {
+        playerRef.current.destroy();
+        playerRef.current = null;
+      }
+      isReadyRef.current = false;
+      pendingPlaybackRef.current = {};
+      loadedSourceRef.current = src || videoId;
+      const stage = stageRef.current;
+      stage.innerHTML = '';
+      setHasVideo(!!videoId);
+      if (!videoId) return;
+
+      // A fresh element each time, as the IFrame API replaces the one it's given
+      const container = document.createElement('div');
+      container.className = 'output-video-container';
+      stage.appendChild(container);
+      const createPlayer = src ? createHtml5AdapterFactory(src) : createYouTubeAdapter;
+      playerRef.current = createPlayer(container, {
+        videoId,
+        controls: false,
+        onReady: (readyPlayer) => {
+          playerRef.current = readyPlayer;
+          isReadyRef.current = true;
+          readyPlayer.setVolume(0);
+          const pending = pendingPlaybackRef.current;
+          pendingPlaybackRef.current = {};
+          applyPlayback(pending);
+        },
+        onError: (error) => {
+          console.error('Output - player error:', error);
+        }
+      });
+    };
+
+    const handleMessage = (message) => {
+      if (!connected) {
+        connected = true;
+        setIsConnected(true);
+      }
+      switch (message.type) {
+        case 'state':
+          if ((message.src || message.videoId || null) !== loadedSourceRef.current) {
+            loadVideo(message.videoId, message.src);
+          }
+          loopRef.current = message.loop || null;
+          setActiveEffects(message.effects || []);
+          applyPlayback({ time: message.time, isPlaying: message.isPlaying, rate: message.rate });
+          break;
+        case 'play':
+          applyPlayback({ time: message.time, isPlaying: true });
+          break;
+        case 'pause':
+          applyPlayback({ time: message.time, isPlaying: false });
+          break;
+        case 'seek':
+          if (playerRef.current && isReadyRef.current) {
+            playerRef.current.seek(message.time);
+          } else {
+            pendingPlaybackRef.current = { ...pendingPlaybackRef.current, time: message.time };
+          }
+          break;
+        case 'rate':
+          applyPlayback({ rate: message.rate });
+          break;
+        case 'loop':
+          loopRef.current = message.loop || null;
+          break;
+        case 'effects':
+          setActiveEffects(message.effects || []);
+          break;
+        case 'sync':
+          applyPlayback({ time: message.time, isPlaying: message.isPlaying });
+          break;
+        default:
+          break;
+      }
+    };
+
+    const channel = createOutputChannel(handleMessage);
+
+    // Say hello until the main window answers - it may not be open yet, or may be reloading
+    channel.post({ type: 'hello' });
+    const helloInterval = setInterval(() => {
+      if (connected) {
+        clearInterval(helloInterval);
+        return;
+      }
+      channel.post({ type: 'hello' });
+    }, HELLO_RETRY_INTERVAL);
+
+    const loopInterval = setInterval(() => {
+      const player = playerRef.current;
+      const loop = loopRef.current;
+      if (!player || !isReadyRef.current || !loop) return;
+      if (player.getTime() >= loop.end) {
+        player.seek(loop.start);
+      }
+    }, 50);
+
+    return () => {
+      clearInterval(helloInterval);
+      clearInterval(loopInterval);
+      channel.close();
+      if (playerRef.current) {
+        playerRef.current.destroy();
+        playerRef.current = null;
+      }
+      isReadyRef.current = false;
+      loadedSourceRef.current = null;
+    };
+  }, []);
+
+  useEffect(() => {
+    const handleFullscreenChange = () => setIsFullscreen(!!document.fullscreenElement);
+    document.addEventListener('fullscreenchange', handleFullscreenChange);
+    return () => document.removeEventListener('fullscreenchange', handleFullscreenChange);
+  }, []);
+
+  const toggleFullscreen = () => {
+    if (document.fullscreenElement) {
+      document.exitFullscreen();
+    } else {
+      document.documentElement.requestFullscreen().catch(error => {
+        console.warn('Output - could not go fullscreen:', error);
+      });
+    }
+  };
+
+  return (
+    <div
+      className="output-window"
+      onDoubleClick={toggleFullscreen}
+      style={{
+        position: 'fixed',
+        top: 0,
+        left: 0,
+        right: 0,
+        bottom: 0,
+        backgroundColor: '#000',
+        cursor: isFullscreen ? 'none' : 'default'
+      }}
+    >
+      <div ref={stageRef} className="output-stage" style={{ position: 'absolute', top: 0, left: 0, right: 0, bottom: 0, pointerEvents: 'none', ...videoEffectsStyle(activeEffects) }} />
+      <EffectsLayer activeEffects={activeEffects} />
+      {!isFullscreen && (
+        <div className="output-status" style={{
+          position: 'absolute',
+          top: '10px',
+          left: '10px',
+          padding: '6px 10px',
+          fontSize: '12px',
+          color: '#ccc',
+          backgroundColor: 'rgba(0, 0, 0, 0.6)',
+          borderRadius: '4px'
+        }}>
+          {!isConnected
+            ? 'Waiting for the Viper VJ window...'
+            : (hasVideo ? 'Connected' : 'Connected - no video on the output deck')}
+          {' · double-click for fullscreen'}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,382 @@
+import { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import API_URL from './config';
+import { listHotcues } from './hotcues';
+import { SETLIST_END_MODES, createSetlistId, createSetlistEntry, normalizeSetlist } from './setlists';
+import { VideoPicker } from './VideoPicker';
+
+const buttonStyle = (enabled, backgroundColor) => ({
+  padding: '4px 10px',
+  fontSize: '12px',
+  backgroundColor: enabled ? backgroundColor : '#ccc',
+  color: 'white',
+  border: 'none',
+  borderRadius: '4px',
+  cursor: enabled ? 'pointer' : 'not-allowed',
+  fontWeight: 'bold',
+  opacity: enabled ? 1 : 0.6
+});
+
+const selectStyle = { padding: '3px', fontSize: '12px', maxWidth: '180px' };
+
+const hotcueValue = (hotcue) => (hotcue ? `${hotcue.bank}:${hotcue.key}` : '');
+
+// Setlists: pick one, edit its entries and save it, and play through it. The entry
+// playing on the target deck is highlighted; Prev / Next (or their keys) move through the set.
+// refreshKey: setlists are fetched again when it changes (after they're changed elsewhere)
+// videos: saved videos the sidebar has loaded; entries' other videos are fetched here
+export function SetlistPanel({ videos, refreshKey, playing, shortcuts, onPlayEntry, onPrevious, onNext, onSetlistSaved, onSetlistDeleted }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [setlists, setSetlists] = useState([]);
+  const [selectedId, setSelectedId] = useState('');
+  const [draft, setDraft] = useState(null); // Selected setlist with unsaved edits
+  const [isDirty, setIsDirty] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [videoToAdd, setVideoToAdd] = useState(null);
+  const [entryVideos, setEntryVideos] = useState({}); // Entries' videos the sidebar hasn't loaded: id -> video (null while fetching or missing)
+
+  const fetchSetlists = useCallback(async () => {
+    const username = localStorage.getItem('username');
+    if (!username) return;
+    try {
+      const response = await axios.get(`${API_URL}/setlists`, { params: { username } });
+      setSetlists((response.data || []).map(normalizeSetlist));
+      setError(null);
+    } catch (err) {
+      console.error('SetlistPanel - Error fetching setlists:', err);
+      setError(err.response?.data?.error || 'Failed to load setlists');
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchSetlists();
+  }, [fetchSetlists, refreshKey]);
+
+  // Entries can be of videos the sidebar hasn't loaded: fetch those, so their hotcues can be picked
+  useEffect(() => {
+    const username = localStorage.getItem('username');
+    if (!draft || !username) return;
+    const missingIds = [...new Set(draft.entries.map(entry => entry.videoId))]
+      .filter(id => !videos.some(video => video.videoId === id) && !(id in entryVideos));
+    if (missingIds.length === 0) return;
+    setEntryVideos(prev => ({ ...prev, ...Object.fromEntries(missingIds.map(id => [id, null])) }));
+    missingIds.forEach(id => {
+      axios.get(`${API_URL}/videos/${id}`, { params: { username } })
+        .then(response => setEntryVideos(prev => ({ ...prev, [id]: response.data || null })))
+        .catch(err => console.error('SetlistPanel - Error fetching entry video:', err));
+    });
+  }, [draft, videos, entryVideos]);
+
+  const findVideo = (videoId) => videos.find(video => video.videoId === videoId) || entryVideos[videoId] || null;
+
+  // Show changes made elsewhere to the open setlist, unless it has unsaved edits
+  useEffect(() => {
+    if (isDirty) return;
+    setDraft(prev => {
+      const saved = prev && setlists.find(setlist => setlist.id === prev.id);
+      return saved ? { ...saved, entries: [...saved.entries] } : prev;
+    });
+  }, [setlists, isDirty]);
+
+  const selectSetlist = (id) => {
+    if (isDirty && !window.confirm('Discard your unsaved changes to this setlist?')) return;
+    setSelectedId(id);
+    const setlist = setlists.find(candidate => candidate.id === id);
+    setDraft(setlist ? { ...setlist, entries: [...setlist.entries] } : null);
+    setIsDirty(false);
+  };
+
+  const editDraft = (changes) => {
+    setDraft(prev => ({ ...prev, ...changes }));
+    setIsDirty(true);
+  };
+
+  const editEntry = (index, changes) => {
+    editDraft({ entries: draft.entries.map((entry, i) => (i === index ? { ...entry, ...changes } : entry)) });
+  };
+
+  const moveEntry = (index, direction) => {
+    const entries = [...draft.entries];
+    const [entry] = entries.splice(index, 1);
+    entries.splice(index + direction, 0, entry);
+    editDraft({ entries });
+  };
+
+  const handleNew = () => {
+    if (isDirty && !window.confirm('Discard your unsaved changes to this setlist?')) return;
+    const setlist = { id: createSetlistId(), name: `Set ${setlists.length + 1}`, entries: [] };
+    setSelectedId(setlist.id);
+    setDraft(setlist);
+    setIsDirty(true);
+  };
+
+  const handleSave = async () => {
+    const username = localStorage.getItem('username');
+    if (!draft || !username) return;
+    setIsSaving(true);
+    try {
+      await axios.post(`${API_URL}/setlists`, { ...draft, username }, {
+        timeout: 10000,
+        headers: { 'Content-Type': 'application/json' }
+      });
+      setIsDirty(false);
+      setSetlists(prev => (prev.some(setlist => setlist.id === draft.id)
+        ? prev.map(setlist => (setlist.id === draft.id ? draft : setlist))
+        : [...prev, draft]));
+      onSetlistSaved(draft);
+      setError(null);
+    } catch (err) {
+      console.error('SetlistPanel - Error saving setlist:', err);
+      setError(err.response?.data?.error || 'Failed to save setlist');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    const username = localStorage.getItem('username');
+    if (!draft || !username || !window.confirm(`Delete the setlist "${draft.name}"?`)) return;
+    try {
+      if (setlists.some(setlist => setlist.id === draft.id)) {
+        await axios.delete(`${API_URL}/setlists/${draft.id}`, { params: { username } });
+      }
+      setSetlists(prev => prev.filter(setlist => setlist.id !== draft.id));
+      onSetlistDeleted(draft.id);
+      setSelectedId('');
+      setDraft(null);
+      setIsDirty(false);
+    } catch (err) {
+      console.error('SetlistPanel - Error deleting setlist:', err);
+      alert(err.response?.data?.error || 'Failed to delete setlist. Please try again.');
+    }
+  };
+
+  const renderHotcueSelect = (className, video, value, onChange, emptyLabel) => (
+    <select
+      className={className}
+      value={hotcueValue(value)}
+      onChange={(e) => {
+        const hotcue = listHotcues(video ? video.hotcues : null).find(candidate => hotcueValue(candidate) === e.target.value);
+        onChange(hotcue ? { bank: hotcue.bank, key: hotcue.key } : null);
+      }}
+      disabled={!video}
+      style={selectStyle}
+      title={video ? undefined : "The video's hotcues show once it has loaded"}
+    >
+      <option value="">{emptyLabel}</option>
+      {!video && value && (
+        <option value={hotcueValue(value)}>Bank {value.bank + 1} · {value.key.toUpperCase()}</option>
+      )}
+      {listHotcues(video ? video.hotcues : null).map(hotcue => (
+        <option key={hotcueValue(hotcue)} value={hotcueValue(hotcue)}>
+          Bank {hotcue.bank + 1} · {hotcue.key.toUpperCase()}{hotcue.name ? ` ${hotcue.name}` : ''}
+        </option>
+      ))}
+    </select>
+  );
+
+  const isPlayingDraft = !!(playing && draft && playing.setlistId === draft.id);
+
+  return (
+    <div className="setlist-panel" style={{
+      maxWidth: '1400px',
+      margin: '10px auto 0 auto',
+      padding: '10px',
+      backgroundColor: '#f9f9f9',
+      border: '1px solid #ddd',
+      borderRadius: '4px',
+      textAlign: 'left'
+    }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '8px', flexWrap: 'wrap' }}>
+        <button
+          className="setlist-panel-toggle"
+          onClick={() => setIsOpen(prev => !prev)}
+          style={{ border: 'none', background: 'none', fontSize: '14px', fontWeight: 'bold', cursor: 'pointer', padding: 0 }}
+        >
+          {isOpen ? '▾' : '▸'} 🎞 Setlists
+        </button>
+        {playing && (
+          <span className="setlist-now-playing" style={{ fontSize: '12px', color: '#666' }}>
+            {playing.name} · {playing.index + 1} / {playing.count}
+          </span>
+        )}
+        <div style={{ flex: 1 }} />
+        <button
+          className="setlist-previous-button"
+          onClick={onPrevious}
+          disabled={!playing || playing.index <= 0}
+          style={buttonStyle(!!playing && playing.index > 0, '#6c757d')}
+          title={`Previous in set ( ${shortcuts.setPrevious} )`}
+        >
+          ◀ Prev
+        </button>
+        <button
+          className="setlist-next-button"
+          onClick={onNext}
+          disabled={!playing || playing.index >= playing.count - 1}
+          style={buttonStyle(!!playing && playing.index < playing.count - 1, '#6c757d')}
+          title={`Next in set ( ${shortcuts.setNext} )`}
+        >
+          Next ▶
+        </button>
+      </div>
+
+      {isOpen && (
+        <div style={{ marginTop: '10px' }}>
+          <div style={{ display: 'flex', alignItems: 'center', gap: '8px', flexWrap: 'wrap' }}>
+            <select
+              className="setlist-select"
+              value={selectedId}
+              onChange={(e) => selectSetlist(e.target.value)}
+              style={{ padding: '4px', fontSize: '13px' }}
+            >
+              <option value="">Choose a setlist...</option>
+              {setlists.map(setlist => (
+                <option key={setlist.id} value={setlist.id}>{setlist.name || 'Untitled set'}</option>
+              ))}
+              {draft && !setlists.some(setlist => setlist.id === draft.id) && (
+                <option value={draft.id}>{draft.name || 'Untitled set'} (new)</option>
+              )}
+            </select>
+            <button className="setlist-new-button" onClick={handleNew} style={buttonStyle(true, '#17a2b8')}>
+              + New
+            </button>
+            {draft && (
+              <>
+                <input
+                  className="setlist-name-input"
+                  type="text"
+                  value={draft.name}
+                  onChange={(e) => editDraft({ name: e.target.value })}
+                  placeholder="Setlist name"
+                  style={{ padding: '4px 8px', fontSize: '13px', border: '1px solid #ccc', borderRadius: '4px' }}
+                />
+                <button
+                  className="setlist-save-button"
+                  onClick={handleSave}
+                  disabled={!isDirty || isSaving}
+                  style={buttonStyle(isDirty && !isSaving, '#28a745')}
+                >
+                  {isSaving ? 'Saving...' : 'Save'}
+                </button>
+                <button className="setlist-delete-button" onClick={handleDelete} style={buttonStyle(true, '#dc3545')}>
+                  Delete
+                </button>
+              </>
+            )}
+          </div>
+
+          {error && (
+            <div className="setlist-error" style={{ marginTop: '8px', fontSize: '12px', color: '#dc3545' }}>{error}</div>
+          )}
+
+          {draft && (
+            <div className="setlist-entries" style={{ marginTop: '10px', display: 'flex', flexDirection: 'column', gap: '4px' }}>
+              {draft.entries.length === 0 && (
+                <div style={{ fontSize: '12px', color: '#999', fontStyle: 'italic' }}>No videos in this set yet</div>
+              )}
+              {draft.entries.map((entry, index) => {
+                const video = findVideo(entry.videoId);
+                const isPlayingEntry = isPlayingDraft && playing.index === index;
+                return (
+                  <div
+                    key={`${entry.videoId}-${index}`}
+                    className={`setlist-entry ${isPlayingEntry ? 'setlist-entry-playing' : ''}`}
+                    style={{
+                      display: 'flex',
+                      alignItems: 'center',
+                      gap: '6px',
+                      flexWrap: 'wrap',
+                      padding: '4px 6px',
+                      borderRadius: '4px',
+                      backgroundColor: isPlayingEntry ? '#e7f3ff' : 'white',
+                      border: `1px solid ${isPlayingEntry ? '#007bff' : '#eee'}`
+                    }}
+                  >
+                    <span style={{ width: '20px', fontSize: '12px', color: '#666', textAlign: 'right' }}>{index + 1}</span>
+                    <button
+                      className="setlist-entry-play"
+                      onClick={() => onPlayEntry(draft, index)}
+                      disabled={isDirty}
+                      style={buttonStyle(!isDirty, '#007bff')}
+                      title={isDirty ? 'Save the setlist first' : 'Load this entry (the set continues from here)'}
+                    >
+                      ▶
+                    </button>
+                    <span style={{ flex: 1, minWidth: '120px', fontSize: '13px', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                      {(video ? video.title : entry.title) || 'Untitled Video'}
+                    </span>
+                    <label style={{ fontSize: '11px', color: '#666' }}>
+                      Start{' '}
+                      {renderHotcueSelect('setlist-start-select', video, entry.startHotcue, (startHotcue) => editEntry(index, { startHotcue }), 'Beginning')}
+                    </label>
+                    <label style={{ fontSize: '11px', color: '#666' }}>
+                      End{' '}
+                      <select
+                        className="setlist-end-mode-select"
+                        value={entry.endMode}
+                        onChange={(e) => editEntry(index, { endMode: e.target.value })}
+                        style={selectStyle}
+                      >
+                        {SETLIST_END_MODES.map(mode => (
+                          <option key={mode.id} value={mode.id}>{mode.label}</option>
+                        ))}
+                      </select>
+                    </label>
+                    {entry.endMode === 'hotcue' && renderHotcueSelect('setlist-end-hotcue-select', video, entry.endHotcue, (endHotcue) => editEntry(index, { endHotcue }), 'Choose hotcue...')}
+                    <button
+                      onClick={() => moveEntry(index, -1)}
+                      disabled={index === 0}
+                      style={buttonStyle(index > 0, '#6c757d')}
+                      title="Move up"
+                    >
+                      ↑
+                    </button>
+                    <button
+                      onClick={() => moveEntry(index, 1)}
+                      disabled={index === draft.entries.length - 1}
+                      style={buttonStyle(index < draft.entries.length - 1, '#6c757d')}
+                      title="Move down"
+                    >
+                      ↓
+                    </button>
+                    <button
+                      className="setlist-entry-remove"
+                      onClick={() => editDraft({ entries: draft.entries.filter((_, i) => i !== index) })}
+                      style={buttonStyle(true, '#dc3545')}
+                      title="Remove from set"
+                    >
+                      ✕
+                    </button>
+                  </div>
+                );
+              })}
+
+              <div style={{ display: 'flex', alignItems: 'center', gap: '6px', marginTop: '6px' }}>
+                <VideoPicker
+                  className="setlist-add-picker"
+                  value={videoToAdd}
+                  onChange={setVideoToAdd}
+                  placeholder="Find a video to add..."
+                />
+                <button
+                  className="setlist-add-button"
+                  onClick={() => {
+                    setEntryVideos(prev => ({ ...prev, [videoToAdd.videoId]: videoToAdd }));
+                    editDraft({ entries: [...draft.entries, createSetlistEntry(videoToAdd)] });
+                    setVideoToAdd(null);
+                  }}
+                  disabled={!videoToAdd}
+                  style={buttonStyle(!!videoToAdd, '#17a2b8')}
+                >
+                  Add
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,75 @@
+import { useState, useId } from 'react';
+
+// Tags for the video, saved with it. Typing a tag and pressing Enter (or comma) adds it;
+// tags already used on other videos are suggested.
+export function TagsPanel({ tags, suggestions, onChange }) {
+  const [text, setText] = useState('');
+  const suggestionsId = useId(); // Both decks can show tags at once
+
+  const addTag = () => {
+    const tag = text.trim().replace(/^#/, '');
+    if (tag && !tags.some(existing => existing.toLowerCase() === tag.toLowerCase())) {
+      onChange([...tags, tag]);
+    }
+    setText('');
+  };
+
+  return (
+    <div className="tags-panel" style={{
+      marginTop: '10px',
+      padding: '10px',
+      backgroundColor: '#f9f9f9',
+      border: '1px solid #ddd',
+      borderRadius: '4px',
+      display: 'flex',
+      alignItems: 'center',
+      gap: '6px',
+      flexWrap: 'wrap',
+      textAlign: 'left'
+    }}>
+      <strong style={{ fontSize: '14px' }}>🏷 Tags</strong>
+      {tags.map(tag => (
+        <span
+          key={tag}
+          className="tag-chip"
+          style={{ display: 'flex', alignItems: 'center', gap: '2px', padding: '2px 4px 2px 8px', fontSize: '12px', backgroundColor: '#e9ecef', borderRadius: '10px' }}
+        >
+          #{tag}
+          <button
+            className="tag-remove-button"
+            onClick={() => onChange(tags.filter(existing => existing !== tag))}
+            style={{ padding: '0 4px', fontSize: '10px', backgroundColor: 'transparent', color: '#dc3545', border: 'none', cursor: 'pointer' }}
+            title="Remove tag"
+          >
+            ✕
+          </button>
+        </span>
+      ))}
+      <input
+        className="tag-input"
+        type="text"
+        value={text}
+        list={suggestionsId}
+        onChange={(e) => setText(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter' || e.key === ',') {
+            e.preventDefault();
+            addTag();
+          } else if (e.key === 'Backspace' && !text && tags.length > 0) {
+            onChange(tags.slice(0, -1));
+          }
+        }}
+        onBlur={() => text.trim() && addTag()}
+        placeholder="Add a tag..."
+        style={{ flex: 1, minWidth: '100px', padding: '4px 8px', fontSize: '12px', border: '1px solid #ccc', borderRadius: '4px' }}
+      />
+      <datalist id={suggestionsId}>
+        {suggestions
+          .filter(suggestion => !tags.some(tag => tag.toLowerCase() === suggestion.toLowerCase()))
+          .map(suggestion => (
+            <option key={suggestion} value={suggestion} />
+          ))}
+      </datalist>
+    </div>
+  );
+}
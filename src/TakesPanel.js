@@ -0,0 +1,160 @@
+import { useState } from 'react';
+import { formatTakeDuration } from './takes';
+
+const buttonStyle = (enabled, backgroundColor) => ({
+  padding: '4px 8px',
+  fontSize: '12px',
+  backgroundColor: enabled ? backgroundColor : '#ccc',
+  color: 'white',
+  border: 'none',
+  borderRadius: '3px',
+  cursor: enabled ? 'pointer' : 'not-allowed',
+  fontWeight: 'bold',
+  opacity: enabled ? 1 : 0.6
+});
+
+export function TakesPanel({
+  takes,
+  isRecording,
+  replayingTakeId,
+  isPlayerReady,
+  onStartRecording,
+  onStopRecording,
+  onReplay,
+  onStopReplay,
+  onRename,
+  onDelete
+}) {
+  const [editingTakeId, setEditingTakeId] = useState(null);
+  const [editingName, setEditingName] = useState('');
+
+  const canRecord = isPlayerReady && !replayingTakeId;
+  const canReplay = isPlayerReady && !isRecording;
+
+  const handleNameClick = (take) => {
+    setEditingTakeId(take.id);
+    setEditingName(take.name);
+  };
+
+  const handleNameBlur = (take) => {
+    const name = editingName.trim();
+    if (name && name !== take.name) {
+      onRename(take.id, name);
+    }
+    setEditingTakeId(null);
+    setEditingName('');
+  };
+
+  const handleNameKeyDown = (e, take) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      handleNameBlur(take);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      setEditingTakeId(null);
+      setEditingName('');
+    }
+  };
+
+  return (
+    <div className="takes-panel" style={{
+      marginTop: '10px',
+      padding: '10px',
+      backgroundColor: '#f9f9f9',
+      border: '1px solid #ddd',
+      borderRadius: '4px',
+      textAlign: 'left'
+    }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+        <strong style={{ fontSize: '14px', marginRight: '4px' }}>🎞 Takes</strong>
+        <button
+          className="record-take-button"
+          onClick={isRecording ? onStopRecording : onStartRecording}
+          disabled={!isRecording && !canRecord}
+          style={{ ...buttonStyle(isRecording || canRecord, isRecording ? '#dc3545' : '#6c757d'), padding: '6px 12px', fontSize: '14px' }}
+          title={isRecording ? 'Stop recording and save as a take' : 'Record hotcues, play, pause and seeks'}
+        >
+          {isRecording ? '■ Stop' : '● Rec'}
+        </button>
+        {isRecording && (
+          <span className="recording-indicator" style={{ fontSize: '12px', color: '#dc3545', fontWeight: 'bold' }}>
+            Recording...
+          </span>
+        )}
+      </div>
+
+      {takes.length > 0 && (
+        <div className="take-list" style={{ display: 'flex', flexDirection: 'column', gap: '6px', marginTop: '10px' }}>
+          {takes.map(take => {
+            const isReplaying = replayingTakeId === take.id;
+            return (
+              <div
+                key={take.id}
+                className={`take-item ${isReplaying ? 'take-item-replaying' : ''}`}
+                style={{
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: '10px',
+                  padding: '6px 8px',
+                  backgroundColor: isReplaying ? '#e2d9f3' : 'white',
+                  border: `2px solid ${isReplaying ? '#6f42c1' : '#ddd'}`,
+                  borderRadius: '4px',
+                  fontSize: '14px'
+                }}
+              >
+                {editingTakeId === take.id ? (
+                  <input
+                    type="text"
+                    value={editingName}
+                    onChange={(e) => setEditingName(e.target.value)}
+                    onBlur={() => handleNameBlur(take)}
+                    onKeyDown={(e) => handleNameKeyDown(e, take)}
+                    autoFocus
+                    className="take-name-input"
+                    style={{
+                      flex: 1,
+                      padding: '4px 8px',
+                      fontSize: '12px',
+                      border: '1px solid #007bff',
+                      borderRadius: '3px',
+                      outline: 'none'
+                    }}
+                  />
+                ) : (
+                  <span
+                    className="take-name-display"
+                    onClick={() => handleNameClick(take)}
+                    style={{ flex: 1, cursor: 'pointer', fontWeight: 'bold' }}
+                    title="Click to rename"
+                  >
+                    {take.name}
+                  </span>
+                )}
+                <span style={{ fontSize: '12px', color: '#666' }}>
+                  {formatTakeDuration(take.duration)} · {take.events.length} event(s)
+                </span>
+                <button
+                  className="take-replay-button"
+                  onClick={() => (isReplaying ? onStopReplay() : onReplay(take.id))}
+                  disabled={!isReplaying && !canReplay}
+                  style={buttonStyle(isReplaying || canReplay, isReplaying ? '#dc3545' : '#6f42c1')}
+                  title={isReplaying ? 'Stop replay' : 'Replay take'}
+                >
+                  {isReplaying ? '■' : '▶'}
+                </button>
+                <button
+                  className="take-delete-button"
+                  onClick={() => onDelete(take.id)}
+                  style={buttonStyle(true, '#dc3545')}
+                  title="Delete take"
+                >
+                  ✕
+                </button>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
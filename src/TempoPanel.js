@@ -0,0 +1,115 @@
+const buttonStyle = (enabled, backgroundColor) => ({
+  padding: '6px 12px',
+  fontSize: '14px',
+  backgroundColor: enabled ? backgroundColor : '#ccc',
+  color: 'white',
+  border: 'none',
+  borderRadius: '4px',
+  cursor: enabled ? 'pointer' : 'not-allowed',
+  fontWeight: 'bold',
+  opacity: enabled ? 1 : 0.6,
+  userSelect: 'none'
+});
+
+const formatRate = (rate) => `${Number(rate.toFixed(2))}x`;
+
+// Index of the available rate closest to the given rate (a saved default may not be supported by every video)
+const closestRateIndex = (rates, rate) => {
+  let closest = 0;
+  rates.forEach((availableRate, index) => {
+    if (Math.abs(availableRate - rate) < Math.abs(rates[closest] - rate)) {
+      closest = index;
+    }
+  });
+  return closest;
+};
+
+export function TempoPanel({
+  availableRates,
+  playbackRate,
+  defaultRate,
+  nudgeDirection,
+  isPlayerReady,
+  onRateChange,
+  onRateReset,
+  onNudgeStart,
+  onNudgeStop,
+  onSetDefaultRate,
+  shortcuts
+}) {
+  const rateIndex = closestRateIndex(availableRates, playbackRate);
+
+  // Nudge buttons behave like the keys: hold to nudge, release to snap back
+  const nudgeButtonProps = (direction, nudgeKey) => ({
+    onMouseDown: () => onNudgeStart(direction, nudgeKey),
+    onMouseUp: () => onNudgeStop(nudgeKey),
+    onMouseLeave: () => onNudgeStop(nudgeKey),
+    disabled: !isPlayerReady
+  });
+
+  return (
+    <div className="tempo-panel" style={{
+      marginTop: '10px',
+      padding: '10px',
+      backgroundColor: '#f9f9f9',
+      border: '1px solid #ddd',
+      borderRadius: '4px',
+      display: 'flex',
+      alignItems: 'center',
+      gap: '8px',
+      flexWrap: 'wrap',
+      textAlign: 'left'
+    }}>
+      <strong style={{ fontSize: '14px', marginRight: '4px' }}>⏱ Tempo</strong>
+      <button
+        className="tempo-nudge-slower-button"
+        {...nudgeButtonProps(-1, 'mouse-slower')}
+        style={buttonStyle(isPlayerReady, nudgeDirection < 0 ? '#ffc107' : '#6c757d')}
+        title={`Hold to nudge slower ( ${shortcuts.nudgeSlower} )`}
+      >
+        ◀◀
+      </button>
+      <input
+        className="tempo-rate-slider"
+        type="range"
+        min={0}
+        max={availableRates.length - 1}
+        step={1}
+        value={rateIndex}
+        onChange={(e) => onRateChange(availableRates[Number(e.target.value)])}
+        disabled={!isPlayerReady}
+        style={{ flex: 1, minWidth: '120px' }}
+        title="Playback rate"
+      />
+      <button
+        className="tempo-nudge-faster-button"
+        {...nudgeButtonProps(1, 'mouse-faster')}
+        style={buttonStyle(isPlayerReady, nudgeDirection > 0 ? '#ffc107' : '#6c757d')}
+        title={`Hold to nudge faster ( ${shortcuts.nudgeFaster} )`}
+      >
+        ▶▶
+      </button>
+      <span className="tempo-rate-value" style={{ fontWeight: 'bold', fontSize: '14px', minWidth: '48px', textAlign: 'center' }}>
+        {formatRate(playbackRate)}
+      </span>
+      <button
+        className="tempo-reset-button"
+        onClick={onRateReset}
+        disabled={!isPlayerReady}
+        style={buttonStyle(isPlayerReady, '#007bff')}
+        title={`Reset to normal speed ( ${shortcuts.rateReset} )`}
+      >
+        Reset
+      </button>
+      <button
+        className="tempo-set-default-button"
+        onClick={onSetDefaultRate}
+        disabled={!isPlayerReady || playbackRate === defaultRate}
+        style={buttonStyle(isPlayerReady && playbackRate !== defaultRate, '#28a745')}
+        title="Load this video at the current rate"
+      >
+        Set default ({formatRate(defaultRate)})
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,209 @@
+import { useEffect, useRef } from 'react';
+import { HOTCUE_SLOTS } from './keymap';
+
+export const TIMELINE_ZOOM_LEVELS = [1, 2, 4, 8, 16, 32];
+
+const buttonStyle = (enabled) => ({
+  padding: '2px 8px',
+  fontSize: '12px',
+  backgroundColor: enabled ? '#6c757d' : '#ccc',
+  color: 'white',
+  border: 'none',
+  borderRadius: '3px',
+  cursor: enabled ? 'pointer' : 'not-allowed',
+  fontWeight: 'bold',
+  opacity: enabled ? 1 : 0.6
+});
+
+// Full-width timeline under the video: playhead, hotcue markers, loop regions and the trimmed-off parts.
+// The bar itself (barRef) is as wide as the zoom level makes it and scrolls inside the
+// visible track, so positions from getBoundingClientRect already account for zoom and scroll.
+export function Timeline({
+  duration,
+  currentTime,
+  hotcues,
+  loops,
+  activeLoopIndex,
+  trim,
+  zoom,
+  barRef,
+  isDragging,
+  dragTime,
+  draggingHotcueKey,
+  isPlayerReady,
+  formatTime,
+  hotcueKeyLabel,
+  onZoomChange,
+  onBarMouseDown,
+  onMarkerMouseDown
+}) {
+  const trackRef = useRef(null);
+  const canUse = isPlayerReady && duration > 0;
+  const zoomIndex = TIMELINE_ZOOM_LEVELS.indexOf(zoom);
+  const playheadTime = isDragging && !draggingHotcueKey ? dragTime : currentTime;
+  const toPercent = (time) => (duration > 0 ? Math.max(0, Math.min(100, (time / duration) * 100)) : 0);
+
+  // Keep the playhead in view while zoomed in (but not while the user is dragging)
+  useEffect(() => {
+    const track = trackRef.current;
+    const bar = barRef.current;
+    if (!track || !bar || isDragging || !duration || zoom === 1) return;
+    const playheadX = (playheadTime / duration) * bar.offsetWidth;
+    if (playheadX < track.scrollLeft || playheadX > track.scrollLeft + track.clientWidth) {
+      track.scrollLeft = Math.max(0, playheadX - track.clientWidth / 4);
+    }
+  }, [playheadTime, duration, zoom, isDragging, barRef]);
+
+  return (
+    <div className="timeline" style={{
+      marginTop: '10px',
+      padding: '10px',
+      backgroundColor: '#f9f9f9',
+      border: '1px solid #ddd',
+      borderRadius: '4px',
+      textAlign: 'left'
+    }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '6px', fontSize: '12px', color: '#666' }}>
+        <strong style={{ fontSize: '14px', color: '#333', marginRight: '4px' }}>📍 Timeline</strong>
+        <span className="timeline-time-readout" style={{ fontFamily: 'monospace', flex: 1 }}>
+          {draggingHotcueKey
+            ? `${hotcueKeyLabel(draggingHotcueKey)} → ${formatTime(dragTime)}`
+            : `${formatTime(playheadTime)} / ${formatTime(duration)}`}
+        </span>
+        <button
+          className="timeline-zoom-out"
+          onClick={() => onZoomChange(TIMELINE_ZOOM_LEVELS[zoomIndex - 1])}
+          disabled={zoomIndex <= 0}
+          style={buttonStyle(zoomIndex > 0)}
+          title="Zoom out"
+        >
+          −
+        </button>
+        <span style={{ minWidth: '30px', textAlign: 'center' }}>{zoom}x</span>
+        <button
+          className="timeline-zoom-in"
+          onClick={() => onZoomChange(TIMELINE_ZOOM_LEVELS[zoomIndex + 1])}
+          disabled={zoomIndex >= TIMELINE_ZOOM_LEVELS.length - 1}
+          style={buttonStyle(zoomIndex < TIMELINE_ZOOM_LEVELS.length - 1)}
+          title="Zoom in"
+        >
+          +
+        </button>
+      </div>
+
+      <div ref={trackRef} className="timeline-track" style={{ overflowX: 'auto', overflowY: 'hidden' }}>
+        <div
+          ref={barRef}
+          className="timeline-bar"
+          onMouseDown={(e) => canUse && onBarMouseDown(e)}
+          style={{
+            position: 'relative',
+            width: `${zoom * 100}%`,
+            height: '40px',
+            backgroundColor: '#e9ecef',
+            borderRadius: '3px',
+            cursor: canUse ? 'pointer' : 'default',
+            userSelect: 'none'
+          }}
+          title={canUse ? 'Click or drag to seek' : undefined}
+        >
+          {/* Trimmed-off parts */}
+          {trim.start > 0 && (
+            <div
+              className="timeline-trim timeline-trim-in"
+              style={{ position: 'absolute', top: 0, bottom: 0, left: 0, width: `${toPercent(trim.start)}%`, backgroundColor: 'rgba(108, 117, 125, 0.45)', pointerEvents: 'none' }}
+            />
+          )}
+          {trim.end !== null && (
+            <div
+              className="timeline-trim timeline-trim-out"
+              style={{ position: 'absolute', top: 0, bottom: 0, left: `${toPercent(trim.end)}%`, right: 0, backgroundColor: 'rgba(108, 117, 125, 0.45)', pointerEvents: 'none' }}
+            />
+          )}
+
+          {/* Loop regions */}
+          {loops.map((loop, index) => (
+            <div
+              key={`${loop.start}-${loop.end}-${index}`}
+              className={`timeline-loop ${activeLoopIndex === index ? 'timeline-loop-active' : ''}`}
+              style={{
+                position: 'absolute',
+                top: 0,
+                bottom: 0,
+                left: `${toPercent(loop.start)}%`,
+                width: `${toPercent(loop.end) - toPercent(loop.start)}%`,
+                backgroundColor: activeLoopIndex === index ? 'rgba(23, 162, 184, 0.45)' : 'rgba(23, 162, 184, 0.2)',
+                borderLeft: '1px solid #17a2b8',
+                borderRight: '1px solid #17a2b8',
+                pointerEvents: 'none'
+              }}
+            />
+          ))}
+
+          {/* Hotcue markers - drag to retime */}
+          {HOTCUE_SLOTS.filter(key => hotcues[key]).map(key => {
+            const hotcue = hotcues[key];
+            const isDraggingMarker = draggingHotcueKey === key;
+            const time = isDraggingMarker ? dragTime : hotcue.time;
+            const color = hotcue.color;
+            return (
+              <div
+                key={key}
+                className={`timeline-hotcue-marker timeline-hotcue-marker-${key}`}
+                onMouseDown={(e) => {
+                  e.stopPropagation();
+                  if (canUse) onMarkerMouseDown(e, key);
+                }}
+                style={{
+                  position: 'absolute',
+                  top: 0,
+                  bottom: 0,
+                  left: `${toPercent(time)}%`,
+                  width: '2px',
+                  marginLeft: '-1px',
+                  backgroundColor: color,
+                  cursor: canUse ? 'ew-resize' : 'default',
+                  zIndex: isDraggingMarker ? 3 : 2
+                }}
+                title={`${hotcueKeyLabel(key)}${hotcue.name ? ` - ${hotcue.name}` : ''} @ ${formatTime(hotcue.time)} (drag to move)`}
+              >
+                <span style={{
+                  position: 'absolute',
+                  top: 0,
+                  left: '-8px',
+                  width: '16px',
+                  fontSize: '10px',
+                  lineHeight: '14px',
+                  textAlign: 'center',
+                  fontWeight: 'bold',
+                  color: 'white',
+                  backgroundColor: color,
+                  borderRadius: '2px',
+                  boxShadow: isDraggingMarker ? '0 0 6px rgba(0, 0, 0, 0.5)' : 'none'
+                }}>
+                  {hotcueKeyLabel(key)}
+                </span>
+              </div>
+            );
+          })}
+
+          {/* Playhead */}
+          <div
+            className="timeline-playhead"
+            style={{
+              position: 'absolute',
+              top: '-2px',
+              bottom: '-2px',
+              left: `${toPercent(playheadTime)}%`,
+              width: '2px',
+              marginLeft: '-1px',
+              backgroundColor: '#dc3545',
+              pointerEvents: 'none',
+              zIndex: 4
+            }}
+          />
+        </div>
+      </div>
+    </div>
+  );
+}
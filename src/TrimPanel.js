@@ -0,0 +1,106 @@
+const buttonStyle = (enabled, backgroundColor) => ({
+  padding: '6px 12px',
+  fontSize: '14px',
+  backgroundColor: enabled ? backgroundColor : '#ccc',
+  color: 'white',
+  border: 'none',
+  borderRadius: '4px',
+  cursor: enabled ? 'pointer' : 'not-allowed',
+  fontWeight: 'bold',
+  opacity: enabled ? 1 : 0.6,
+  userSelect: 'none'
+});
+
+// Trim in / out points for the video: playback starts at trim-in and never runs past trim-out
+export function TrimPanel({
+  trim,
+  outsideCount,
+  isPlayerReady,
+  formatTime,
+  onSetTrimIn,
+  onSetTrimOut,
+  onClearTrimIn,
+  onClearTrimOut,
+  onEndModeChange
+}) {
+  const hasTrimIn = trim.start > 0;
+  const hasTrimOut = trim.end !== null;
+
+  return (
+    <div className="trim-panel" style={{
+      marginTop: '10px',
+      padding: '10px',
+      backgroundColor: '#f9f9f9',
+      border: '1px solid #ddd',
+      borderRadius: '4px',
+      display: 'flex',
+      alignItems: 'center',
+      gap: '8px',
+      flexWrap: 'wrap',
+      textAlign: 'left'
+    }}>
+      <strong style={{ fontSize: '14px', marginRight: '4px' }}>✂ Trim</strong>
+      <button
+        className="trim-in-button"
+        onClick={onSetTrimIn}
+        disabled={!isPlayerReady}
+        style={buttonStyle(isPlayerReady, '#007bff')}
+        title="Start the video here"
+      >
+        IN
+      </button>
+      <span className="trim-in-time" style={{ fontFamily: 'monospace', fontSize: '13px' }}>
+        {hasTrimIn ? formatTime(trim.start) : 'start'}
+      </span>
+      {hasTrimIn && (
+        <button
+          className="trim-in-clear"
+          onClick={onClearTrimIn}
+          style={{ ...buttonStyle(true, '#6c757d'), padding: '2px 6px', fontSize: '12px' }}
+          title="Clear trim-in"
+        >
+          ✕
+        </button>
+      )}
+      <button
+        className="trim-out-button"
+        onClick={onSetTrimOut}
+        disabled={!isPlayerReady}
+        style={buttonStyle(isPlayerReady, '#007bff')}
+        title="Stop the video here"
+      >
+        OUT
+      </button>
+      <span className="trim-out-time" style={{ fontFamily: 'monospace', fontSize: '13px' }}>
+        {hasTrimOut ? formatTime(trim.end) : 'end'}
+      </span>
+      {hasTrimOut && (
+        <button
+          className="trim-out-clear"
+          onClick={onClearTrimOut}
+          style={{ ...buttonStyle(true, '#6c757d'), padding: '2px 6px', fontSize: '12px' }}
+          title="Clear trim-out"
+        >
+          ✕
+        </button>
+      )}
+      <label style={{ fontSize: '12px', color: '#666', display: 'flex', alignItems: 'center', gap: '4px' }}>
+        At trim-out
+        <select
+          className="trim-end-mode-select"
+          value={trim.endMode}
+          onChange={(e) => onEndModeChange(e.target.value)}
+          style={{ padding: '4px', fontSize: '12px' }}
+        >
+          <option value="pause">Pause</option>
+          <option value="loop">Loop to trim-in</option>
+        </select>
+      </label>
+      {outsideCount > 0 && (
+        <span className="trim-outside-warning" style={{ fontSize: '12px', color: '#856404' }}>
+          ⚠ {outsideCount} hotcue{outsideCount === 1 ? '' : 's'} outside the trim
+        </span>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,83 @@
+import { useState, useEffect } from 'react';
+import { DEFAULT_LIBRARY_VIEW, libraryViewParams, fetchVideoPage, applyLibraryView } from './videoLibrary';
+
+const RESULT_LIMIT = 20; // Videos listed per search
+const SEARCH_DELAY = 300; // ms to wait after typing before searching
+
+// Picks a saved video from the whole library. What's typed is searched for by the backend, the same
+// way as the sidebar's search, so videos the sidebar hasn't loaded can be picked too.
+// value: the picked video ({ videoId, title } is enough), or null
+// onChange: called with the video picked from the results, or null
+// excludeVideoId: optional, a video left out of the results (the one being edited)
+export function VideoPicker({ className, value, onChange, excludeVideoId = null, placeholder = 'Search saved videos...' }) {
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [isSearching, setIsSearching] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const username = localStorage.getItem('username');
+    if (!username) return;
+    let isCurrent = true;
+    const timer = setTimeout(async () => {
+      setIsSearching(true);
+      const view = { ...DEFAULT_LIBRARY_VIEW, query, sort: 'title' };
+      try {
+        const page = await fetchVideoPage(username, { params: libraryViewParams(view, {}), limit: RESULT_LIMIT });
+        if (!isCurrent) return;
+        // A backend that doesn't page sends the whole library, unsearched
+        const matches = page.isPaged ? page.videos : applyLibraryView(page.videos, view, {}, null);
+        setResults(matches.filter(video => video.videoId !== excludeVideoId).slice(0, RESULT_LIMIT));
+        setHasMore(page.isPaged ? !!page.nextCursor : matches.length > RESULT_LIMIT);
+        setError(null);
+      } catch (err) {
+        console.error('VideoPicker - Error searching videos:', err);
+        if (isCurrent) {
+          setError(err.response?.data?.error || 'Search failed');
+        }
+      } finally {
+        if (isCurrent) {
+          setIsSearching(false);
+        }
+      }
+    }, SEARCH_DELAY);
+    return () => {
+      isCurrent = false;
+      clearTimeout(timer);
+    };
+  }, [query, excludeVideoId]);
+
+  // The picked video stays listed while the search changes
+  const options = value && !results.some(video => video.videoId === value.videoId) ? [value, ...results] : results;
+  const emptyLabel = isSearching ? 'Searching...'
+    : error ? 'Search failed'
+      : results.length === 0 ? 'No videos match'
+        : `Choose from ${results.length}${hasMore ? '+' : ''} videos...`;
+
+  return (
+    <span className={className} style={{ display: 'inline-flex', alignItems: 'center', gap: '4px' }}>
+      <input
+        className="video-picker-search"
+        type="search"
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        placeholder={placeholder}
+        style={{ width: '130px', padding: '2px 4px', fontSize: '12px', border: '1px solid #ccc', borderRadius: '3px' }}
+        title={hasMore ? 'Type more of a title, tag or hotcue label to find videos not listed' : undefined}
+      />
+      <select
+        className="video-picker-select"
+        value={value ? value.videoId : ''}
+        onChange={(e) => onChange(options.find(video => video.videoId === e.target.value) || null)}
+        style={{ padding: '2px', fontSize: '12px', maxWidth: '180px' }}
+        title={error || undefined}
+      >
+        <option value="">{emptyLabel}</option>
+        {options.map(video => (
+          <option key={video.videoId} value={video.videoId}>{video.title || 'Untitled Video'}</option>
+        ))}
+      </select>
+    </span>
+  );
+}
@@ -1,27 +1,121 @@
-import { useState, useEffect, useImperativeHandle, forwardRef } from 'react';
+import { useState, useEffect, useCallback, useRef, useImperativeHandle, forwardRef } from 'react';
 import axios from 'axios';
 import API_URL from './config';
+import { countHotcues, listHotcues, clearVideoHotcues } from './hotcues';
+import { SORT_OPTIONS, FILTER_OPTIONS, libraryViewParams, fetchVideoPage, applyLibraryView, matchingHotcueLabels, normalizeTags, collectTags, retallyTags, loadLibraryView, saveLibraryView, loadLastOpened, markVideoOpened, TRASH_RETENTION_DAYS, trashDaysLeft } from './videoLibrary';
+import { VIDEO_DRAG_TYPE, createCrateId, normalizeCrate, childCrates, crateVideoIds } from './crates';
+import { CrateTree } from './CrateTree';
+import { normalizeSetlist, createSetlistEntry, clearSetlistHotcues } from './setlists';
+import { BulkActionBar } from './BulkActionBar';
 
-export const VideoSidebar = forwardRef(({ onVideoSelect, selectedVideoId }, ref) => {
-  const [videos, setVideos] = useState([]);
+const HOTCUE_PREVIEW_LIMIT = 12; // Colour dots shown per video before the rest are summed up
+const PAGE_SIZE = 50; // Videos fetched per request
+const ROW_HEIGHT = 100; // Height of a video in the list, including the gap below it
+const OVERSCAN_ROWS = 5; // Rows rendered beyond each edge of the visible part of the list
+const UNDO_TOAST_MS = 10000; // How long "Undo" is offered after videos go to the trash
+const VIEW_FETCH_DELAY = 300; // ms to wait after the view changes (while typing a search) before fetching it
+
+const videoCount = (count) => (count === 1 ? '1 video' : `${count} videos`);
+
+// What the confirmation says for each action on the selected videos (or one video's ✕).
+// target is the crate or setlist picked for 'crate' and 'setlist'.
+const BULK_ACTIONS = {
+  delete: {
+    heading: (count) => `Move ${videoCount(count)} to the trash?`,
+    note: `They can be restored from the trash for ${TRASH_RETENTION_DAYS} days.`,
+    button: 'Move to trash',
+    running: 'Moving...',
+    color: '#dc3545'
+  },
+  purge: {
+    heading: (count) => `Delete ${videoCount(count)} forever?`,
+    note: 'This action cannot be undone.',
+    button: 'Delete forever',
+    running: 'Deleting...',
+    color: '#dc3545'
+  },
+  export: {
+    heading: (count) => `Export ${videoCount(count)}?`,
+    note: 'They are downloaded together as one JSON file.',
+    button: 'Export',
+    running: 'Exporting...',
+    color: '#007bff'
+  },
+  crate: {
+    heading: (count, target) => `Add ${videoCount(count)} to the crate "${target.name}"?`,
+    note: 'Videos already in the crate stay as they are.',
+    button: 'Add',
+    running: 'Adding...',
+    color: '#28a745'
+  },
+  setlist: {
+    heading: (count, target) => `Add ${videoCount(count)} to the setlist "${target.name}"?`,
+    note: 'They go at the end of the set, playing from the start.',
+    button: 'Add',
+    running: 'Adding...',
+    color: '#28a745'
+  },
+  clearHotcues: {
+    heading: (count) => `Clear the hotcues of ${videoCount(count)}?`,
+    note: 'Every hotcue in every bank is removed and saved straight away. Effects and setlists stop using them. This action cannot be undone.',
+    button: 'Clear hotcues',
+    running: 'Clearing...',
+    color: '#fd7e14'
+  }
+};
+
+// Videos are fetched a page at a time, already searched, filtered and sorted by the backend (see
+// fetchVideoPage in videoLibrary.js). Changing the view starts again from its first page; more pages
+// load as the list is scrolled to the end (or with Load more). Only the visible rows are rendered.
+//
+// Deleting a video moves it to the trash: DELETE /videos/:videoId takes it out of GET /videos and
+// GET /trash lists it. POST /trash/:videoId/restore brings it back; DELETE /trash/:videoId deletes
+// it for good, as the backend does by itself after TRASH_RETENTION_DAYS.
+
+// onVideosLoaded: optional, called with the saved videos loaded so far each time that changes
+// onTagsLoaded: optional, called with the whole library's tags ([{ tag, count }]) each time they change
+// onVideosUpdated: optional, called with videos changed here (their hotcues cleared) so decks can show it
+// onSetlistsChanged: optional, called after setlists are changed from here
+export const VideoSidebar = forwardRef(({ onVideoSelect, selectedVideoId, onVideosLoaded, onTagsLoaded, onVideosUpdated, onSetlistsChanged }, ref) => {
+  const [videos, setVideos] = useState([]); // Loaded so far, in the view's order
+  const [nextCursor, setNextCursor] = useState(null); // Cursor for the next page, null once everything is loaded
+  const [isPaged, setIsPaged] = useState(true); // False for a backend that sends the whole library unfiltered
+  const [libraryTotal, setLibraryTotal] = useState(null); // Videos in the whole library, if the backend says
+  const [libraryTags, setLibraryTags] = useState(null); // Tags across the whole library, if the backend says
+  const fetchedParamsRef = useRef({}); // View params of the list loaded, for its next pages
+  const fetchedParamsKeyRef = useRef(null);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+  const isLoadingMoreRef = useRef(false);
+  const listGenerationRef = useRef(0); // Bumped on every full refresh so pages for an older list are dropped
+  const listRef = useRef(null);
+  const rowsRef = useRef(null);
+  const [listScroll, setListScroll] = useState({ top: 0, height: 0 }); // Scroll position and height of the list
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [isCollapsed, setIsCollapsed] = useState(false);
-  const [deleteConfirm, setDeleteConfirm] = useState(null); // { videoId, title }
-  const [isDeleting, setIsDeleting] = useState(false);
+  const [checkedIds, setCheckedIds] = useState([]); // Videos selected for a bulk action
+  const checkAnchorRef = useRef(null); // Video last checked or unchecked, where a Shift-click range starts
+  const [bulkAction, setBulkAction] = useState(null); // { type, videos, target } waiting for confirmation or running
+  const [bulkProgress, setBulkProgress] = useState(null); // { done, total } while the bulk action runs
+  const [setlists, setSetlists] = useState([]); // For adding the selected videos to a setlist
+  const [trash, setTrash] = useState([]); // Deleted videos, most recently deleted first
+  const [showTrash, setShowTrash] = useState(false); // Trash shown in place of the video list
+  const [undoToast, setUndoToast] = useState(null); // { videos } just moved to the trash
+  const undoTimerRef = useRef(null);
+  const [view, setView] = useState(() => loadLibraryView(localStorage.getItem('username'))); // { query, sort, filter, crate, tag }
+  const [lastOpened, setLastOpened] = useState(() => loadLastOpened(localStorage.getItem('username')));
+  const [crates, setCrates] = useState([]);
+  const [contextMenu, setContextMenu] = useState(null); // { x, y, video } for a right-clicked video
+  const viewParams = libraryViewParams(view, lastOpened);
+  const viewParamsKey = JSON.stringify(viewParams);
+  const viewParamsRef = useRef(viewParams);
 
   useEffect(() => {
-    // Fetch videos when component mounts or when username changes
-    const username = localStorage.getItem('username');
-    if (username) {
-      fetchVideos();
-    } else {
-      setLoading(false);
-      setError('You must be logged in to view videos');
-    }
-  }, []); // Only run on mount - username changes will trigger via refresh() call
+    viewParamsRef.current = JSON.parse(viewParamsKey);
+  }, [viewParamsKey]);
 
-  const fetchVideos = async () => {
+  // Start the list again from the first page of the view
+  const fetchVideos = useCallback(async () => {
     setLoading(true);
     setError(null);
     
@@ -36,31 +130,335 @@ export const VideoSidebar = forwardRef(({ onVideoSelect, selectedVideoId }, ref)
       return;
     }
     
+    const generation = ++listGenerationRef.current;
+    const params = viewParamsRef.current;
+    fetchedParamsRef.current = params;
+    fetchedParamsKeyRef.current = JSON.stringify(params);
     try {
       console.log('VideoSidebar - Making request to /videos with username:', username);
-      const response = await axios.get(`${API_URL}/videos`, {
-        params: { username }
-      });
-      console.log('VideoSidebar - Received response:', response.data);
-      console.log('VideoSidebar - Number of videos:', response.data?.length || 0);
-      setVideos(response.data || []);
+      const page = await fetchVideoPage(username, { params, limit: PAGE_SIZE });
+      if (generation !== listGenerationRef.current) return;
+      console.log('VideoSidebar - Number of videos in first page:', page.videos.length);
+      setVideos(page.videos);
+      setNextCursor(page.nextCursor);
+      setIsPaged(page.isPaged);
+      setLibraryTotal(page.total);
+      setLibraryTags(page.tags);
     } catch (err) {
       console.error('VideoSidebar - Error fetching videos:', err);
       console.error('VideoSidebar - Error response:', err.response?.data);
       setError(err.response?.data?.error || 'Failed to load videos');
     } finally {
+      if (generation === listGenerationRef.current) {
+        setLoading(false);
+      }
+    }
+  }, []);
+
+  const loadMoreVideos = useCallback(async () => {
+    const username = localStorage.getItem('username');
+    if (!username || !nextCursor || isLoadingMoreRef.current) return;
+    const generation = listGenerationRef.current;
+    isLoadingMoreRef.current = true;
+    setIsLoadingMore(true);
+    try {
+      const page = await fetchVideoPage(username, { params: fetchedParamsRef.current, cursor: nextCursor, limit: PAGE_SIZE });
+      if (generation !== listGenerationRef.current) return;
+      setVideos(prev => [...prev, ...page.videos.filter(video => !prev.some(loaded => loaded.videoId === video.videoId))]);
+      setNextCursor(page.nextCursor);
+    } catch (err) {
+      console.error('VideoSidebar - Error fetching more videos:', err);
+      setError(err.response?.data?.error || 'Failed to load more videos');
+    } finally {
+      isLoadingMoreRef.current = false;
+      setIsLoadingMore(false);
+    }
+  }, [nextCursor]);
+
+  // Re-fetch one video (after it's saved) instead of the whole list. New videos go to the top.
+  // A search, filter or sort done by the backend may place the video anywhere, so that list starts again.
+  const refreshVideo = useCallback(async (videoId) => {
+    const username = localStorage.getItem('username');
+    if (!username || !videoId) return;
+    if (isPaged && Object.keys(fetchedParamsRef.current).length > 0) {
+      fetchVideos();
+      return;
+    }
+    try {
+      const response = await axios.get(`${API_URL}/videos/${videoId}`, { params: { username } });
+      const saved = response.data;
+      const previous = videos.find(video => video.videoId === videoId);
+      if (!previous) {
+        setLibraryTotal(prev => (prev === null ? null : prev + 1));
+      }
+      setLibraryTags(prev => prev && retallyTags(prev, previous ? previous.tags : [], saved.tags));
+      setVideos(prev => (prev.some(video => video.videoId === videoId)
+        ? prev.map(video => (video.videoId === videoId ? saved : video))
+        : [saved, ...prev]));
+    } catch (err) {
+      if (err.response?.status === 404) {
+        setVideos(prev => prev.filter(video => video.videoId !== videoId));
+      } else {
+        console.error('VideoSidebar - Error refreshing video, reloading the list:', err);
+        fetchVideos();
+      }
+    }
+  }, [isPaged, videos, fetchVideos]);
+
+  useEffect(() => {
+    // Fetch videos when component mounts or when username changes
+    const username = localStorage.getItem('username');
+    if (username) {
+      fetchVideos();
+    } else {
       setLoading(false);
+      setError('You must be logged in to view videos');
+    }
+  }, [fetchVideos]); // Only run on mount - username changes will trigger via refresh() call
+
+  useEffect(() => {
+    if (onVideosLoaded) {
+      onVideosLoaded(videos);
+    }
+  }, [videos, onVideosLoaded]);
+
+  useEffect(() => {
+    if (libraryTags && onTagsLoaded) {
+      onTagsLoaded(libraryTags);
+    }
+  }, [libraryTags, onTagsLoaded]);
+
+  const fetchCrates = useCallback(async () => {
+    const username = localStorage.getItem('username');
+    if (!username) return;
+    try {
+      const response = await axios.get(`${API_URL}/crates`, { params: { username } });
+      setCrates((response.data || []).map(normalizeCrate));
+    } catch (err) {
+      console.error('VideoSidebar - Error fetching crates:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchCrates();
+  }, [fetchCrates]);
+
+  const fetchTrash = useCallback(async () => {
+    const username = localStorage.getItem('username');
+    if (!username) return;
+    try {
+      const response = await axios.get(`${API_URL}/trash`, { params: { username } });
+      setTrash([...(response.data || [])].sort((a, b) => (Date.parse(b.deletedAt) || 0) - (Date.parse(a.deletedAt) || 0)));
+    } catch (err) {
+      console.error('VideoSidebar - Error fetching trash:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchTrash();
+  }, [fetchTrash]);
+
+  useEffect(() => () => clearTimeout(undoTimerRef.current), []);
+
+  // Save a new or changed crate, showing the change straight away
+  const saveCrate = async (crate) => {
+    const username = localStorage.getItem('username');
+    if (!username) return;
+    setCrates(prev => (prev.some(existing => existing.id === crate.id)
+      ? prev.map(existing => (existing.id === crate.id ? crate : existing))
+      : [...prev, crate]));
+    try {
+      await axios.post(`${API_URL}/crates`, { ...crate, username }, {
+        timeout: 10000,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    } catch (err) {
+      console.error('VideoSidebar - Error saving crate:', err);
+      alert(err.response?.data?.error || 'Failed to save crate. Please try again.');
+      fetchCrates();
+    }
+  };
+
+  const handleCreateCrate = (parentId, name) => {
+    saveCrate({ id: createCrateId(), name, parentId, videoIds: [] });
+  };
+
+  const handleRenameCrate = (crateId, name) => {
+    const crate = crates.find(candidate => candidate.id === crateId);
+    if (crate) {
+      saveCrate({ ...crate, name });
+    }
+  };
+
+  // Deleting a crate keeps its videos saved and moves its sub-crates up a level
+  const handleDeleteCrate = async (crate) => {
+    const username = localStorage.getItem('username');
+    if (!username || !window.confirm(`Delete the crate "${crate.name}"? Its videos stay saved.`)) return;
+    try {
+      await axios.delete(`${API_URL}/crates/${crate.id}`, { params: { username } });
+      setCrates(prev => prev.filter(existing => existing.id !== crate.id));
+      if (view.crate === crate.id) {
+        updateView({ crate: null });
+      }
+      childCrates(crates, crate.id).forEach(child => saveCrate({ ...child, parentId: crate.parentId }));
+    } catch (err) {
+      console.error('VideoSidebar - Error deleting crate:', err);
+      alert(err.response?.data?.error || 'Failed to delete crate. Please try again.');
+    }
+  };
+
+  const setVideoInCrate = (crateId, videoId, isIn) => {
+    const crate = crates.find(candidate => candidate.id === crateId);
+    if (!crate || crate.videoIds.includes(videoId) === isIn) return;
+    saveCrate({
+      ...crate,
+      videoIds: isIn ? [...crate.videoIds, videoId] : crate.videoIds.filter(id => id !== videoId)
+    });
+  };
+
+  // Close the context menu on any click elsewhere or Escape
+  useEffect(() => {
+    if (!contextMenu) return;
+    const close = () => setContextMenu(null);
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') close();
+    };
+    window.addEventListener('click', close);
+    window.addEventListener('keydown', handleKeyDown);
+    return () => {
+      window.removeEventListener('click', close);
+      window.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [contextMenu]);
+
+  // Keep the search, sort and filter for the next visit
+  useEffect(() => {
+    saveLibraryView(localStorage.getItem('username'), view);
+  }, [view]);
+
+  // The backend applies the view, so a changed view is fetched again from its first page
+  useEffect(() => {
+    if (!isPaged || fetchedParamsKeyRef.current === null || viewParamsKey === fetchedParamsKeyRef.current) return;
+    const timer = setTimeout(fetchVideos, VIEW_FETCH_DELAY);
+    return () => clearTimeout(timer);
+  }, [isPaged, viewParamsKey, fetchVideos]);
+
+  // Whatever loads a video (the list, a setlist, a hotcue) counts as opening it
+  useEffect(() => {
+    if (selectedVideoId) {
+      setLastOpened(markVideoOpened(localStorage.getItem('username'), selectedVideoId));
     }
+  }, [selectedVideoId]);
+
+  const updateView = (changes) => {
+    setView(prev => ({ ...prev, ...changes }));
   };
 
-  // Expose refresh method to parent
+  // Videos deleted for good are taken out of their crates, so crates can be counted without loading
+  // every page. Videos in the trash stay in them (restoring puts them back) but aren't counted.
+  const trashIds = trash.map(video => video.videoId);
+  const crateCounts = {};
+  crates.forEach(crate => {
+    crateCounts[crate.id] = [...crateVideoIds(crates, crate.id)].filter(videoId => !trashIds.includes(videoId)).length;
+  });
+  const selectedCrate = crates.find(crate => crate.id === view.crate) || null;
+  const tags = libraryTags || collectTags(videos);
+  // The backend has already applied the view, unless it sent the whole library
+  const visibleVideos = isPaged ? videos : applyLibraryView(videos, view, lastOpened, selectedCrate ? crateVideoIds(crates, selectedCrate.id) : null);
+
+  // Crates in tree order, for the context menu
+  const flattenCrates = (parentId, depth) => childCrates(crates, parentId)
+    .flatMap(crate => [{ crate, depth }, ...flattenCrates(crate.id, depth + 1)]);
+  const searchText = view.query.trim().toLowerCase();
+
+  const isViewFiltered = !!searchText || view.filter !== 'all' || !!view.crate || !!view.tag;
+  // Without a total from the backend, the library's size is only known once all of it is loaded
+  const totalCount = libraryTotal !== null ? libraryTotal : (isViewFiltered || nextCursor ? null : videos.length);
+
+  const measureList = useCallback(() => {
+    if (listRef.current) {
+      setListScroll({ top: listRef.current.scrollTop, height: listRef.current.clientHeight });
+    }
+  }, []);
+
+  useEffect(() => {
+    measureList();
+    window.addEventListener('resize', measureList);
+    return () => {
+      window.removeEventListener('resize', measureList);
+    };
+  }, [measureList, isCollapsed, showTrash]);
+
+  const handleListScroll = () => {
+    measureList();
+    const list = listRef.current;
+    if (list && list.scrollTop + list.clientHeight >= list.scrollHeight - ROW_HEIGHT * OVERSCAN_ROWS) {
+      loadMoreVideos();
+    }
+  };
+
+  // Rows in (or near) the visible part of the list
+  const rowsTop = rowsRef.current ? rowsRef.current.offsetTop : 0;
+  const firstRow = Math.max(0, Math.floor((listScroll.top - rowsTop) / ROW_HEIGHT) - OVERSCAN_ROWS);
+  const lastRow = Math.min(visibleVideos.length, Math.ceil((listScroll.top - rowsTop + listScroll.height) / ROW_HEIGHT) + OVERSCAN_ROWS);
+
+  // Expose refresh methods to parent
   useImperativeHandle(ref, () => ({
-    refresh: fetchVideos
+    refresh: fetchVideos,
+    refreshVideo
   }));
 
+  // Selection, for acting on several videos at once. Videos that go from the list drop out of it.
+  const checkedVideos = videos.filter(video => checkedIds.includes(video.videoId));
+  const hasChecked = checkedVideos.length > 0;
+
+  // Shift picks everything between the last video checked and this one, in list order
+  const toggleChecked = (video, isRange) => {
+    const ids = visibleVideos.map(visible => visible.videoId);
+    const anchorIndex = ids.indexOf(checkAnchorRef.current);
+    const index = ids.indexOf(video.videoId);
+    if (isRange && anchorIndex !== -1 && index !== -1) {
+      const range = ids.slice(Math.min(anchorIndex, index), Math.max(anchorIndex, index) + 1);
+      setCheckedIds(prev => [...prev, ...range.filter(id => !prev.includes(id))]);
+    } else {
+      setCheckedIds(prev => (prev.includes(video.videoId)
+        ? prev.filter(id => id !== video.videoId)
+        : [...prev, video.videoId]));
+    }
+    checkAnchorRef.current = video.videoId;
+  };
+
+  // The setlists are only needed once something is selected
+  useEffect(() => {
+    const username = localStorage.getItem('username');
+    if (!hasChecked || !username) return;
+    axios.get(`${API_URL}/setlists`, { params: { username } })
+      .then(response => setSetlists((response.data || []).map(normalizeSetlist)))
+      .catch(err => console.error('VideoSidebar - Error fetching setlists:', err));
+  }, [hasChecked]);
+
+  // Escape clears the selection (unless it's closing the context menu or a confirmation)
+  useEffect(() => {
+    if (!hasChecked || contextMenu || bulkAction) return;
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape' && !['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) {
+        setCheckedIds([]);
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [hasChecked, contextMenu, bulkAction]);
+
   const handleVideoClick = (video, e) => {
-    // Don't trigger if clicking on delete button
-    if (e && e.target.closest('.delete-button')) {
+    // Don't trigger if clicking on delete button or checkbox
+    if (e && e.target.closest('.delete-button, .video-select-checkbox')) {
+      return;
+    }
+    // Shift / Ctrl / Cmd-click selects instead of loading
+    if (e && (e.shiftKey || e.ctrlKey || e.metaKey)) {
+      toggleChecked(video, e.shiftKey);
       return;
     }
     console.log('Video selected:', video);
@@ -69,48 +467,198 @@ export const VideoSidebar = forwardRef(({ onVideoSelect, selectedVideoId }, ref)
 
   const handleDeleteClick = (video, e) => {
     e.stopPropagation(); // Prevent video selection
-    setDeleteConfirm({ videoId: video.videoId, title: video.title || 'Untitled Video' });
+    setBulkAction({ type: 'delete', videos: [video], target: null });
   };
 
-  const handleDeleteConfirm = async () => {
-    if (!deleteConfirm) return;
+  const exportVideos = (targets) => {
+    const data = JSON.stringify({ exportedAt: new Date().toISOString(), videos: targets }, null, 2);
+    const url = URL.createObjectURL(new Blob([data], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `viper-videos-${new Date().toISOString().slice(0, 10)}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  // Runs the confirmed action. Videos are done one request at a time so the progress bar moves;
+  // the ones that fail stay selected so the action can be tried again.
+  const handleBulkConfirm = async () => {
+    if (!bulkAction) return;
 
     // Get username from localStorage
     const username = localStorage.getItem('username');
     if (!username) {
-      setError('You must be logged in to delete videos');
-      setDeleteConfirm(null);
+      setError('You must be logged in to change videos');
+      setBulkAction(null);
       return;
     }
 
-    setIsDeleting(true);
-    try {
-      console.log('Deleting video:', deleteConfirm.videoId);
-      await axios.delete(`${API_URL}/videos/${deleteConfirm.videoId}`, {
-        params: { username }
+    const { type, videos: targets, target } = bulkAction;
+    const failed = [];
+    let failure = null;
+    setBulkProgress({ done: 0, total: targets.length });
+
+    if (type === 'delete' || type === 'purge' || type === 'clearHotcues') {
+      const done = [];
+      for (let i = 0; i < targets.length; i++) {
+        const video = targets[i];
+        try {
+          if (type === 'delete') {
+            console.log('Deleting video:', video.videoId);
+            await axios.delete(`${API_URL}/videos/${video.videoId}`, { params: { username } });
+            done.push(video);
+          } else if (type === 'purge') {
+            await axios.delete(`${API_URL}/trash/${video.videoId}`, { params: { username } });
+            done.push(video);
+          } else {
+            // Clear the saved copy, not the one in the list, which may be older
+            const response = await axios.get(`${API_URL}/videos/${video.videoId}`, { params: { username } });
+            const cleared = clearVideoHotcues(response.data);
+            await axios.post(`${API_URL}/videos`, { ...cleared, username }, {
+              timeout: 10000,
+              headers: { 'Content-Type': 'application/json' }
+            });
+            done.push(cleared);
+          }
+        } catch (err) {
+          console.error(`VideoSidebar - Error running ${type} on video:`, err);
+          failed.push(video);
+          failure = failure || err;
+        }
+        setBulkProgress({ done: i + 1, total: targets.length });
+      }
+
+      const doneIds = done.map(video => video.videoId);
+      if (type === 'delete') {
+        // Move them from the list to the trash
+        const deletedAt = new Date().toISOString();
+        setVideos(prev => prev.filter(video => !doneIds.includes(video.videoId)));
+        setLibraryTotal(prev => (prev === null ? null : Math.max(0, prev - done.length)));
+        setLibraryTags(prev => prev && done.reduce((tags, video) => retallyTags(tags, video.tags, []), prev));
+        setTrash(prev => [...done.map(video => ({ ...video, deletedAt })), ...prev.filter(video => !doneIds.includes(video.videoId))]);
+        if (done.length > 0) {
+          showUndoToast(done);
+        }
+        // If a deleted video was selected, clear selection
+        if (doneIds.includes(selectedVideoId) && onVideoSelect) {
+          onVideoSelect(null);
+        }
+      } else if (type === 'purge') {
+        // Gone for good: take them out of the trash and their crates
+        setTrash(prev => prev.filter(video => !doneIds.includes(video.videoId)));
+        crates
+          .filter(crate => crate.videoIds.some(id => doneIds.includes(id)))
+          .forEach(crate => saveCrate({ ...crate, videoIds: crate.videoIds.filter(id => !doneIds.includes(id)) }));
+      } else {
+        setVideos(prev => prev.map(video => done.find(cleared => cleared.videoId === video.videoId) || video));
+        if (onVideosUpdated && done.length > 0) {
+          onVideosUpdated(done);
+        }
+        if (done.length > 0) {
+          await clearSetlistReferences(username, doneIds);
+        }
+      }
+    } else if (type === 'export') {
+      exportVideos(targets);
+    } else if (type === 'crate') {
+      const crate = crates.find(candidate => candidate.id === target.id) || target;
+      await saveCrate({
+        ...crate,
+        videoIds: [...crate.videoIds, ...targets.map(video => video.videoId).filter(id => !crate.videoIds.includes(id))]
       });
-      console.log('Video deleted successfully');
-      
-      // Refresh the video list
-      await fetchVideos();
-      
-      // Clear the confirmation
-      setDeleteConfirm(null);
-      
-      // If the deleted video was selected, clear selection
-      if (selectedVideoId === deleteConfirm.videoId && onVideoSelect) {
-        onVideoSelect(null);
+    } else if (type === 'setlist') {
+      try {
+        await axios.post(`${API_URL}/setlists`, {
+          ...target,
+          entries: [...target.entries, ...targets.map(createSetlistEntry)],
+          username
+        }, {
+          timeout: 10000,
+          headers: { 'Content-Type': 'application/json' }
+        });
+        setSetlists(prev => prev.map(setlist => (setlist.id === target.id
+          ? { ...setlist, entries: [...setlist.entries, ...targets.map(createSetlistEntry)] }
+          : setlist)));
+        if (onSetlistsChanged) {
+          onSetlistsChanged();
+        }
+      } catch (err) {
+        console.error('VideoSidebar - Error adding videos to setlist:', err);
+        failed.push(...targets);
+        failure = err;
+      }
+    }
+
+    setBulkProgress(null);
+    setBulkAction(null);
+    setCheckedIds(prev => prev.filter(id => !targets.some(video => video.videoId === id) || failed.some(video => video.videoId === id)));
+    if (failed.length > 0) {
+      const titles = failed.map(video => `"${video.title || 'Untitled Video'}"`).join(', ');
+      alert(`${failure.response?.data?.error || 'Something went wrong. Please try again.'}\n\nNot done: ${titles}`);
+    }
+  };
+
+  // Setlist entries of videos whose hotcues were cleared can't start or end at them any more
+  const clearSetlistReferences = async (username, videoIds) => {
+    try {
+      const response = await axios.get(`${API_URL}/setlists`, { params: { username } });
+      const loaded = (response.data || []).map(normalizeSetlist);
+      const changed = loaded
+        .map(setlist => clearSetlistHotcues(setlist, videoIds))
+        .filter((setlist, index) => setlist !== loaded[index]);
+      for (const setlist of changed) {
+        await axios.post(`${API_URL}/setlists`, { ...setlist, username }, {
+          timeout: 10000,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+      setSetlists(loaded.map(setlist => changed.find(updated => updated.id === setlist.id) || setlist));
+      if (changed.length > 0 && onSetlistsChanged) {
+        onSetlistsChanged();
       }
     } catch (err) {
-      console.error('Error deleting video:', err);
-      alert(err.response?.data?.error || 'Failed to delete video. Please try again.');
-    } finally {
-      setIsDeleting(false);
+      console.error('VideoSidebar - Error clearing hotcues from setlists:', err);
+      alert(err.response?.data?.error || 'The hotcues were cleared, but some setlists still start or end at them.');
+    }
+  };
+
+  const showUndoToast = (deleted) => {
+    clearTimeout(undoTimerRef.current);
+    setUndoToast({ videos: deleted });
+    undoTimerRef.current = setTimeout(() => setUndoToast(null), UNDO_TOAST_MS);
+  };
+
+  // Bring videos back from the trash into the list (and their crates, which still have them)
+  const restoreVideos = async (targets) => {
+    const username = localStorage.getItem('username');
+    if (!username) return;
+    for (const video of targets) {
+      try {
+        await axios.post(`${API_URL}/trash/${video.videoId}/restore`, { username }, {
+          timeout: 10000,
+          headers: { 'Content-Type': 'application/json' }
+        });
+        setTrash(prev => prev.filter(trashed => trashed.videoId !== video.videoId));
+        refreshVideo(video.videoId);
+      } catch (err) {
+        console.error('VideoSidebar - Error restoring video:', err);
+        alert(err.response?.data?.error || `Failed to restore "${video.title || 'Untitled Video'}". Please try again.`);
+        return;
+      }
     }
   };
 
-  const handleDeleteCancel = () => {
-    setDeleteConfirm(null);
+  const handleUndoDelete = () => {
+    clearTimeout(undoTimerRef.current);
+    const deleted = undoToast.videos;
+    setUndoToast(null);
+    restoreVideos(deleted);
+  };
+
+  const handleBulkCancel = () => {
+    if (!bulkProgress) {
+      setBulkAction(null);
+    }
   };
 
   return (
@@ -162,14 +710,242 @@ export const VideoSidebar = forwardRef(({ onVideoSelect, selectedVideoId }, ref)
         </button>
       </div>
 
-      {/* Video list */}
+      {/* Search, sort and filter */}
       {!isCollapsed && (
+        <div
+          className="video-search"
+          style={{
+            padding: '10px',
+            borderBottom: '1px solid #ddd',
+            display: 'flex',
+            flexDirection: 'column',
+            gap: '6px',
+            backgroundColor: '#fff'
+          }}
+        >
+          <div style={{ display: 'flex', gap: '4px' }}>
+            <input
+              className="video-search-input"
+              type="text"
+              value={view.query}
+              onChange={(e) => updateView({ query: e.target.value })}
+              onKeyDown={(e) => {
+                if (e.key === 'Escape') {
+                  updateView({ query: '' });
+                }
+              }}
+              placeholder="Search titles, tags and hotcue labels..."
+              style={{ flex: 1, minWidth: 0, padding: '6px 8px', fontSize: '13px', border: '1px solid #ccc', borderRadius: '4px' }}
+            />
+            {view.query && (
+              <button
+                className="video-search-clear"
+                onClick={() => updateView({ query: '' })}
+                style={{ padding: '0 8px', fontSize: '12px', backgroundColor: 'transparent', color: '#666', border: 'none', cursor: 'pointer' }}
+                title="Clear search"
+              >
+                ✕
+              </button>
+            )}
+          </div>
+          <div style={{ display: 'flex', gap: '4px' }}>
+            <select
+              className="video-sort-select"
+              value={view.sort}
+              onChange={(e) => updateView({ sort: e.target.value })}
+              style={{ flex: 1, minWidth: 0, padding: '4px', fontSize: '12px' }}
+              title="Sort videos"
+            >
+              {SORT_OPTIONS.map(option => (
+                <option key={option.id} value={option.id}>{option.label}</option>
+              ))}
+            </select>
+            <select
+              className="video-filter-select"
+              value={view.filter}
+              onChange={(e) => updateView({ filter: e.target.value })}
+              style={{ flex: 1, minWidth: 0, padding: '4px', fontSize: '12px' }}
+              title="Show only some videos"
+            >
+              {FILTER_OPTIONS.map(option => (
+                <option key={option.id} value={option.id}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+          {!loading && videos.length > 0 && visibleVideos.length !== videos.length && (
+            <div className="video-search-count" style={{ fontSize: '11px', color: '#666' }}>
+              {visibleVideos.length} of {videos.length} videos
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Crates and tags */}
+      {!isCollapsed && (
+        <div
+          className="library-tree"
+          style={{ padding: '8px 10px', borderBottom: '1px solid #ddd', maxHeight: '35%', overflowY: 'auto', backgroundColor: '#fff' }}
+        >
+          <CrateTree
+            crates={crates}
+            totalCount={totalCount}
+            counts={crateCounts}
+            selectedCrateId={showTrash ? undefined : (selectedCrate ? selectedCrate.id : null)}
+            onSelect={(crateId) => {
+              setShowTrash(false);
+              updateView({ crate: crateId });
+            }}
+            onCreate={handleCreateCrate}
+            onRename={handleRenameCrate}
+            onDelete={handleDeleteCrate}
+            onDropVideo={(crateId, videoId) => setVideoInCrate(crateId, videoId, true)}
+          />
+          <div
+            className={`crate-item trash-item ${showTrash ? 'crate-item-selected' : ''}`}
+            onClick={() => {
+              setShowTrash(!showTrash);
+              if (!showTrash) fetchTrash();
+            }}
+            style={{
+              display: 'flex',
+              marginTop: '4px',
+              padding: '3px 4px 3px 18px',
+              fontSize: '13px',
+              borderRadius: '3px',
+              cursor: 'pointer',
+              backgroundColor: showTrash ? '#e7f3ff' : 'transparent',
+              fontWeight: showTrash ? 'bold' : 'normal'
+            }}
+            title={showTrash ? 'Back to the videos' : `Deleted videos, kept for ${TRASH_RETENTION_DAYS} days`}
+          >
+            <span style={{ flex: 1 }}>🗑 Trash</span>
+            <span className="crate-count" style={{ fontSize: '11px', color: '#999', fontWeight: 'normal' }}>{trash.length}</span>
+          </div>
+          {tags.length > 0 && (
+            <div className="tag-list" style={{ marginTop: '8px' }}>
+              <strong style={{ fontSize: '12px', color: '#666' }}>TAGS</strong>
+              <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px', marginTop: '4px' }}>
+                {tags.map(({ tag, count }) => {
+                  const isSelected = !!view.tag && view.tag.toLowerCase() === tag.toLowerCase();
+                  return (
+                    <button
+                      key={tag}
+                      className={`tag-chip ${isSelected ? 'tag-chip-selected' : ''}`}
+                      onClick={() => {
+                        setShowTrash(false);
+                        updateView({ tag: isSelected ? null : tag });
+                      }}
+                      style={{
+                        padding: '1px 8px',
+                        fontSize: '11px',
+                        backgroundColor: isSelected ? '#17a2b8' : '#e9ecef',
+                        color: isSelected ? 'white' : '#333',
+                        border: 'none',
+                        borderRadius: '10px',
+                        cursor: 'pointer'
+                      }}
+                      title={isSelected ? 'Show every tag' : `Show videos tagged ${tag}`}
+                    >
+                      #{tag} <span style={{ opacity: 0.7 }}>{count}</span>
+                    </button>
+                  );
+                })}
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Actions on the selected videos */}
+      {!isCollapsed && !showTrash && hasChecked && (
+        <BulkActionBar
+          count={checkedVideos.length}
+          visibleCount={visibleVideos.length}
+          crates={flattenCrates(null, 0)}
+          setlists={setlists}
+          onSelectAll={() => setCheckedIds(prev => [...prev, ...visibleVideos.map(video => video.videoId).filter(id => !prev.includes(id))])}
+          onClear={() => setCheckedIds([])}
+          onAction={(type, target) => setBulkAction({ type, videos: checkedVideos, target: target || null })}
+        />
+      )}
+
+      {/* Trash: restore videos or delete them for good */}
+      {!isCollapsed && showTrash && (
+        <div className="trash-list" style={{ flex: 1, overflowY: 'auto', padding: '10px' }}>
+          <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '8px', marginBottom: '10px' }}>
+            <span style={{ fontSize: '11px', color: '#666' }}>
+              Videos here are deleted for good after {TRASH_RETENTION_DAYS} days.
+            </span>
+            <button
+              className="empty-trash-button"
+              onClick={() => setBulkAction({ type: 'purge', videos: trash, target: null })}
+              disabled={trash.length === 0}
+              style={{
+                padding: '4px 10px',
+                fontSize: '12px',
+                backgroundColor: trash.length > 0 ? '#dc3545' : '#ccc',
+                color: 'white',
+                border: 'none',
+                borderRadius: '4px',
+                cursor: trash.length > 0 ? 'pointer' : 'not-allowed',
+                flexShrink: 0
+              }}
+            >
+              Empty trash
+            </button>
+          </div>
+          {trash.length === 0 && (
+            <div style={{ padding: '20px', textAlign: 'center', color: '#666' }}>
+              The trash is empty
+            </div>
+          )}
+          {trash.map(video => {
+            const daysLeft = trashDaysLeft(video, Date.now());
+            return (
+              <div
+                key={video.videoId}
+                className="video-item trash-video-item"
+                style={{ marginBottom: '8px', padding: '10px 12px', borderRadius: '4px' }}
+              >
+                <div style={{ fontWeight: 'bold', fontSize: '14px', marginBottom: '4px', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                  {video.title || 'Untitled Video'}
+                </div>
+                <div style={{ fontSize: '11px', color: '#666' }}>
+                  {countHotcues(video.hotcues)} hotcue(s) · {daysLeft > 0 ? `${daysLeft} day(s) left` : 'Deleted for good soon'}
+                </div>
+                <div style={{ display: 'flex', gap: '6px', marginTop: '6px' }}>
+                  <button
+                    className="restore-button"
+                    onClick={() => restoreVideos([video])}
+                    style={{ padding: '3px 10px', fontSize: '12px', backgroundColor: '#28a745', color: 'white', border: 'none', borderRadius: '4px', cursor: 'pointer' }}
+                  >
+                    Restore
+                  </button>
+                  <button
+                    className="delete-forever-button"
+                    onClick={() => setBulkAction({ type: 'purge', videos: [video], target: null })}
+                    style={{ padding: '3px 10px', fontSize: '12px', backgroundColor: 'transparent', color: '#dc3545', border: '1px solid #dc3545', borderRadius: '4px', cursor: 'pointer' }}
+                  >
+                    Delete forever
+                  </button>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {/* Video list */}
+      {!isCollapsed && !showTrash && (
         <div 
           className="video-list"
+          ref={listRef}
+          onScroll={handleListScroll}
           style={{
             flex: 1,
             overflowY: 'auto',
-            padding: '10px'
+            padding: '10px',
+            position: 'relative'
           }}
         >
           {loading && (
@@ -190,80 +966,234 @@ export const VideoSidebar = forwardRef(({ onVideoSelect, selectedVideoId }, ref)
             </div>
           )}
 
-          {!loading && !error && videos.length === 0 && (
+          {!loading && !error && videos.length === 0 && !(isPaged && isViewFiltered) && (
             <div style={{ padding: '20px', textAlign: 'center', color: '#666' }}>
               No videos saved yet
             </div>
           )}
 
-          {!loading && !error && videos.map((video) => (
-            <div
-              key={video.videoId}
-              className={`video-item ${selectedVideoId === video.videoId ? 'video-item-selected' : ''}`}
-              onClick={(e) => handleVideoClick(video, e)}
-              style={{
-                padding: '12px',
-                marginBottom: '8px',
-                backgroundColor: selectedVideoId === video.videoId ? '#e7f3ff' : 'white',
-                border: `2px solid ${selectedVideoId === video.videoId ? '#007bff' : '#ddd'}`,
-                borderRadius: '4px',
-                cursor: 'pointer',
-                transition: 'all 0.2s',
-                position: 'relative'
-              }}
-              onMouseEnter={(e) => {
-                if (selectedVideoId !== video.videoId) {
-                  e.currentTarget.style.backgroundColor = '#f9f9f9';
-                }
-              }}
-              onMouseLeave={(e) => {
-                if (selectedVideoId !== video.videoId) {
-                  e.currentTarget.style.backgroundColor = 'white';
-                }
-              }}
-            >
-              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start' }}>
-                <div style={{ flex: 1 }}>
-                  <div style={{ fontWeight: 'bold', fontSize: '14px', marginBottom: '4px' }}>
-                    {video.title || 'Untitled Video'}
-                  </div>
-                  <div style={{ fontSize: '11px', color: '#666' }}>
-                    {Object.keys(video.hotcues || {}).length} hotcue(s)
+          {!loading && !error && isViewFiltered && visibleVideos.length === 0 && !nextCursor && (videos.length > 0 || isPaged) && (
+            <div className="video-search-empty" style={{ padding: '20px', textAlign: 'center', color: '#666' }}>
+              No videos match
+              <br />
+              <button
+                onClick={() => updateView({ query: '', filter: 'all', crate: null, tag: null })}
+                style={{ marginTop: '8px', padding: '4px 10px', fontSize: '12px', backgroundColor: '#6c757d', color: 'white', border: 'none', borderRadius: '4px', cursor: 'pointer' }}
+              >
+                Show all videos
+              </button>
+            </div>
+          )}
+
+          <div
+            className="video-list-rows"
+            ref={rowsRef}
+            style={{ position: 'relative', height: loading ? 0 : visibleVideos.length * ROW_HEIGHT }}
+          >
+            {!loading && visibleVideos.slice(firstRow, lastRow).map((video, index) => (
+              <div
+                key={video.videoId}
+                className={`video-item ${selectedVideoId === video.videoId ? 'video-item-selected' : ''} ${checkedIds.includes(video.videoId) ? 'video-item-checked' : ''}`}
+                onClick={(e) => handleVideoClick(video, e)}
+                onMouseDown={(e) => {
+                  if (e.shiftKey) e.preventDefault(); // Shift-click selects videos, not text
+                }}
+                draggable
+                onDragStart={(e) => {
+                  e.dataTransfer.setData(VIDEO_DRAG_TYPE, video.videoId);
+                  e.dataTransfer.effectAllowed = 'copy';
+                }}
+                onContextMenu={(e) => {
+                  e.preventDefault();
+                  setContextMenu({ x: e.clientX, y: e.clientY, video });
+                }}
+                style={{
+                  position: 'absolute',
+                  top: (firstRow + index) * ROW_HEIGHT,
+                  left: 0,
+                  right: 0,
+                  height: ROW_HEIGHT - 8,
+                  padding: '10px 12px',
+                  overflow: 'hidden',
+                  borderRadius: '4px',
+                  cursor: 'pointer'
+                }}
+              >
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start' }}>
+                  <input
+                    className="video-select-checkbox"
+                    type="checkbox"
+                    checked={checkedIds.includes(video.videoId)}
+                    readOnly
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      toggleChecked(video, e.shiftKey);
+                    }}
+                    style={{ margin: '3px 8px 0 0', flexShrink: 0, cursor: 'pointer' }}
+                    title="Select (Shift-click to select a range)"
+                  />
+                  <div style={{ flex: 1, minWidth: 0 }}>
+                    <div style={{ fontWeight: 'bold', fontSize: '14px', marginBottom: '4px', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                      {video.title || 'Untitled Video'}
+                    </div>
+                    <div style={{ fontSize: '11px', color: '#666' }}>
+                      {countHotcues(video.hotcues)} hotcue(s)
+                    </div>
+                    {searchText && !(video.title || '').toLowerCase().includes(searchText) && matchingHotcueLabels(video, searchText).length > 0 ? (
+                      <div className="video-search-match" style={{ fontSize: '11px', color: '#856404', marginTop: '2px', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                        Hotcue: {matchingHotcueLabels(video, searchText).join(', ')}
+                      </div>
+                    ) : normalizeTags(video.tags).length > 0 && (
+                      <div className="video-tags" style={{ display: 'flex', gap: '3px', marginTop: '4px', overflow: 'hidden', whiteSpace: 'nowrap' }}>
+                        {normalizeTags(video.tags).map(tag => (
+                          <span key={tag} style={{ fontSize: '10px', padding: '0 5px', backgroundColor: '#e9ecef', color: '#555', borderRadius: '8px' }}>
+                            #{tag}
+                          </span>
+                        ))}
+                      </div>
+                    )}
+                    {countHotcues(video.hotcues) > 0 && (
+                      <div className="hotcue-color-preview" style={{ display: 'flex', alignItems: 'center', gap: '3px', marginTop: '4px', overflow: 'hidden' }}>
+                        {listHotcues(video.hotcues).slice(0, HOTCUE_PREVIEW_LIMIT).map(hotcue => (
+                          <span
+                            key={`${hotcue.bank}-${hotcue.key}`}
+                            style={{ width: '8px', height: '8px', flexShrink: 0, borderRadius: '50%', backgroundColor: hotcue.color }}
+                            title={hotcue.name || hotcue.key.toUpperCase()}
+                          />
+                        ))}
+                        {countHotcues(video.hotcues) > HOTCUE_PREVIEW_LIMIT && (
+                          <span style={{ fontSize: '10px', color: '#999' }}>+{countHotcues(video.hotcues) - HOTCUE_PREVIEW_LIMIT}</span>
+                        )}
+                      </div>
+                    )}
                   </div>
+                  <button
+                    className="delete-button"
+                    onClick={(e) => handleDeleteClick(video, e)}
+                    style={{
+                      padding: '4px 8px',
+                      fontSize: '16px',
+                      color: '#dc3545',
+                      border: 'none',
+                      borderRadius: '4px',
+                      cursor: 'pointer',
+                      fontWeight: 'bold',
+                      marginLeft: '8px',
+                      flexShrink: 0
+                    }}
+                    title="Move to trash"
+                  >
+                    ✕
+                  </button>
                 </div>
+              </div>
+            ))}
+          </div>
+
+          {!loading && !error && nextCursor && (
+            <div className="video-list-more" style={{ padding: '10px', textAlign: 'center', fontSize: '12px', color: '#666' }}>
+              {isLoadingMore ? 'Loading more videos...' : (
                 <button
-                  className="delete-button"
-                  onClick={(e) => handleDeleteClick(video, e)}
-                  style={{
-                    padding: '4px 8px',
-                    fontSize: '16px',
-                    backgroundColor: 'transparent',
-                    color: '#dc3545',
-                    border: 'none',
-                    borderRadius: '4px',
-                    cursor: 'pointer',
-                    fontWeight: 'bold',
-                    marginLeft: '8px',
-                    flexShrink: 0
-                  }}
-                  onMouseEnter={(e) => {
-                    e.target.style.backgroundColor = '#ffe6e6';
-                  }}
-                  onMouseLeave={(e) => {
-                    e.target.style.backgroundColor = 'transparent';
-                  }}
-                  title="Delete video"
+                  onClick={loadMoreVideos}
+                  style={{ padding: '4px 10px', fontSize: '12px', backgroundColor: '#6c757d', color: 'white', border: 'none', borderRadius: '4px', cursor: 'pointer' }}
                 >
-                  ✕
+                  Load more
                 </button>
-              </div>
+              )}
             </div>
-          ))}
+          )}
+        </div>
+      )}
+
+      {/* Right-click menu for a video: add it to (or take it out of) crates */}
+      {contextMenu && (
+        <div
+          className="video-context-menu"
+          onClick={(e) => e.stopPropagation()}
+          style={{
+            position: 'fixed',
+            top: contextMenu.y,
+            left: contextMenu.x,
+            zIndex: 1000,
+            minWidth: '180px',
+            maxHeight: '300px',
+            overflowY: 'auto',
+            padding: '4px 0',
+            backgroundColor: 'white',
+            border: '1px solid #ddd',
+            borderRadius: '4px',
+            boxShadow: '0 2px 8px rgba(0, 0, 0, 0.2)',
+            fontSize: '13px'
+          }}
+        >
+          <div style={{ padding: '4px 12px', fontSize: '11px', color: '#999', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap', maxWidth: '240px' }}>
+            {contextMenu.video.title || 'Untitled Video'}
+          </div>
+          {crates.length === 0 && (
+            <div style={{ padding: '4px 12px', color: '#999', fontStyle: 'italic' }}>No crates yet</div>
+          )}
+          {flattenCrates(null, 0).map(({ crate, depth }) => {
+            const isIn = crate.videoIds.includes(contextMenu.video.videoId);
+            return (
+              <div
+                key={crate.id}
+                className="video-context-menu-crate"
+                onClick={() => setVideoInCrate(crate.id, contextMenu.video.videoId, !isIn)}
+                style={{ padding: `4px 12px 4px ${12 + depth * 12}px`, cursor: 'pointer', display: 'flex', gap: '6px' }}
+                title={isIn ? 'Take out of this crate' : 'Add to this crate'}
+              >
+                <span style={{ width: '12px', color: '#28a745' }}>{isIn ? '✓' : ''}</span>
+                📁 {crate.name || 'Untitled crate'}
+              </div>
+            );
+          })}
         </div>
       )}
 
-      {/* Delete Confirmation Modal */}
-      {deleteConfirm && (
+      {/* Undo for the videos just moved to the trash */}
+      {undoToast && (
+        <div
+          className="undo-toast"
+          style={{
+            position: 'fixed',
+            bottom: '20px',
+            left: '20px',
+            zIndex: 1000,
+            display: 'flex',
+            alignItems: 'center',
+            gap: '12px',
+            padding: '10px 14px',
+            backgroundColor: '#333',
+            color: 'white',
+            borderRadius: '4px',
+            boxShadow: '0 2px 8px rgba(0, 0, 0, 0.3)',
+            fontSize: '14px'
+          }}
+        >
+          <span>
+            {undoToast.videos.length === 1
+              ? `"${undoToast.videos[0].title || 'Untitled Video'}" moved to the trash`
+              : `${undoToast.videos.length} videos moved to the trash`}
+          </span>
+          <button
+            className="undo-button"
+            onClick={handleUndoDelete}
+            style={{ padding: '4px 10px', fontSize: '13px', backgroundColor: 'transparent', color: '#66b2ff', border: 'none', cursor: 'pointer', fontWeight: 'bold' }}
+          >
+            Undo
+          </button>
+          <button
+            onClick={() => setUndoToast(null)}
+            style={{ padding: '0 4px', fontSize: '12px', backgroundColor: 'transparent', color: '#aaa', border: 'none', cursor: 'pointer' }}
+            title="Dismiss"
+          >
+            ✕
+          </button>
+        </div>
+      )}
+
+      {/* Confirmation (then progress) for deleting or changing videos */}
+      {bulkAction && (
         <div 
           className="delete-modal-overlay"
           style={{
@@ -278,7 +1208,7 @@ export const VideoSidebar = forwardRef(({ onVideoSelect, selectedVideoId }, ref)
             alignItems: 'center',
             zIndex: 1000
           }}
-          onClick={handleDeleteCancel}
+          onClick={handleBulkCancel}
         >
           <div 
             className="delete-modal"
@@ -293,17 +1223,38 @@ export const VideoSidebar = forwardRef(({ onVideoSelect, selectedVideoId }, ref)
             }}
           >
             <h3 style={{ marginTop: 0, marginBottom: '15px', fontSize: '18px' }}>
-              Delete Video?
+              {BULK_ACTIONS[bulkAction.type].heading(bulkAction.videos.length, bulkAction.target)}
             </h3>
+            <ul
+              className="bulk-action-titles"
+              style={{ margin: '0 0 10px 0', paddingLeft: '20px', maxHeight: '150px', overflowY: 'auto', fontSize: '14px' }}
+            >
+              {bulkAction.videos.map(video => (
+                <li key={video.videoId}><strong>{video.title || 'Untitled Video'}</strong></li>
+              ))}
+            </ul>
             <p style={{ marginBottom: '20px', color: '#666' }}>
-              Are you sure you want to delete <strong>"{deleteConfirm.title}"</strong>?
-              <br/>
-              This action cannot be undone.
+              {BULK_ACTIONS[bulkAction.type].note}
             </p>
+            {bulkProgress && (
+              <div className="bulk-progress" style={{ marginBottom: '15px' }}>
+                <div style={{ height: '8px', backgroundColor: '#e9ecef', borderRadius: '4px', overflow: 'hidden' }}>
+                  <div style={{
+                    width: `${(bulkProgress.done / Math.max(bulkProgress.total, 1)) * 100}%`,
+                    height: '100%',
+                    backgroundColor: BULK_ACTIONS[bulkAction.type].color,
+                    transition: 'width 0.2s'
+                  }} />
+                </div>
+                <div style={{ marginTop: '4px', fontSize: '12px', color: '#666' }}>
+                  {bulkProgress.done} of {bulkProgress.total}
+                </div>
+              </div>
+            )}
             <div style={{ display: 'flex', gap: '10px', justifyContent: 'flex-end' }}>
               <button
-                onClick={handleDeleteCancel}
-                disabled={isDeleting}
+                onClick={handleBulkCancel}
+                disabled={!!bulkProgress}
                 style={{
                   padding: '8px 16px',
                   fontSize: '14px',
@@ -311,27 +1262,27 @@ export const VideoSidebar = forwardRef(({ onVideoSelect, selectedVideoId }, ref)
                   color: 'white',
                   border: 'none',
                   borderRadius: '4px',
-                  cursor: isDeleting ? 'not-allowed' : 'pointer',
-                  opacity: isDeleting ? 0.6 : 1
+                  cursor: bulkProgress ? 'not-allowed' : 'pointer',
+                  opacity: bulkProgress ? 0.6 : 1
                 }}
               >
                 Cancel
               </button>
               <button
-                onClick={handleDeleteConfirm}
-                disabled={isDeleting}
+                onClick={handleBulkConfirm}
+                disabled={!!bulkProgress}
                 style={{
                   padding: '8px 16px',
                   fontSize: '14px',
-                  backgroundColor: '#dc3545',
+                  backgroundColor: BULK_ACTIONS[bulkAction.type].color,
                   color: 'white',
                   border: 'none',
                   borderRadius: '4px',
-                  cursor: isDeleting ? 'not-allowed' : 'pointer',
-                  opacity: isDeleting ? 0.6 : 1
+                  cursor: bulkProgress ? 'not-allowed' : 'pointer',
+                  opacity: bulkProgress ? 0.6 : 1
                 }}
               >
-                {isDeleting ? 'Deleting...' : 'Delete'}
+                {bulkProgress ? BULK_ACTIONS[bulkAction.type].running : BULK_ACTIONS[bulkAction.type].button}
               </button>
             </div>
           </div>
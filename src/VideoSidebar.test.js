@@ -0,0 +1,75 @@
+import { render, fireEvent, screen, waitFor } from '@testing-library/react';
+import axios from 'axios';
+import { VideoSidebar } from './VideoSidebar';
+
+jest.mock('axios', () => ({ get: jest.fn(), post: jest.fn(), delete: jest.fn() }));
+
+const video = (videoId, title) => ({ videoId, title, hotcues: null, loops: null });
+
+// Answers GET /videos with respond(params), and every other GET with an empty list
+const mockBackend = (respond) => {
+  axios.get.mockImplementation((url, { params }) => Promise.resolve({
+    data: url.endsWith('/videos') ? respond(params) : []
+  }));
+};
+
+const videoRequests = () => axios.get.mock.calls
+  .filter(([url]) => url.endsWith('/videos'))
+  .map(([, { params }]) => params);
+
+beforeEach(() => {
+  localStorage.clear();
+  localStorage.setItem('username', 'dj');
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  axios.get.mockReset();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('VideoSidebar paging', () => {
+  it('asks the backend for the search and starts again from its first page', async () => {
+    mockBackend(params => (params.query
+      ? { videos: [video('v-old', 'Old favourite')], nextCursor: null, total: 120 }
+      : { videos: [video('v-new', 'Newest')], nextCursor: 'page-2', total: 120 }));
+    render(<VideoSidebar onVideoSelect={() => {}} />);
+    await screen.findByText('Newest');
+    expect(screen.getByText('120')).toBeTruthy(); // "All videos" counts the whole library
+
+    fireEvent.change(screen.getByPlaceholderText(/Search titles/), { target: { value: 'fav' } });
+    await screen.findByText('Old favourite');
+
+    const search = videoRequests().pop();
+    expect(search).toEqual(expect.objectContaining({ username: 'dj', query: 'fav', cursor: undefined }));
+    expect(screen.queryByText('Newest')).toBeNull();
+    expect(screen.queryByText(/loaded so far/)).toBeNull();
+  });
+
+  it('keeps the view for the next pages', async () => {
+    localStorage.setItem('libraryView:dj', JSON.stringify({ query: '', sort: 'title', filter: 'hasHotcues', crate: null, tag: null }));
+    mockBackend(params => (params.cursor
+      ? { videos: [video('v-2', 'Second')], nextCursor: null }
+      : { videos: [video('v-1', 'First')], nextCursor: 'page-2' }));
+    render(<VideoSidebar onVideoSelect={() => {}} />);
+    await screen.findByText('First');
+
+    fireEvent.click(screen.getByRole('button', { name: 'Load more' }));
+    await screen.findByText('Second');
+    expect(videoRequests()).toEqual([
+      expect.objectContaining({ sort: 'title', filter: 'hasHotcues', cursor: undefined }),
+      expect.objectContaining({ sort: 'title', filter: 'hasHotcues', cursor: 'page-2' })
+    ]);
+  });
+
+  it('searches here when the backend sends the whole library', async () => {
+    mockBackend(() => [video('v-1', 'Sunrise'), video('v-2', 'Midnight')]);
+    render(<VideoSidebar onVideoSelect={() => {}} />);
+    await screen.findByText('Sunrise');
+
+    fireEvent.change(screen.getByPlaceholderText(/Search titles/), { target: { value: 'mid' } });
+    await waitFor(() => expect(screen.queryByText('Sunrise')).toBeNull());
+    expect(screen.getByText('Midnight')).toBeTruthy();
+    expect(videoRequests()).toHaveLength(1);
+  });
+});
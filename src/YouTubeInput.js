@@ -1,9 +1,11 @@
-import { useState } from 'react';
+import { useState, useRef } from 'react';
 import { extractYouTubeVideoId } from './YouTubePlayer';
+import { isSupportedVideoFile } from './localVideos';
 
-export function YouTubeInput({ onVideoSubmit }) {
+export function YouTubeInput({ onVideoSubmit, onFileSubmit }) {
   const [url, setUrl] = useState('');
   const [error, setError] = useState('');
+  const fileInputRef = useRef(null);
 
   const handleSubmit = (e) => {
     e.preventDefault();
@@ -23,6 +25,19 @@ export function YouTubeInput({ onVideoSubmit }) {
     onVideoSubmit(videoId, url.trim());
   };
 
+  // Local files skip the YouTube URL check - they're identified by their content instead
+  const handleFileChange = (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = ''; // So picking the same file again still fires a change
+    if (!file) return;
+    if (!isSupportedVideoFile(file)) {
+      setError('Unsupported file. Please choose an MP4 or WebM video.');
+      return;
+    }
+    setError('');
+    onFileSubmit(file);
+  };
+
   const handleChange = (e) => {
     setUrl(e.target.value);
     // Clear error when user starts typing
@@ -67,6 +82,37 @@ export function YouTubeInput({ onVideoSubmit }) {
         >
           Submit
         </button>
+        {onFileSubmit && (
+          <>
+            <input
+              ref={fileInputRef}
+              className="local-file-input"
+              type="file"
+              accept="video/mp4,video/webm,.mp4,.m4v,.webm"
+              onChange={handleFileChange}
+              style={{ display: 'none' }}
+            />
+            <button
+              className="local-file-button"
+              type="button"
+              onClick={() => fileInputRef.current && fileInputRef.current.click()}
+              style={{
+                padding: '10px 20px',
+                fontSize: '16px',
+                backgroundColor: '#6c757d',
+                color: 'white',
+                border: 'none',
+                borderRadius: '4px',
+                cursor: 'pointer',
+                fontWeight: 'bold',
+                whiteSpace: 'nowrap'
+              }}
+              title="Open a local MP4 or WebM file (or drop one onto the player)"
+            >
+              📁 Open file
+            </button>
+          </>
+        )}
       </div>
       {error && (
         <div className="youtube-input-error-message" style={{
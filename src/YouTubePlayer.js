@@ -1,5 +1,5 @@
 import { useEffect, useRef } from 'react';
-import YTPlayer from 'youtube-player';
+import { createYouTubeAdapter } from './playerAdapter';
 
 /**
  * Extracts YouTube video ID from various YouTube URL formats
@@ -39,8 +39,11 @@ export function isValidYouTubeUrl(url) {
   return extractYouTubeVideoId(url) !== null;
 }
 
-export function VideoPlayer({ videoId }) {
-  const playerRef = useRef(null);
+/**
+ * Plain video player with no hotcues
+ * @param {Object} props - { videoId, createPlayer }; createPlayer is a player adapter factory (see playerAdapter.js)
+ */
+export function VideoPlayer({ videoId, createPlayer = createYouTubeAdapter }) {
   const containerRef = useRef(null);
 
   useEffect(() => {
@@ -48,36 +51,16 @@ export function VideoPlayer({ videoId }) {
       return;
     }
 
-    // Destroy existing player if any
-    if (playerRef.current) {
-      playerRef.current.destroy();
-      playerRef.current = null;
-    }
-
-    // Create a unique ID for this player instance
-    const playerId = `yt-player-${videoId}`;
-    containerRef.current.id = playerId;
-
-    // Create the player - use requestAnimationFrame to ensure DOM is ready
-    requestAnimationFrame(() => {
-      if (containerRef.current && containerRef.current.id === playerId) {
-        const ytPlayer = YTPlayer(playerId, { videoId });
-        playerRef.current = ytPlayer;
-      }
+    const player = createPlayer(containerRef.current, {
+      videoId,
+      onError: (error) => console.error('Player error:', error)
     });
 
     // Cleanup function
     return () => {
-      if (playerRef.current) {
-        try {
-          playerRef.current.destroy();
-        } catch (e) {
-          // Ignore errors during cleanup
-        }
-        playerRef.current = null;
-      }
+      player.destroy();
     };
-  }, [videoId]);
+  }, [videoId, createPlayer]);
 
   if (!videoId) {
     return null;
@@ -85,7 +68,10 @@ export function VideoPlayer({ videoId }) {
 
   return (
     <div style={{ width: '100%', display: 'flex', justifyContent: 'center', marginTop: '20px' }}>
-      <div ref={containerRef} style={{ maxWidth: '100%', width: '800px', height: '600px' }} />
+      <div style={{ maxWidth: '100%', width: '800px', height: '600px' }}>
+        {/* The adapter replaces this element with the player, so React mustn't render into it */}
+        <div ref={containerRef} style={{ width: '100%', height: '100%' }} />
+      </div>
     </div>
   );
 }
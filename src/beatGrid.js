@@ -0,0 +1,102 @@
+// Beat grid helpers. A grid is described by a BPM and the time (in seconds) of a
+// downbeat in the video - every beat is at offset + n * beat length.
+
+export const BEATS_PER_BAR = 4;
+
+// Taps further apart than this start a new tap sequence
+const TAP_RESET_MS = 2000;
+// Only the most recent taps are averaged so the BPM can follow a correction
+const MAX_TAPS = 8;
+
+/**
+ * Length of one beat in seconds
+ * @param {number} bpm - Beats per minute
+ * @returns {number} - Seconds per beat
+ */
+export function beatLength(bpm) {
+  return 60 / bpm;
+}
+
+/**
+ * Adds a tap to a tap-tempo sequence, starting a new sequence if the last tap was too long ago
+ * @param {number[]} taps - Previous tap timestamps in milliseconds
+ * @param {number} now - Timestamp of this tap in milliseconds
+ * @returns {number[]} - Updated tap timestamps
+ */
+export function addTap(taps, now) {
+  const last = taps[taps.length - 1];
+  if (last === undefined || now - last > TAP_RESET_MS) {
+    return [now];
+  }
+  return [...taps, now].slice(-MAX_TAPS);
+}
+
+/**
+ * Calculates BPM from tap timestamps
+ * @param {number[]} taps - Tap timestamps in milliseconds (wall clock)
+ * @param {number} playbackRate - Rate the video was playing at while tapping
+ * @returns {number|null} - BPM in video time, or null if there aren't enough taps
+ */
+export function bpmFromTaps(taps, playbackRate = 1) {
+  if (taps.length < 2) {
+    return null;
+  }
+  const averageMs = (taps[taps.length - 1] - taps[0]) / (taps.length - 1);
+  if (averageMs <= 0) {
+    return null;
+  }
+  // Taps are in wall-clock time - at 2x speed a wall-clock second is two seconds of video
+  const bpm = 60000 / (averageMs * playbackRate);
+  return Math.round(bpm * 10) / 10;
+}
+
+/**
+ * Finds the next grid line at or after a time
+ * @param {number} time - Time in seconds
+ * @param {number} bpm - Beats per minute
+ * @param {number} offset - Time of a downbeat in seconds
+ * @param {number} beatsPerStep - 1 for the next beat, BEATS_PER_BAR for the next bar
+ * @returns {number} - Time of the next grid line in seconds
+ */
+export function nextGridTime(time, bpm, offset, beatsPerStep = 1) {
+  const step = beatLength(bpm) * beatsPerStep;
+  // Allow a few ms of slack so a press right on the line doesn't wait a whole step
+  const steps = Math.ceil((time - offset - 0.005) / step);
+  return offset + steps * step;
+}
+
+/**
+ * Snaps a time to the nearest beat
+ * @param {number} time - Time in seconds
+ * @param {number} bpm - Beats per minute
+ * @param {number} offset - Time of a downbeat in seconds
+ * @returns {number} - Time of the nearest beat in seconds (never negative)
+ */
+export function nearestBeatTime(time, bpm, offset) {
+  const beat = beatLength(bpm);
+  const snapped = offset + Math.round((time - offset) / beat) * beat;
+  return snapped < 0 ? snapped + beat : snapped;
+}
+
+/**
+ * Position of a time within its bar
+ * @param {number} time - Time in seconds
+ * @param {number} bpm - Beats per minute
+ * @param {number} offset - Time of a downbeat in seconds
+ * @returns {number} - Beat number within the bar, 0 to BEATS_PER_BAR - 1
+ */
+export function beatInBar(time, bpm, offset) {
+  const beat = Math.floor((time - offset) / beatLength(bpm));
+  return ((beat % BEATS_PER_BAR) + BEATS_PER_BAR) % BEATS_PER_BAR;
+}
+
+/**
+ * Moves a downbeat time to the first bar of the video so it's stored consistently
+ * @param {number} time - Time of any downbeat in seconds
+ * @param {number} bpm - Beats per minute
+ * @returns {number} - Time of the first downbeat in seconds
+ */
+export function firstDownbeat(time, bpm) {
+  const bar = beatLength(bpm) * BEATS_PER_BAR;
+  return ((time % bar) + bar) % bar;
+}
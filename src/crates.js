@@ -0,0 +1,63 @@
+// Crates are user-made folders for saved videos, stored on the backend (/crates) so they
+// follow the user between machines. Crates nest, and a video can sit in any number of them.
+//
+// Crate: { id, name, parentId: crate id | null, videoIds: [videoId] }
+
+// Drag data type for a saved video dragged from the sidebar list onto a crate
+export const VIDEO_DRAG_TYPE = 'application/x-viper-video';
+
+/**
+ * Creates a unique id for a new crate
+ * @returns {string} - Crate id
+ */
+export function createCrateId() {
+  return `crate-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Normalizes a crate as loaded from the backend
+ * @param {Object} crate - Saved crate
+ * @returns {Object} - { id, name, parentId, videoIds }
+ */
+export function normalizeCrate(crate) {
+  const videoIds = Array.isArray(crate && crate.videoIds) ? crate.videoIds : [];
+  return {
+    id: crate.id,
+    name: crate.name || '',
+    parentId: typeof crate.parentId === 'string' && crate.parentId ? crate.parentId : null,
+    videoIds: videoIds.filter((videoId, index) => typeof videoId === 'string' && videoIds.indexOf(videoId) === index)
+  };
+}
+
+/**
+ * Lists a crate's direct sub-crates (or the top-level crates), by name
+ * @param {Array<Object>} crates - All crates
+ * @param {string|null} parentId - Parent crate, null for the top level
+ * @returns {Array<Object>} - Child crates
+ */
+export function childCrates(crates, parentId) {
+  // A crate whose parent has gone is shown at the top level
+  const ids = crates.map(crate => crate.id);
+  return crates
+    .filter(crate => (crate.parentId && ids.includes(crate.parentId) ? crate.parentId : null) === parentId)
+    .sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }));
+}
+
+/**
+ * Collects the videos in a crate and all of its sub-crates
+ * @param {Array<Object>} crates - All crates
+ * @param {string} crateId - Crate
+ * @returns {Set<string>} - Video ids
+ */
+export function crateVideoIds(crates, crateId) {
+  const videoIds = new Set();
+  const visit = (id, seen) => {
+    if (seen.includes(id)) return; // Guards against a parent loop in the saved data
+    const crate = crates.find(candidate => candidate.id === id);
+    if (!crate) return;
+    crate.videoIds.forEach(videoId => videoIds.add(videoId));
+    crates.filter(candidate => candidate.parentId === id).forEach(child => visit(child.id, [...seen, id]));
+  };
+  visit(crateId, []);
+  return videoIds;
+}
@@ -0,0 +1,85 @@
+// Visual effects over the video. A video has a fixed number of effect slots, each
+// triggered by its own key (the 'fx:<slot>' keymap actions), a MIDI pad, or a hotcue.
+//
+// Saved shape: effects: [{ type, mode, color, hotcue: { bank, key } | null } | null] - one entry per slot
+
+export const EFFECT_SLOT_COUNT = 6;
+
+// How an effect reacts to its trigger:
+// momentary - on while the key / pad / hotcue is held
+// latched - each press switches it on or off
+export const EFFECT_MODES = ['momentary', 'latched'];
+
+export const EFFECT_TYPES = [
+  { id: 'strobe', label: 'Strobe', hasColor: true, defaultColor: '#ffffff' },
+  { id: 'tint', label: 'Colour tint', hasColor: true, defaultColor: '#e6194b' },
+  { id: 'invert', label: 'Invert' },
+  { id: 'blur', label: 'Blur' },
+  { id: 'mirror', label: 'Mirror' },
+  { id: 'blackout', label: 'Black-out' },
+  { id: 'fade', label: 'Fade to colour', hasColor: true, defaultColor: '#000000' }
+];
+
+export const effectActionId = (slot) => `fx:${slot}`;
+
+export const EFFECT_ACTIONS = Array.from({ length: EFFECT_SLOT_COUNT }, (_, slot) => ({
+  id: effectActionId(slot),
+  label: `Effect ${slot + 1}`
+}));
+
+/**
+ * Looks up an effect type
+ * @param {string} typeId - Effect type id
+ * @returns {Object|undefined} - Effect type from EFFECT_TYPES
+ */
+export function effectType(typeId) {
+  return EFFECT_TYPES.find(type => type.id === typeId);
+}
+
+/**
+ * Creates a new assignment for a slot, with the type's default colour
+ * @param {string} typeId - Effect type id
+ * @returns {Object} - Assignment { type, mode, color, hotcue }
+ */
+export function createEffect(typeId) {
+  const type = effectType(typeId);
+  return { type: typeId, mode: 'momentary', color: (type && type.defaultColor) || '#ffffff', hotcue: null };
+}
+
+/**
+ * Normalizes saved effects to one assignment (or null) per slot
+ * @param {Array} effects - Saved effects
+ * @returns {Array<Object|null>} - EFFECT_SLOT_COUNT entries
+ */
+export function normalizeEffects(effects) {
+  return Array.from({ length: EFFECT_SLOT_COUNT }, (_, slot) => {
+    const effect = Array.isArray(effects) ? effects[slot] : null;
+    if (!effect || !effectType(effect.type)) return null;
+    const hotcue = effect.hotcue && typeof effect.hotcue.key === 'string' && typeof effect.hotcue.bank === 'number'
+      ? { bank: effect.hotcue.bank, key: effect.hotcue.key }
+      : null;
+    return {
+      type: effect.type,
+      mode: EFFECT_MODES.includes(effect.mode) ? effect.mode : 'momentary',
+      color: typeof effect.color === 'string' && effect.color ? effect.color : createEffect(effect.type).color,
+      hotcue
+    };
+  });
+}
+
+/**
+ * Finds the slots whose effect is bound to a hotcue
+ * @param {Array<Object|null>} effects - Normalized effects
+ * @param {number} bank - Bank the hotcue is in
+ * @param {string} key - Hotcue slot key
+ * @returns {number[]} - Effect slots
+ */
+export function effectSlotsForHotcue(effects, bank, key) {
+  const slots = [];
+  effects.forEach((effect, slot) => {
+    if (effect && effect.hotcue && effect.hotcue.bank === bank && effect.hotcue.key === key) {
+      slots.push(slot);
+    }
+  });
+  return slots;
+}
@@ -0,0 +1,130 @@
+// Hotcues are kept in banks, each holding one hotcue per slot key.
+//
+// Saved shape: { banks: [{ name, hotcues: { [slot]: { time, name, mode, color, target } } }] }
+// Videos saved before banks existed have a flat { [slot]: hotcue } object, which loads as bank 1.
+// A hotcue with a target { videoId, time, title } jumps to that saved video instead of its own time.
+
+// Hotcue trigger modes:
+// cue - jump and keep playing
+// gate - play only while the key is held, then pause back at the hotcue
+// toggle - jump and play, a second press stops playback
+export const HOTCUE_MODES = ['cue', 'gate', 'toggle'];
+
+export const HOTCUE_BANK_COUNT = 4;
+
+// Palette hotcue colours are picked from
+export const HOTCUE_COLORS = ['#e6194b', '#f58231', '#ffe119', '#3cb44b', '#42d4f4', '#4363d8', '#911eb4', '#f032e6'];
+
+/**
+ * Picks a colour for a new hotcue: the first palette colour not used in its bank yet
+ * @param {Object} hotcues - The bank's existing hotcues
+ * @returns {string} - Colour
+ */
+export function autoHotcueColor(hotcues) {
+  const used = Object.values(hotcues || {}).map(hotcue => hotcue.color);
+  const unused = HOTCUE_COLORS.find(color => !used.includes(color));
+  return unused || HOTCUE_COLORS[used.length % HOTCUE_COLORS.length];
+}
+
+// Normalize a hotcue's target to { videoId, time, title }, or null for a hotcue in its own video
+const normalizeTarget = (target) => (
+  target && typeof target.videoId === 'string' && target.videoId
+    ? { videoId: target.videoId, time: typeof target.time === 'number' && target.time > 0 ? target.time : 0, title: target.title || '' }
+    : null
+);
+
+/**
+ * Normalizes one bank's hotcues to always be objects { time: number, name: string, mode: string, color: string, target: Object|null }
+ * @param {Object} hotcues - Slot -> hotcue (or bare time, the oldest format)
+ * @returns {Object} - Slot -> normalized hotcue
+ */
+function normalizeBankHotcues(hotcues) {
+  if (!hotcues || typeof hotcues !== 'object') return {};
+  const normalized = {};
+  // Hotcues saved before colours existed get one from the palette in slot order
+  Object.keys(hotcues).forEach((key, index) => {
+    const value = hotcues[key];
+    const fallbackColor = HOTCUE_COLORS[index % HOTCUE_COLORS.length];
+    if (typeof value === 'number') {
+      // Old format: just a number
+      normalized[key] = { time: value, name: '', mode: 'cue', color: fallbackColor, target: null };
+    } else if (value && typeof value === 'object' && typeof value.time === 'number') {
+      // New format: object with time
+      normalized[key] = {
+        time: value.time,
+        name: value.name || '',
+        mode: HOTCUE_MODES.includes(value.mode) ? value.mode : 'cue',
+        color: typeof value.color === 'string' && value.color ? value.color : fallbackColor,
+        target: normalizeTarget(value.target)
+      };
+    }
+  });
+  return normalized;
+}
+
+/**
+ * Normalizes saved hotcues to a full set of banks
+ * @param {Object} hotcues - Banked hotcues, or a flat slot -> hotcue object from before banks
+ * @returns {Array<{ name: string, hotcues: Object }>} - HOTCUE_BANK_COUNT banks
+ */
+export function normalizeHotcues(hotcues) {
+  const savedBanks = hotcues && Array.isArray(hotcues.banks)
+    ? hotcues.banks
+    : [{ name: '', hotcues }];
+  return Array.from({ length: HOTCUE_BANK_COUNT }, (_, index) => {
+    const bank = savedBanks[index] || {};
+    return {
+      name: typeof bank.name === 'string' ? bank.name : '',
+      hotcues: normalizeBankHotcues(bank.hotcues)
+    };
+  });
+}
+
+/**
+ * Display name of a bank
+ * @param {Object} bank - Bank from normalizeHotcues
+ * @param {number} index - Position of the bank
+ * @returns {string} - The bank's name, or 'Bank N' if it hasn't been named
+ */
+export function bankLabel(bank, index) {
+  return bank.name || `Bank ${index + 1}`;
+}
+
+/**
+ * Counts the hotcues in saved hotcues, across every bank
+ * @param {Object} hotcues - Saved hotcues in either format
+ * @returns {number} - Number of hotcues
+ */
+export function countHotcues(hotcues) {
+  return listHotcues(hotcues).length;
+}
+
+/**
+ * Lists the hotcues in saved hotcues, across every bank, in time order
+ * @param {Object} hotcues - Saved hotcues in either format
+ * @returns {Array<Object>} - Hotcues, each with the bank index and slot key it belongs to
+ */
+export function listHotcues(hotcues) {
+  const list = [];
+  normalizeHotcues(hotcues).forEach((bank, bankIndex) => {
+    Object.keys(bank.hotcues).forEach(key => {
+      list.push({ ...bank.hotcues[key], bank: bankIndex, key });
+    });
+  });
+  return list.sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Clears every hotcue of a saved video, and unbinds the effects bound to a hotcue
+ * @param {Object} video - Saved video
+ * @returns {Object} - Video with no hotcues
+ */
+export function clearVideoHotcues(video) {
+  return {
+    ...video,
+    hotcues: { banks: [] },
+    effects: Array.isArray(video.effects)
+      ? video.effects.map(effect => (effect ? { ...effect, hotcue: null } : effect))
+      : video.effects
+  };
+}
@@ -0,0 +1,197 @@
+// Key mapping for hotcue slots, banks, effect slots, transport and setlist actions.
+//
+// A keymap maps an action id to the key that triggers it. Keys are stored as the
+// lowercased KeyboardEvent.key ('space' for the space bar), so presets follow the
+// characters printed on the keyboard rather than physical positions.
+
+import { HOTCUE_BANK_COUNT } from './hotcues';
+import { EFFECT_ACTIONS } from './effects';
+
+// Hotcue slots - saved hotcues are keyed by these, whatever key triggers them
+export const HOTCUE_SLOTS = ['q', 'w', 'e', 'r', 't', 'y', 'u', 'i', 'o', 'p', 'a', 's', 'd', 'f', 'g', 'h', 'j', 'k', 'l', 'z', 'x', 'c', 'v', 'b', 'n', 'm'];
+
+export const cueActionId = (slot) => `cue:${slot}`;
+
+export const bankActionId = (index) => `bank:${index}`;
+
+export const TRANSPORT_ACTIONS = [
+  { id: 'playPause', label: 'Play / pause' },
+  { id: 'loopIn', label: 'Loop in' },
+  { id: 'loopOut', label: 'Loop out' },
+  { id: 'loopToggle', label: 'Exit / re-enter loop' },
+  { id: 'nudgeFaster', label: 'Nudge faster (hold)' },
+  { id: 'nudgeSlower', label: 'Nudge slower (hold)' },
+  { id: 'rateReset', label: 'Reset rate' },
+  { id: 'tapTempo', label: 'Tap tempo' }
+];
+
+// Handled by the app rather than a deck - they move the target deck through the playing setlist
+export const SETLIST_ACTIONS = [
+  { id: 'setPrevious', label: 'Previous in set' },
+  { id: 'setNext', label: 'Next in set' }
+];
+
+export const HOTCUE_ACTIONS = HOTCUE_SLOTS.map((slot, index) => ({
+  id: cueActionId(slot),
+  label: `Hotcue ${index + 1}`
+}));
+
+export const BANK_ACTIONS = Array.from({ length: HOTCUE_BANK_COUNT }, (_, index) => ({
+  id: bankActionId(index),
+  label: `Bank ${index + 1}`
+}));
+
+// Builds a preset from the hotcue keys (in slot order), bank keys (in bank order), effect keys
+// (in slot order) and transport / setlist keys of a layout
+const buildPreset = (cueKeys, bankKeys, effectKeys, transportKeys) => {
+  const keymap = { ...transportKeys };
+  HOTCUE_SLOTS.forEach((slot, index) => {
+    keymap[cueActionId(slot)] = cueKeys[index];
+  });
+  BANK_ACTIONS.forEach((action, index) => {
+    keymap[action.id] = bankKeys[index];
+  });
+  EFFECT_ACTIONS.forEach((action, index) => {
+    keymap[action.id] = effectKeys[index];
+  });
+  return keymap;
+};
+
+// Each preset puts the hotcues and transport controls on the same physical keys
+export const KEYMAP_PRESETS = {
+  qwerty: {
+    label: 'QWERTY',
+    keymap: buildPreset(
+      [...'qwertyuiopasdfghjklzxcvbnm'],
+      ['1', '2', '3', '4'],
+      ['5', '6', '7', '8', '9', ';'],
+      { playPause: 'space', loopIn: '[', loopOut: ']', loopToggle: '\\', nudgeFaster: '=', nudgeSlower: '-', rateReset: '0', tapTempo: '/', setPrevious: ',', setNext: '.' }
+    )
+  },
+  azerty: {
+    label: 'AZERTY',
+    keymap: buildPreset(
+      [...'azertyuiopqsdfghjklwxcvbn,'],
+      ['&', 'é', '"', "'"],
+      ['(', '-', 'è', '_', 'ç', 'm'],
+      { playPause: 'space', loopIn: '$', loopOut: '*', loopToggle: 'ù', nudgeFaster: '=', nudgeSlower: ')', rateReset: 'à', tapTempo: '!', setPrevious: ';', setNext: ':' }
+    )
+  },
+  dvorak: {
+    label: 'Dvorak',
+    keymap: buildPreset(
+      ["'", ',', '.', ...'pyfgcrlaoeuidhtn;qjkxbm'],
+      ['1', '2', '3', '4'],
+      ['5', '6', '7', '8', '9', 's'],
+      { playPause: 'space', loopIn: '/', loopOut: '=', loopToggle: '\\', nudgeFaster: ']', nudgeSlower: '[', rateReset: '0', tapTempo: 'z', setPrevious: 'w', setNext: 'v' }
+    )
+  }
+};
+
+export const DEFAULT_KEYMAP = KEYMAP_PRESETS.qwerty.keymap;
+
+// Unshifted key for each physical key whose character changes with Shift on a US layout.
+// Used when a key is pressed with Shift before we've seen it pressed without.
+const US_UNSHIFTED_KEYS_BY_CODE = {
+  Digit0: '0', Digit1: '1', Digit2: '2', Digit3: '3', Digit4: '4',
+  Digit5: '5', Digit6: '6', Digit7: '7', Digit8: '8', Digit9: '9',
+  Minus: '-', Equal: '=', BracketLeft: '[', BracketRight: ']', Backslash: '\\',
+  Semicolon: ';', Quote: "'", Comma: ',', Period: '.', Slash: '/', Backquote: '`'
+};
+
+// Unshifted key last seen for each physical key, which follows the user's actual layout
+const unshiftedKeysByCode = {};
+
+/**
+ * Key for a keyboard event, with any Shift taken back off so Shift can be used as a deck modifier
+ * @param {KeyboardEvent} e - Keyboard event
+ * @returns {string} - Lowercased key, 'space' for the space bar
+ */
+export function keyFromEvent(e) {
+  if (!e.shiftKey && e.key && e.key.length === 1) {
+    unshiftedKeysByCode[e.code] = e.key;
+  }
+  let key = e.key || '';
+  if (e.shiftKey) {
+    key = unshiftedKeysByCode[e.code] || US_UNSHIFTED_KEYS_BY_CODE[e.code] || key;
+  }
+  return key === ' ' ? 'space' : key.toLowerCase();
+}
+
+/**
+ * Formats a key for display on badges and in settings
+ * @param {string} key - Key from keyFromEvent
+ * @returns {string} - Display label
+ */
+export function formatKey(key) {
+  if (!key) return '—';
+  if (key === 'space') return 'Space';
+  if (key.length === 1) return key.toUpperCase();
+  return key.charAt(0).toUpperCase() + key.slice(1);
+}
+
+/**
+ * Builds a lookup from key to action id
+ * @param {Object} keymap - Action id -> key
+ * @returns {Object} - Key -> action id
+ */
+export function buildKeyIndex(keymap) {
+  const index = {};
+  Object.keys(keymap).forEach(actionId => {
+    const key = keymap[actionId];
+    if (key && !index[key]) {
+      index[key] = actionId;
+    }
+  });
+  return index;
+}
+
+/**
+ * Finds keys assigned to more than one action
+ * @param {Object} keymap - Action id -> key
+ * @returns {Object} - Key -> action ids, only for keys with conflicts
+ */
+export function findConflicts(keymap) {
+  const actionsByKey = {};
+  Object.keys(keymap).forEach(actionId => {
+    const key = keymap[actionId];
+    if (key) {
+      actionsByKey[key] = [...(actionsByKey[key] || []), actionId];
+    }
+  });
+  const conflicts = {};
+  Object.keys(actionsByKey).forEach(key => {
+    if (actionsByKey[key].length > 1) {
+      conflicts[key] = actionsByKey[key];
+    }
+  });
+  return conflicts;
+}
+
+/**
+ * Loads a user's keymap, falling back to the default for any action they haven't set
+ * @param {string} username - Logged in user
+ * @returns {Object} - Action id -> key
+ */
+export function loadKeymap(username) {
+  try {
+    const saved = JSON.parse(localStorage.getItem(`keymap:${username}`) || '{}');
+    return { ...DEFAULT_KEYMAP, ...saved };
+  } catch (error) {
+    console.warn('Could not load keymap:', error);
+    return { ...DEFAULT_KEYMAP };
+  }
+}
+
+/**
+ * Saves a user's keymap
+ * @param {string} username - Logged in user
+ * @param {Object} keymap - Action id -> key
+ */
+export function saveKeymap(username, keymap) {
+  try {
+    localStorage.setItem(`keymap:${username}`, JSON.stringify(keymap));
+  } catch (error) {
+    console.warn('Could not save keymap:', error);
+  }
+}
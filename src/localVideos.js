@@ -0,0 +1,63 @@
+// Local video files play in an HTML5 player instead of YouTube. They're saved like any
+// other video, under an ID made from a hash of the file's content, so opening the same
+// file again (under any name, from any folder) finds its saved hotcues.
+//
+// Saved videos say where they come from in source: 'youtube' videos have a youtubeUrl,
+// 'file' videos the name of the file they were last opened from (fileName) and no youtubeUrl.
+
+export const LOCAL_VIDEO_PREFIX = 'file-';
+
+export const YOUTUBE_SOURCE = 'youtube';
+export const LOCAL_FILE_SOURCE = 'file';
+
+const SUPPORTED_TYPES = ['video/mp4', 'video/webm'];
+const SUPPORTED_EXTENSIONS = ['.mp4', '.m4v', '.webm'];
+
+// Files up to twice this size are hashed whole; larger ones by their size, start and end
+const HASH_SAMPLE_SIZE = 16 * 1024 * 1024;
+
+/**
+ * Checks whether a video ID belongs to a local file rather than a YouTube video
+ * @param {string} videoId - Video ID
+ * @returns {boolean} - True for local file IDs
+ */
+export function isLocalVideoId(videoId) {
+  return typeof videoId === 'string' && videoId.startsWith(LOCAL_VIDEO_PREFIX);
+}
+
+/**
+ * Checks whether a file is a video the HTML5 player can open (MP4 or WebM)
+ * @param {File} file - Dropped or picked file
+ * @returns {boolean} - True if supported
+ */
+export function isSupportedVideoFile(file) {
+  if (!file) return false;
+  if (SUPPORTED_TYPES.includes(file.type)) return true;
+  const name = (file.name || '').toLowerCase();
+  return SUPPORTED_EXTENSIONS.some(extension => name.endsWith(extension));
+}
+
+/**
+ * Builds the video ID for a local file from a SHA-256 hash of its content
+ * @param {File} file - Video file
+ * @returns {Promise<string>} - Video ID, 'file-' followed by the hash in hex
+ */
+export async function hashVideoFile(file) {
+  const parts = file.size <= HASH_SAMPLE_SIZE * 2
+    ? [file]
+    : [file.slice(0, HASH_SAMPLE_SIZE), file.slice(file.size - HASH_SAMPLE_SIZE)];
+  const buffers = await Promise.all(parts.map(part => part.arrayBuffer()));
+  const sizeBytes = new TextEncoder().encode(`${file.size}:`);
+
+  const data = new Uint8Array(sizeBytes.length + buffers.reduce((total, buffer) => total + buffer.byteLength, 0));
+  data.set(sizeBytes, 0);
+  let offset = sizeBytes.length;
+  buffers.forEach(buffer => {
+    data.set(new Uint8Array(buffer), offset);
+    offset += buffer.byteLength;
+  });
+
+  const digest = await window.crypto.subtle.digest('SHA-256', data);
+  const hex = Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+  return `${LOCAL_VIDEO_PREFIX}${hex}`;
+}
@@ -0,0 +1,177 @@
+import { useEffect, useRef, useState } from 'react';
+
+// MIDI input for pad controllers. Messages are reduced to an id for the pad / knob
+// ('note:<channel>:<number>' or 'cc:<channel>:<number>') and whether it was pressed or released.
+
+const NOTE_OFF = 0x80;
+const NOTE_ON = 0x90;
+const CONTROL_CHANGE = 0xb0;
+
+// Shared so every deck reuses one permission request
+let midiAccessPromise = null;
+
+/**
+ * Requests Web MIDI access, resolving to null when the browser doesn't support it or the user declines
+ * @param {Navigator} nav - Navigator to request access from
+ * @returns {Promise<MIDIAccess|null>} - MIDI access or null
+ */
+export function requestMidiAccess(nav = typeof navigator !== 'undefined' ? navigator : null) {
+  if (!nav || typeof nav.requestMIDIAccess !== 'function') {
+    return Promise.resolve(null);
+  }
+  if (!midiAccessPromise) {
+    midiAccessPromise = nav.requestMIDIAccess().catch(error => {
+      console.warn('MIDI access denied:', error);
+      return null;
+    });
+  }
+  return midiAccessPromise;
+}
+
+/**
+ * Parses a raw MIDI message
+ * @param {Uint8Array|number[]} data - Message bytes [status, data1, data2]
+ * @returns {{ id: string, isPress: boolean }|null} - Parsed message, or null if it isn't a note or CC
+ */
+export function parseMidiMessage(data) {
+  if (!data || data.length < 3) {
+    return null;
+  }
+  const command = data[0] & 0xf0;
+  const channel = data[0] & 0x0f;
+  const number = data[1];
+  const value = data[2];
+  if (command === NOTE_ON || command === NOTE_OFF) {
+    // Note on with zero velocity is a note off
+    return { id: `note:${channel}:${number}`, isPress: command === NOTE_ON && value > 0 };
+  }
+  if (command === CONTROL_CHANGE) {
+    // Treat buttons that send CC as pressed at 64 and above
+    return { id: `cc:${channel}:${number}`, isPress: value >= 64 };
+  }
+  return null;
+}
+
+/**
+ * Describes a MIDI message id for display
+ * @param {string} id - Message id from parseMidiMessage
+ * @returns {string} - e.g. 'Note 36 ch1'
+ */
+export function describeMidiId(id) {
+  const [type, channel, number] = id.split(':');
+  return `${type === 'note' ? 'Note' : 'CC'} ${number} ch${Number(channel) + 1}`;
+}
+
+/**
+ * Listens to every MIDI input, including ones connected later
+ * @param {MIDIAccess} midiAccess - Real or fake MIDI access object
+ * @param {Function} onMessage - Called with each parsed message
+ * @returns {Function} - Stops listening
+ */
+export function listenToMidiInputs(midiAccess, onMessage) {
+  const inputs = new Set();
+  const handleMessage = (event) => {
+    const message = parseMidiMessage(event.data);
+    if (message) {
+      onMessage(message);
+    }
+  };
+  // Inputs without addEventListener (simple fakes) get their onmidimessage handler set instead
+  const attachInputs = () => {
+    midiAccess.inputs.forEach(input => {
+      if (!inputs.has(input)) {
+        inputs.add(input);
+        if (typeof input.addEventListener === 'function') {
+          input.addEventListener('midimessage', handleMessage);
+        } else {
+          input.onmidimessage = handleMessage;
+        }
+      }
+    });
+  };
+  attachInputs();
+  if (typeof midiAccess.addEventListener === 'function') {
+    midiAccess.addEventListener('statechange', attachInputs);
+  }
+  return () => {
+    inputs.forEach(input => {
+      if (typeof input.removeEventListener === 'function') {
+        input.removeEventListener('midimessage', handleMessage);
+      } else if (input.onmidimessage === handleMessage) {
+        input.onmidimessage = null;
+      }
+    });
+    if (typeof midiAccess.removeEventListener === 'function') {
+      midiAccess.removeEventListener('statechange', attachInputs);
+    }
+  };
+}
+
+/**
+ * Loads a user's MIDI bindings for a deck
+ * @param {string} username - Logged in user
+ * @param {string} deckId - Deck the bindings belong to
+ * @returns {Object} - Map of message id to hotcue key
+ */
+export function loadMidiBindings(username, deckId) {
+  try {
+    const saved = JSON.parse(localStorage.getItem(`midiBindings:${username}`) || '{}');
+    return saved[deckId] || {};
+  } catch (error) {
+    console.warn('Could not load MIDI bindings:', error);
+    return {};
+  }
+}
+
+/**
+ * Saves a user's MIDI bindings for a deck
+ * @param {string} username - Logged in user
+ * @param {string} deckId - Deck the bindings belong to
+ * @param {Object} bindings - Map of message id to hotcue key
+ */
+export function saveMidiBindings(username, deckId, bindings) {
+  try {
+    const saved = JSON.parse(localStorage.getItem(`midiBindings:${username}`) || '{}');
+    localStorage.setItem(`midiBindings:${username}`, JSON.stringify({ ...saved, [deckId]: bindings }));
+  } catch (error) {
+    console.warn('Could not save MIDI bindings:', error);
+  }
+}
+
+/**
+ * Hook that delivers parsed MIDI messages from every connected input
+ * @param {Function} onMessage - Called with each parsed message
+ * @param {MIDIAccess} [midiAccess] - Injected MIDI access (e.g. a fake in tests); requested from the browser if omitted
+ * @returns {string} - 'connecting', 'ready' or 'unavailable'
+ */
+export function useMidiMessages(onMessage, midiAccess) {
+  const [status, setStatus] = useState('connecting');
+  const onMessageRef = useRef(onMessage);
+
+  useEffect(() => {
+    onMessageRef.current = onMessage;
+  }, [onMessage]);
+
+  useEffect(() => {
+    let cancelled = false;
+    let stopListening = null;
+    const accessPromise = midiAccess ? Promise.resolve(midiAccess) : requestMidiAccess();
+    accessPromise.then(access => {
+      if (cancelled) return;
+      if (!access) {
+        setStatus('unavailable');
+        return;
+      }
+      setStatus('ready');
+      stopListening = listenToMidiInputs(access, message => onMessageRef.current(message));
+    });
+    return () => {
+      cancelled = true;
+      if (stopListening) {
+        stopListening();
+      }
+    };
+  }, [midiAccess]);
+
+  return status;
+}
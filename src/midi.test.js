@@ -0,0 +1,126 @@
+import { render, act, fireEvent, screen, waitFor } from '@testing-library/react';
+import { CustomVideoPlayer } from './CustomVideoPlayer';
+import { PlayerStates, createFakeAdapterFactory } from './playerAdapter';
+import { parseMidiMessage, listenToMidiInputs, requestMidiAccess, loadMidiBindings } from './midi';
+
+jest.mock('axios', () => ({ get: jest.fn(), post: jest.fn(), delete: jest.fn() }));
+
+// A MIDI access object with one input, the way a browser hands them out
+const createFakeMidiAccess = () => {
+  const input = { id: 'pad', name: 'Fake pads', onmidimessage: null };
+  return {
+    input,
+    inputs: new Map([[input.id, input]]),
+    send: (data) => input.onmidimessage && input.onmidimessage({ data: Uint8Array.from(data) })
+  };
+};
+
+const NOTE_ON = 0x90;
+const NOTE_OFF = 0x80;
+
+const midiLearnButton = () => screen.getByRole('button', { name: /MIDI Learn/ });
+
+const renderDeck = (props = {}) => {
+  const createPlayer = createFakeAdapterFactory();
+  const midiAccess = createFakeMidiAccess();
+  render(
+    <CustomVideoPlayer
+      videoId="video-1"
+      youtubeUrl="https://www.youtube.com/watch?v=video-1"
+      initialHotcues={{ banks: [{ name: '', hotcues: { q: { time: 42, name: '', mode: 'cue', color: '#007bff' } } }] }}
+      createPlayer={createPlayer}
+      midiAccess={midiAccess}
+      deckId="B"
+      {...props}
+    />
+  );
+  return { adapter: createPlayer.adapters[0], midiAccess };
+};
+
+beforeEach(() => {
+  localStorage.clear();
+  localStorage.setItem('username', 'dj');
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('parseMidiMessage', () => {
+  it('reads note on and off, treating zero velocity as off', () => {
+    expect(parseMidiMessage([NOTE_ON | 2, 36, 100])).toEqual({ id: 'note:2:36', isPress: true });
+    expect(parseMidiMessage([NOTE_ON | 2, 36, 0])).toEqual({ id: 'note:2:36', isPress: false });
+    expect(parseMidiMessage([NOTE_OFF, 36, 64])).toEqual({ id: 'note:0:36', isPress: false });
+  });
+
+  it('reads control changes as pressed from 64', () => {
+    expect(parseMidiMessage([0xb0, 7, 127])).toEqual({ id: 'cc:0:7', isPress: true });
+    expect(parseMidiMessage([0xb0, 7, 63])).toEqual({ id: 'cc:0:7', isPress: false });
+  });
+
+  it('ignores other and short messages', () => {
+    expect(parseMidiMessage([0xe0, 0, 64])).toBeNull();
+    expect(parseMidiMessage([NOTE_ON, 36])).toBeNull();
+  });
+});
+
+describe('listenToMidiInputs', () => {
+  it('delivers parsed messages from a fake access object until stopped', () => {
+    const midiAccess = createFakeMidiAccess();
+    const onMessage = jest.fn();
+    const stop = listenToMidiInputs(midiAccess, onMessage);
+
+    midiAccess.send([NOTE_ON, 40, 90]);
+    expect(onMessage).toHaveBeenCalledWith({ id: 'note:0:40', isPress: true });
+
+    stop();
+    expect(midiAccess.input.onmidimessage).toBeNull();
+  });
+});
+
+describe('requestMidiAccess', () => {
+  it('resolves to null when the browser has no Web MIDI', async () => {
+    await expect(requestMidiAccess({})).resolves.toBeNull();
+    await expect(requestMidiAccess(null)).resolves.toBeNull();
+  });
+
+  it('leaves MIDI Learn off in a player without Web MIDI', async () => {
+    expect(navigator.requestMIDIAccess).toBeUndefined();
+    renderDeck({ midiAccess: undefined });
+    await waitFor(() => expect(midiLearnButton().title).toBe('Web MIDI is not available in this browser'));
+    expect(midiLearnButton().disabled).toBe(true);
+  });
+});
+
+describe('MIDI in the player', () => {
+  it('saves a learned pad per user and deck', async () => {
+    const { midiAccess } = renderDeck();
+    await waitFor(() => expect(midiLearnButton().disabled).toBe(false)); // MIDI access resolves after the first render
+
+    fireEvent.click(midiLearnButton());
+    fireEvent.click(screen.getByTitle('Click to change colour')); // Hotcue q's badge, in its row
+
+    act(() => midiAccess.send([NOTE_ON, 36, 100]));
+
+    expect(loadMidiBindings('dj', 'B')).toEqual({ 'note:0:36': 'q' });
+    expect(loadMidiBindings('dj', 'A')).toEqual({});
+    expect(JSON.parse(localStorage.getItem('midiBindings:dj'))).toEqual({ B: { 'note:0:36': 'q' } });
+  });
+
+  it('jumps to the hotcue from a bound pad just as from its key', async () => {
+    localStorage.setItem('midiBindings:dj', JSON.stringify({ B: { 'note:0:36': 'q' } }));
+    const { adapter, midiAccess } = renderDeck();
+    await waitFor(() => expect(midiLearnButton().disabled).toBe(false));
+
+    act(() => midiAccess.send([NOTE_ON, 36, 100]));
+    expect(adapter.getTime()).toBe(42);
+    expect(adapter.getState()).toBe(PlayerStates.PLAYING);
+    act(() => midiAccess.send([NOTE_ON, 36, 0]));
+
+    act(() => adapter.seek(100));
+    fireEvent.keyDown(document.body, { key: 'q', code: 'KeyQ' });
+    fireEvent.keyUp(document.body, { key: 'q', code: 'KeyQ' });
+    expect(adapter.getTime()).toBe(42);
+  });
+});
@@ -0,0 +1,90 @@
+// The projector output window (/output) shows only the video and is driven by the main
+// window over a BroadcastChannel. Messages are plain objects with a type:
+//
+// output -> control:
+//   hello - sent when the output window opens or reloads; answered with a state message
+// control -> output:
+//   state { videoId, src, time, isPlaying, rate, loop, effects } - everything needed to catch up;
+//         a null videoId clears the output. src is set for local files (an object URL).
+//   play { time }, pause { time }, seek { time }, rate { rate }
+//   loop { loop } - the active loop { start, end }, or null
+//   effects { effects } - the effects that are on, as saved (see effects.js)
+//   sync { time, isPlaying } - heartbeat, so drift, and seeks and play / pause made in the
+//        YouTube controls, are corrected
+// play, pause, seek and rate are only sent by mirrorAdapter, once per command.
+
+export const OUTPUT_CHANNEL_NAME = 'viper-vj-output';
+export const OUTPUT_ROUTE = '/output';
+
+// How often (ms) the output deck sends a sync heartbeat
+export const OUTPUT_SYNC_INTERVAL = 1000;
+
+/**
+ * Whether this browser can drive an output window
+ * @returns {boolean} - True if BroadcastChannel is available
+ */
+export function isOutputSupported() {
+  return typeof window !== 'undefined' && typeof window.BroadcastChannel === 'function';
+}
+
+/**
+ * Opens the output channel. Without BroadcastChannel support the channel does nothing.
+ * @param {Function} onMessage - Called with every message from the other side
+ * @returns {{ post: Function, close: Function }} - Channel
+ */
+export function createOutputChannel(onMessage) {
+  if (!isOutputSupported()) {
+    return { post: () => {}, close: () => {} };
+  }
+  const channel = new window.BroadcastChannel(OUTPUT_CHANNEL_NAME);
+  channel.onmessage = (event) => {
+    if (event.data && typeof event.data.type === 'string') {
+      onMessage(event.data);
+    }
+  };
+  return {
+    post: (message) => {
+      try {
+        channel.postMessage(message);
+      } catch (error) {
+        console.warn('Could not post to the output window:', error);
+      }
+    },
+    close: () => channel.close()
+  };
+}
+
+/**
+ * Opens (or focuses) the output window
+ * @returns {Window|null} - The window, or null if it was blocked
+ */
+export function openOutputWindow() {
+  return window.open(OUTPUT_ROUTE, OUTPUT_CHANNEL_NAME, 'popup,width=1280,height=720');
+}
+
+/**
+ * Wraps a player adapter so playback commands given to it are also sent to the output window
+ * @param {Object} adapter - Player adapter (see playerAdapter.js)
+ * @param {Function} send - Sends a message to the output window
+ * @returns {Object} - Adapter that mirrors play, pause, seek and setRate
+ */
+export function mirrorAdapter(adapter, send) {
+  const mirrored = Object.create(adapter); // Everything else (including fake adapter fields) reads through
+  mirrored.play = () => {
+    adapter.play();
+    send({ type: 'play', time: adapter.getTime() });
+  };
+  mirrored.pause = () => {
+    adapter.pause();
+    send({ type: 'pause', time: adapter.getTime() });
+  };
+  mirrored.seek = (seconds) => {
+    adapter.seek(seconds);
+    send({ type: 'seek', time: seconds });
+  };
+  mirrored.setRate = (rate) => {
+    adapter.setRate(rate);
+    send({ type: 'rate', rate });
+  };
+  return mirrored;
+}
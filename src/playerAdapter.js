@@ -0,0 +1,316 @@
+// Player adapters put every video backend behind one interface, so the player component
+// doesn't care whether it's driving a YouTube iframe or an in-memory fake.
+//
+// A factory creates an adapter in a container element:
+//   createPlayer(container, { videoId, onReady, onStateChange, onError, controls }) -> adapter
+// onReady(adapter) fires once the adapter can be controlled, onStateChange(state) with
+// one of PlayerStates whenever playback starts, pauses, buffers or ends. controls (default
+// true) shows the backend's own playback controls.
+//
+// Adapter: { load, play, pause, seek, getTime, getDuration, getState,
+//            setRate, getAvailableRates, setVolume, destroy }
+//
+// Backends: YouTube (createYouTubeAdapter), HTML5 <video> for local files
+// (createHtml5AdapterFactory) and an in-memory fake (createFakeAdapterFactory).
+
+// Playback states (the same values the YouTube IFrame API uses)
+export const PlayerStates = {
+  UNSTARTED: -1,
+  ENDED: 0,
+  PLAYING: 1,
+  PAUSED: 2,
+  BUFFERING: 3,
+  CUED: 5
+};
+
+const YOUTUBE_IFRAME_API_URL = 'https://www.youtube.com/iframe_api';
+const YOUTUBE_API_TIMEOUT = 10000; // ms to wait for the IFrame API before giving up
+
+// Shared so every player waits on one script load
+let youTubeApiPromise = null;
+
+/**
+ * Loads the YouTube IFrame API script once
+ * @returns {Promise<Object>} - Resolves to window.YT once YT.Player is available
+ */
+export function loadYouTubeIframeApi() {
+  if (window.YT && window.YT.Player) {
+    return Promise.resolve(window.YT);
+  }
+  if (!youTubeApiPromise) {
+    youTubeApiPromise = new Promise((resolve, reject) => {
+      const previousCallback = window.onYouTubeIframeAPIReady;
+      window.onYouTubeIframeAPIReady = () => {
+        if (typeof previousCallback === 'function') {
+          previousCallback();
+        }
+        resolve(window.YT);
+      };
+
+      // Also check periodically in case the callback already fired (or was replaced)
+      const checkInterval = setInterval(() => {
+        if (window.YT && window.YT.Player) {
+          clearInterval(checkInterval);
+          resolve(window.YT);
+        }
+      }, 100);
+      setTimeout(() => {
+        clearInterval(checkInterval);
+        if (!(window.YT && window.YT.Player)) {
+          youTubeApiPromise = null;
+          reject(new Error('YouTube IFrame API did not load'));
+        }
+      }, YOUTUBE_API_TIMEOUT);
+
+      if (!document.querySelector(`script[src="${YOUTUBE_IFRAME_API_URL}"]`)) {
+        const tag = document.createElement('script');
+        tag.src = YOUTUBE_IFRAME_API_URL;
+        const firstScriptTag = document.getElementsByTagName('script')[0];
+        firstScriptTag.parentNode.insertBefore(tag, firstScriptTag);
+      }
+    });
+  }
+  return youTubeApiPromise;
+}
+
+/**
+ * Creates a YouTube IFrame API player. The container element is replaced by the iframe.
+ * Calls made before the player is ready are ignored (getters return their empty values).
+ * @param {HTMLElement} container - Element to put the player in
+ * @param {Object} options - { videoId, onReady, onStateChange, onError, controls = true }
+ * @returns {Object} - Player adapter
+ */
+export function createYouTubeAdapter(container, { videoId, onReady, onStateChange, onError, controls = true }) {
+  let player = null; // YT.Player once ready
+  let destroyed = false;
+
+  const call = (method, ...args) => {
+    if (!player || typeof player[method] !== 'function') return undefined;
+    return player[method](...args);
+  };
+
+  const adapter = {
+    load: (id) => call('cueVideoById', id),
+    play: () => call('playVideo'),
+    pause: () => call('pauseVideo'),
+    seek: (seconds) => call('seekTo', seconds, true),
+    getTime: () => call('getCurrentTime') ?? 0,
+    getDuration: () => call('getDuration') ?? 0,
+    getState: () => call('getPlayerState') ?? PlayerStates.UNSTARTED,
+    setRate: (rate) => call('setPlaybackRate', rate),
+    getAvailableRates: () => call('getAvailablePlaybackRates') ?? [],
+    setVolume: (percent) => call('setVolume', percent),
+    destroy: () => {
+      destroyed = true;
+      try {
+        call('destroy');
+      } catch (e) {
+        // Ignore errors during cleanup
+      }
+      player = null;
+    }
+  };
+
+  loadYouTubeIframeApi()
+    .then(YT => {
+      // Wait a frame so the container is in the DOM
+      requestAnimationFrame(() => {
+        if (destroyed || !container) return;
+        try {
+          new YT.Player(container, {
+            videoId,
+            playerVars: {
+              controls: controls ? 1 : 0, // Show YouTube controls (including native progress bar)
+              enablejsapi: 1, // Ensure JS API is enabled
+              autoplay: 0,
+              rel: 0, // Don't show related videos from other channels
+              modestbranding: 1, // Reduce YouTube branding
+              fs: 0, // Disable fullscreen button
+              playsinline: 1, // Play inline on mobile
+              origin: window.location.origin // Set origin for better control
+            },
+            events: {
+              onReady: (event) => {
+                if (destroyed) {
+                  event.target.destroy();
+                  return;
+                }
+                player = event.target;
+                if (onReady) onReady(adapter);
+              },
+              onStateChange: (event) => {
+                if (onStateChange) onStateChange(event.data);
+              },
+              onError: (event) => {
+                if (onError) onError(event);
+              }
+            }
+          });
+        } catch (error) {
+          if (onError) onError(error);
+        }
+      });
+    })
+    .catch(error => {
+      if (onError) onError(error);
+    });
+
+  return adapter;
+}
+
+/**
+ * Creates a factory for deterministic in-memory players, for exercising player logic
+ * without the IFrame API or the network. Time only moves when advance() is called, and
+ * every player the factory creates is kept on factory.adapters.
+ * @param {Object} [fakeOptions] - { duration = 300, availableRates }
+ * @returns {Function} - Factory with the same signature as createYouTubeAdapter
+ */
+export function createFakeAdapterFactory({ duration = 300, availableRates = [0.25, 0.5, 0.75, 1, 1.25, 1.5, 1.75, 2] } = {}) {
+  const factory = (container, { videoId, onReady, onStateChange }) => {
+    let state = PlayerStates.CUED;
+    let time = 0;
+    let rate = 1;
+    let destroyed = false;
+
+    const setState = (newState) => {
+      if (state === newState) return;
+      state = newState;
+      if (onStateChange && !destroyed) onStateChange(newState);
+    };
+
+    const adapter = {
+      videoId,
+      volume: 100,
+      load: (id) => {
+        adapter.videoId = id;
+        time = 0;
+        setState(PlayerStates.CUED);
+      },
+      play: () => setState(PlayerStates.PLAYING),
+      pause: () => setState(PlayerStates.PAUSED),
+      seek: (seconds) => {
+        time = Math.max(0, Math.min(duration, seconds));
+      },
+      getTime: () => time,
+      getDuration: () => duration,
+      getState: () => state,
+      setRate: (newRate) => {
+        rate = newRate;
+      },
+      getRate: () => rate,
+      getAvailableRates: () => availableRates,
+      setVolume: (percent) => {
+        adapter.volume = percent;
+      },
+      destroy: () => {
+        destroyed = true;
+      },
+      // Moves playback on by a number of (wall-clock) seconds if playing, at the current rate
+      advance: (seconds) => {
+        if (state !== PlayerStates.PLAYING) return;
+        time = Math.min(duration, time + seconds * rate);
+        if (time >= duration) {
+          setState(PlayerStates.ENDED);
+        }
+      }
+    };
+
+    factory.adapters.push(adapter);
+    if (onReady) onReady(adapter);
+    return adapter;
+  };
+  factory.adapters = [];
+  return factory;
+}
+
+const HTML5_PLAYBACK_RATES = [0.25, 0.5, 0.75, 1, 1.25, 1.5, 1.75, 2];
+
+/**
+ * Creates an HTML5 <video> player inside the container, for local files and other direct sources
+ * @param {HTMLElement} container - Element to put the video in
+ * @param {Object} options - { src, onReady, onStateChange, onError, controls = true }
+ * @returns {Object} - Player adapter
+ */
+export function createHtml5Adapter(container, { src, onReady, onStateChange, onError, controls = true }) {
+  const video = document.createElement('video');
+  video.src = src;
+  video.controls = controls;
+  video.playsInline = true;
+  video.preload = 'auto';
+  Object.assign(video.style, {
+    position: 'absolute',
+    top: 0,
+    left: 0,
+    width: '100%',
+    height: '100%',
+    backgroundColor: '#000'
+  });
+
+  let state = PlayerStates.UNSTARTED;
+  const setState = (newState) => {
+    if (state === newState) return;
+    state = newState;
+    if (onStateChange) onStateChange(newState);
+  };
+
+  const adapter = {
+    load: (newSrc) => {
+      video.src = newSrc;
+      setState(PlayerStates.UNSTARTED);
+    },
+    play: () => {
+      const playing = video.play();
+      if (playing && typeof playing.catch === 'function') {
+        playing.catch(error => console.warn('Could not start playback:', error));
+      }
+    },
+    pause: () => video.pause(),
+    seek: (seconds) => {
+      video.currentTime = seconds;
+    },
+    getTime: () => video.currentTime,
+    getDuration: () => (isFinite(video.duration) ? video.duration : 0),
+    getState: () => state,
+    setRate: (rate) => {
+      video.playbackRate = rate;
+    },
+    getAvailableRates: () => HTML5_PLAYBACK_RATES,
+    setVolume: (percent) => {
+      video.volume = Math.max(0, Math.min(1, percent / 100));
+    },
+    destroy: () => {
+      listeners.forEach(([type, listener]) => video.removeEventListener(type, listener));
+      video.pause();
+      video.removeAttribute('src');
+      video.load(); // Releases the file
+      video.remove();
+    }
+  };
+
+  const listeners = [
+    ['loadedmetadata', () => {
+      setState(PlayerStates.CUED);
+      if (onReady) onReady(adapter);
+    }],
+    ['playing', () => setState(PlayerStates.PLAYING)],
+    ['pause', () => setState(PlayerStates.PAUSED)],
+    ['waiting', () => setState(PlayerStates.BUFFERING)],
+    ['ended', () => setState(PlayerStates.ENDED)],
+    ['error', () => {
+      if (onError) onError(video.error);
+    }]
+  ];
+  listeners.forEach(([type, listener]) => video.addEventListener(type, listener));
+
+  container.appendChild(video);
+  return adapter;
+}
+
+/**
+ * Creates a factory that plays one source (e.g. an object URL for a local file) in an HTML5 player
+ * @param {string} src - Video source URL
+ * @returns {Function} - Factory with the same signature as createYouTubeAdapter
+ */
+export function createHtml5AdapterFactory(src) {
+  return (container, options) => createHtml5Adapter(container, { ...options, src });
+}
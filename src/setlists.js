@@ -0,0 +1,84 @@
+// Setlists are named, ordered lists of saved videos for a show, stored on the backend
+// alongside /videos.
+//
+// Setlist: { id, name, entries }
+// Entry: { videoId, title, startHotcue: { bank, key } | null, endMode, endHotcue: { bank, key } | null }
+// The title is kept so entries can be listed before the sidebar has loaded their videos.
+
+// What happens when an entry finishes:
+// stop - nothing, the next entry waits for Next
+// advance - the next entry starts when this one reaches its end (or trim-out)
+// hotcue - the next entry starts when playback reaches endHotcue
+export const SETLIST_END_MODES = [
+  { id: 'stop', label: 'Stop' },
+  { id: 'advance', label: 'Advance at end' },
+  { id: 'hotcue', label: 'Advance at hotcue' }
+];
+
+/**
+ * Creates a unique id for a new setlist
+ * @returns {string} - Setlist id
+ */
+export function createSetlistId() {
+  return `set-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+const normalizeHotcueRef = (hotcue) => (
+  hotcue && typeof hotcue.key === 'string' && typeof hotcue.bank === 'number'
+    ? { bank: hotcue.bank, key: hotcue.key }
+    : null
+);
+
+/**
+ * Creates an entry for a video, starting from the top and stopping at the end
+ * @param {Object} video - Saved video
+ * @returns {Object} - Entry
+ */
+export function createSetlistEntry(video) {
+  return { videoId: video.videoId, title: video.title || '', startHotcue: null, endMode: 'stop', endHotcue: null };
+}
+
+/**
+ * Normalizes a setlist as loaded from the backend
+ * @param {Object} setlist - Saved setlist
+ * @returns {Object} - { id, name, entries } with valid entries
+ */
+export function normalizeSetlist(setlist) {
+  const entries = Array.isArray(setlist && setlist.entries) ? setlist.entries : [];
+  return {
+    id: setlist.id,
+    name: setlist.name || '',
+    entries: entries
+      .filter(entry => entry && typeof entry.videoId === 'string')
+      .map(entry => {
+        const endHotcue = normalizeHotcueRef(entry.endHotcue);
+        const endMode = SETLIST_END_MODES.some(mode => mode.id === entry.endMode) ? entry.endMode : 'stop';
+        return {
+          videoId: entry.videoId,
+          title: typeof entry.title === 'string' ? entry.title : '',
+          startHotcue: normalizeHotcueRef(entry.startHotcue),
+          // Advancing at a hotcue needs a hotcue to advance at
+          endMode: endMode === 'hotcue' && !endHotcue ? 'stop' : endMode,
+          endHotcue
+        };
+      })
+  };
+}
+
+/**
+ * Takes the hotcues of some videos out of a setlist's entries, after they were cleared:
+ * those entries start from the beginning, and stop instead of advancing at a hotcue
+ * @param {Object} setlist - Normalized setlist
+ * @param {string[]} videoIds - Videos whose hotcues were cleared
+ * @returns {Object} - The same setlist if none of its entries used those hotcues, otherwise an updated copy
+ */
+export function clearSetlistHotcues(setlist, videoIds) {
+  const usesClearedHotcue = entry => videoIds.includes(entry.videoId) && !!(entry.startHotcue || entry.endHotcue);
+  if (!setlist.entries.some(usesClearedHotcue)) return setlist;
+  return {
+    ...setlist,
+    entries: setlist.entries.map(entry => (usesClearedHotcue(entry)
+      ? { ...entry, startHotcue: null, endHotcue: null, endMode: entry.endMode === 'hotcue' ? 'stop' : entry.endMode }
+      : entry))
+  };
+}
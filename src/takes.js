@@ -0,0 +1,64 @@
+// Takes are recorded performances: a list of transport events stamped with the
+// wall-clock time (ms) since recording started.
+//
+// Take: { id, name, recordedAt, startTime, startedPlaying, duration, events }
+// Event: { at, type: 'hotcue' | 'release' | 'play' | 'pause' | 'seek', key?, bank?, time? }
+// hotcue and release events have the slot key and the bank it's in, seek events the time.
+
+export const TAKE_EVENT_TYPES = ['hotcue', 'release', 'play', 'pause', 'seek'];
+
+/**
+ * Creates a unique id for a new take
+ * @returns {string} - Take id
+ */
+export function createTakeId() {
+  return `take-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Normalizes saved takes, dropping anything that can't be replayed
+ * @param {Array} takes - Takes as loaded from the backend
+ * @returns {Array} - Takes with valid, time-ordered events
+ */
+export function normalizeTakes(takes) {
+  if (!Array.isArray(takes)) return [];
+  return takes
+    .filter(take => take && take.id && Array.isArray(take.events))
+    .map(take => ({
+      id: take.id,
+      name: take.name || '',
+      recordedAt: take.recordedAt || null,
+      startTime: typeof take.startTime === 'number' ? take.startTime : 0,
+      startedPlaying: !!take.startedPlaying,
+      duration: typeof take.duration === 'number' ? take.duration : 0,
+      events: take.events
+        .filter(event => event && typeof event.at === 'number' && TAKE_EVENT_TYPES.includes(event.type))
+        .sort((a, b) => a.at - b.at)
+    }));
+}
+
+/**
+ * Replays a take's events at the times they were recorded
+ * @param {Object} take - Take to replay
+ * @param {Function} onEvent - Called with each event when its time comes
+ * @param {Function} onEnd - Called once the take has finished
+ * @returns {Function} - Cancels the rest of the replay
+ */
+export function scheduleTake(take, onEvent, onEnd) {
+  const timeouts = take.events.map(event => setTimeout(() => onEvent(event), event.at));
+  const lastEventAt = take.events.length > 0 ? take.events[take.events.length - 1].at : 0;
+  timeouts.push(setTimeout(onEnd, Math.max(take.duration, lastEventAt)));
+  return () => timeouts.forEach(timeout => clearTimeout(timeout));
+}
+
+/**
+ * Formats a take duration for display
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} - Duration as m:ss
+ */
+export function formatTakeDuration(ms) {
+  const totalSeconds = Math.round(ms / 1000);
+  const mins = Math.floor(totalSeconds / 60);
+  const secs = totalSeconds % 60;
+  return `${mins}:${secs.toString().padStart(2, '0')}`;
+}
@@ -0,0 +1,283 @@
+import axios from 'axios';
+import API_URL from './config';
+import { countHotcues, listHotcues } from './hotcues';
+
+// Finding videos in the sidebar: search, filter and sort, tags, and when each video was last opened.
+// The view (search text, sort, filter, crate and tag) and the last-opened times are kept per user
+// in localStorage. Tags are saved on the video itself: tags: [string].
+//
+// The backend searches, filters and sorts, so a view covers the whole library however little of it
+// is loaded. GET /videos takes the view (see libraryViewParams) along with a limit and the cursor
+// from the page before, and returns { videos, nextCursor, total, tags }: a page of the matching
+// videos in the view's order, plus the size of the whole library and its tags ([{ tag, count }]).
+// A backend that doesn't page returns every video as a plain array (oldest first) instead, and the
+// view is applied here with applyLibraryView.
+
+export const SORT_OPTIONS = [
+  { id: 'added', label: 'Newest first' },
+  { id: 'title', label: 'Title A-Z' },
+  { id: 'opened', label: 'Recently opened' },
+  { id: 'hotcues', label: 'Most hotcues' }
+];
+
+export const FILTER_OPTIONS = [
+  { id: 'all', label: 'All videos' },
+  { id: 'hasHotcues', label: 'Has hotcues' },
+  { id: 'noHotcues', label: 'No hotcues' },
+  { id: 'hasLoops', label: 'Has loops' }
+];
+
+// crate: crate id to show (with its sub-crates), tag: tag to show - null for every video
+export const DEFAULT_LIBRARY_VIEW = { query: '', sort: 'added', filter: 'all', crate: null, tag: null };
+
+/**
+ * Normalizes a video's tags: trimmed, without blanks or repeats (ignoring case)
+ * @param {Array<string>} tags - Saved tags
+ * @returns {string[]} - Tags
+ */
+export function normalizeTags(tags) {
+  const normalized = [];
+  (Array.isArray(tags) ? tags : []).forEach(tag => {
+    const trimmed = typeof tag === 'string' ? tag.trim() : '';
+    if (trimmed && !normalized.some(existing => existing.toLowerCase() === trimmed.toLowerCase())) {
+      normalized.push(trimmed);
+    }
+  });
+  return normalized;
+}
+
+/**
+ * Collects every tag used across the saved videos
+ * @param {Array<Object>} videos - Saved videos
+ * @returns {Array<{ tag: string, count: number }>} - Tags by name, with the number of videos using each
+ */
+export function collectTags(videos) {
+  const counts = {};
+  videos.forEach(video => {
+    normalizeTags(video.tags).forEach(tag => {
+      const existing = Object.keys(counts).find(known => known.toLowerCase() === tag.toLowerCase());
+      counts[existing || tag] = (counts[existing || tag] || 0) + 1;
+    });
+  });
+  return Object.keys(counts)
+    .sort((a, b) => a.localeCompare(b, undefined, { sensitivity: 'base' }))
+    .map(tag => ({ tag, count: counts[tag] }));
+}
+
+/**
+ * Updates the tags of a library for one video whose tags changed
+ * @param {Array<{ tag: string, count: number }>} tags - Tags with the number of videos using each
+ * @param {Array<string>} before - The video's tags before (none for a video just added)
+ * @param {Array<string>} after - Its tags now (none for a video just deleted)
+ * @returns {Array<{ tag: string, count: number }>} - Updated tags, without any no longer used
+ */
+export function retallyTags(tags, before, after) {
+  const next = tags.map(entry => ({ ...entry }));
+  const adjust = (tag, change) => {
+    const entry = next.find(known => known.tag.toLowerCase() === tag.toLowerCase());
+    if (entry) {
+      entry.count += change;
+    } else if (change > 0) {
+      next.push({ tag, count: change });
+    }
+  };
+  normalizeTags(before).forEach(tag => adjust(tag, -1));
+  normalizeTags(after).forEach(tag => adjust(tag, 1));
+  return next
+    .filter(entry => entry.count > 0)
+    .sort((a, b) => a.tag.localeCompare(b.tag, undefined, { sensitivity: 'base' }));
+}
+
+const hasTag = (video, tag) => normalizeTags(video.tags).some(videoTag => videoTag.toLowerCase() === tag.toLowerCase());
+
+const FILTERS = {
+  all: () => true,
+  hasHotcues: video => countHotcues(video.hotcues) > 0,
+  noHotcues: video => countHotcues(video.hotcues) === 0,
+  hasLoops: video => Array.isArray(video.loops) && video.loops.length > 0
+};
+
+/**
+ * Finds the hotcue labels of a video that match a search
+ * @param {Object} video - Saved video
+ * @param {string} query - Lowercased search text
+ * @returns {string[]} - Matching hotcue labels
+ */
+export function matchingHotcueLabels(video, query) {
+  if (!query) return [];
+  return listHotcues(video.hotcues)
+    .map(hotcue => hotcue.name)
+    .filter(name => name && name.toLowerCase().includes(query));
+}
+
+// When a video was added: the backend's createdAt if it sends one, otherwise its position
+// in the backend's list (which is in the order videos were saved)
+const addedAt = (video, index) => {
+  const time = video.createdAt ? Date.parse(video.createdAt) : NaN;
+  return isNaN(time) ? index : time;
+};
+
+/**
+ * Applies a sidebar view to the saved videos
+ * @param {Array<Object>} videos - Saved videos, in backend order
+ * @param {Object} view - { query, sort, filter, crate, tag }
+ * @param {Object} lastOpened - Video id -> time last opened (ms)
+ * @param {Set<string>|null} crateVideoIds - Videos in the view's crate, null when no crate is chosen
+ * @returns {Array<Object>} - Matching videos in sort order
+ */
+export function applyLibraryView(videos, view, lastOpened, crateVideoIds) {
+  const query = view.query.trim().toLowerCase();
+  const filter = FILTERS[view.filter] || FILTERS.all;
+  const matches = videos
+    .map((video, index) => ({ video, added: addedAt(video, index) }))
+    .filter(({ video }) => filter(video))
+    .filter(({ video }) => !crateVideoIds || crateVideoIds.has(video.videoId))
+    .filter(({ video }) => !view.tag || hasTag(video, view.tag))
+    .filter(({ video }) => !query ||
+      (video.title || '').toLowerCase().includes(query) ||
+      normalizeTags(video.tags).some(tag => tag.toLowerCase().includes(query)) ||
+      matchingHotcueLabels(video, query).length > 0);
+
+  const compare = {
+    added: (a, b) => b.added - a.added,
+    title: (a, b) => (a.video.title || '').localeCompare(b.video.title || '', undefined, { sensitivity: 'base' }),
+    opened: (a, b) => (lastOpened[b.video.videoId] || 0) - (lastOpened[a.video.videoId] || 0),
+    hotcues: (a, b) => countHotcues(b.video.hotcues) - countHotcues(a.video.hotcues)
+  }[view.sort] || (() => 0);
+  return matches.sort(compare).map(({ video }) => video);
+}
+
+// The backend has no record of when videos were opened, so the 'opened' sort sends the ids of
+// (at most this many of) the videos opened most recently
+const MAX_OPENED_IDS = 100;
+
+/**
+ * Query parameters that ask GET /videos for a view, leaving out the parts that are at their default
+ * @param {Object} view - { query, sort, filter, crate, tag }
+ * @param {Object} lastOpened - Video id -> time last opened (ms)
+ * @returns {Object} - { query, sort, filter, crate, tag, opened }, each only if set. crate includes
+ *   its sub-crates; opened is a comma-separated list of video ids, most recently opened first.
+ */
+export function libraryViewParams(view, lastOpened) {
+  const params = {};
+  const query = view.query.trim();
+  if (query) params.query = query;
+  if (view.sort !== DEFAULT_LIBRARY_VIEW.sort) params.sort = view.sort;
+  if (view.filter !== DEFAULT_LIBRARY_VIEW.filter) params.filter = view.filter;
+  if (view.crate) params.crate = view.crate;
+  if (view.tag) params.tag = view.tag;
+  if (view.sort === 'opened') {
+    params.opened = Object.keys(lastOpened)
+      .sort((a, b) => lastOpened[b] - lastOpened[a])
+      .slice(0, MAX_OPENED_IDS)
+      .join(',');
+  }
+  return params;
+}
+
+/**
+ * Fetches a page of videos from the backend
+ * @param {string} username - Logged in user
+ * @param {Object} options - { params (from libraryViewParams), cursor (null for the first page), limit }
+ * @returns {Promise<Object>} - { videos, nextCursor, total, tags, isPaged }. total and tags are null if
+ *   the backend doesn't send them. From a backend that doesn't page, videos is the whole library
+ *   (newest first, without the view applied) and isPaged is false.
+ */
+export async function fetchVideoPage(username, { params = {}, cursor = null, limit }) {
+  const response = await axios.get(`${API_URL}/videos`, {
+    params: { username, limit, cursor: cursor || undefined, ...params }
+  });
+  if (Array.isArray(response.data)) {
+    const videos = [...response.data].reverse();
+    return { videos, nextCursor: null, total: videos.length, tags: collectTags(videos), isPaged: false };
+  }
+  const data = response.data || {};
+  return {
+    videos: data.videos || [],
+    nextCursor: data.nextCursor || null,
+    total: typeof data.total === 'number' ? data.total : null,
+    tags: Array.isArray(data.tags) ? data.tags : null,
+    isPaged: true
+  };
+}
+
+// Deleted videos go to the trash (GET /trash, each with the time it was deleted as deletedAt)
+// until they're restored, deleted for good, or the backend clears them out after this long
+export const TRASH_RETENTION_DAYS = 30;
+
+/**
+ * Works out how long a video has left in the trash
+ * @param {Object} video - Video in the trash
+ * @param {number} now - Current time (ms)
+ * @returns {number} - Whole days left, 0 once it's due to be deleted for good
+ */
+export function trashDaysLeft(video, now) {
+  const deletedAt = video.deletedAt ? Date.parse(video.deletedAt) : NaN;
+  if (isNaN(deletedAt)) return TRASH_RETENTION_DAYS;
+  const left = deletedAt + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000 - now;
+  return Math.max(0, Math.ceil(left / (24 * 60 * 60 * 1000)));
+}
+
+/**
+ * Loads a user's sidebar view
+ * @param {string} username - Logged in user
+ * @returns {Object} - { query, sort, filter, crate, tag }
+ */
+export function loadLibraryView(username) {
+  try {
+    const saved = JSON.parse(localStorage.getItem(`libraryView:${username}`) || '{}');
+    return {
+      query: typeof saved.query === 'string' ? saved.query : DEFAULT_LIBRARY_VIEW.query,
+      sort: SORT_OPTIONS.some(option => option.id === saved.sort) ? saved.sort : DEFAULT_LIBRARY_VIEW.sort,
+      filter: FILTER_OPTIONS.some(option => option.id === saved.filter) ? saved.filter : DEFAULT_LIBRARY_VIEW.filter,
+      crate: typeof saved.crate === 'string' ? saved.crate : DEFAULT_LIBRARY_VIEW.crate,
+      tag: typeof saved.tag === 'string' ? saved.tag : DEFAULT_LIBRARY_VIEW.tag
+    };
+  } catch (error) {
+    console.warn('Could not load sidebar view:', error);
+    return { ...DEFAULT_LIBRARY_VIEW };
+  }
+}
+
+/**
+ * Saves a user's sidebar view
+ * @param {string} username - Logged in user
+ * @param {Object} view - { query, sort, filter, crate, tag }
+ */
+export function saveLibraryView(username, view) {
+  try {
+    localStorage.setItem(`libraryView:${username}`, JSON.stringify(view));
+  } catch (error) {
+    console.warn('Could not save sidebar view:', error);
+  }
+}
+
+/**
+ * Loads when a user last opened each video
+ * @param {string} username - Logged in user
+ * @returns {Object} - Video id -> time last opened (ms)
+ */
+export function loadLastOpened(username) {
+  try {
+    return JSON.parse(localStorage.getItem(`lastOpened:${username}`) || '{}');
+  } catch (error) {
+    console.warn('Could not load last opened times:', error);
+    return {};
+  }
+}
+
+/**
+ * Records that a user opened a video now
+ * @param {string} username - Logged in user
+ * @param {string} videoId - Video opened
+ * @returns {Object} - Updated video id -> time last opened (ms)
+ */
+export function markVideoOpened(username, videoId) {
+  const lastOpened = { ...loadLastOpened(username), [videoId]: Date.now() };
+  try {
+    localStorage.setItem(`lastOpened:${username}`, JSON.stringify(lastOpened));
+  } catch (error) {
+    console.warn('Could not save last opened time:', error);
+  }
+  return lastOpened;
+}